@@ -14,18 +14,282 @@ const ADMIN_ID = parseInt(process.env.ADMIN_ID);
 const PUBLIC_CHANNEL = process.env.PUBLIC_CHANNEL;
 const MONGODB_URI = process.env.MONGODB_URI;
 
-const TOPICS = [
-  "💑 Relationships", 
-  "💻 Technology", 
-  "📚 Education", 
-  "💼 Business", 
-  "👨‍👩‍👧‍👦 Family",
-  "🎯 Others"
+// Seeded into the topics collection on first start; admins manage topics from /admin afterwards.
+// The is_other topic asks the user to type their own topic.
+const DEFAULT_TOPICS = [
+  { emoji: "💑", title: "Relationships" },
+  { emoji: "💻", title: "Technology" },
+  { emoji: "📚", title: "Education" },
+  { emoji: "💼", title: "Business" },
+  { emoji: "👨‍👩‍👧‍👦", title: "Family" },
+  { emoji: "🎯", title: "Others", is_other: true }
 ];
+const DEFAULT_TOPIC_EMOJI = "🏷️";
+const MAX_TOPIC_TITLE_LENGTH = 40;
+
+// Chats a topic can be routed to instead of PUBLIC_CHANNEL; forum groups can take a thread too
+const PUBLISH_CHAT_TYPES = ['channel', 'supergroup', 'group'];
+
+// Word lists for generated pseudonyms, e.g. "Curious Sycamore #482"
+const PSEUDONYM_ADJECTIVES = [
+  "Curious", "Quiet", "Brave", "Gentle", "Clever", "Humble", "Bright", "Calm",
+  "Kind", "Wise", "Swift", "Patient", "Honest", "Cheerful", "Thoughtful", "Bold"
+];
+
+const PSEUDONYM_NOUNS = [
+  "Sycamore", "Acacia", "Falcon", "River", "Mountain", "Coffee", "Lion", "Cedar",
+  "Eagle", "Valley", "Meadow", "Zebra", "Baobab", "Star", "Oasis", "Gazelle"
+];
+
+const MAX_ALIAS_LENGTH = 32;
+
+// Every reputation change, in one place. Each award is written to the points ledger.
+const POINT_RULES = {
+  question_approved: 5,
+  answer_posted: 5,
+  upvote_received: 2,
+  downvote_received: -1,
+  answer_accepted: 15
+};
+
+// Catalogue keys for each ledger reason
+const POINT_REASON_LABELS = {
+  opening_balance: 'points_reason.opening_balance',
+  question_approved: 'points_reason.question_approved',
+  answer_posted: 'points_reason.answer_posted',
+  upvote_received: 'points_reason.upvote_received',
+  downvote_received: 'points_reason.downvote_received',
+  answer_accepted: 'points_reason.answer_accepted'
+};
+
+const REPUTATION_PAGE_SIZE = 10;
+
+const SEARCH_PAGE_SIZE = 5;
+const INLINE_RESULTS_LIMIT = 20;
+
+// Moderation team roles. The ADMIN_ID account is always the owner.
+const ROLE_PERMISSIONS = {
+  owner: ['approve', 'reject', 'ban', 'broadcast', 'view_stats', 'manage_roles', 'manage_settings'],
+  admin: ['approve', 'reject', 'ban', 'broadcast', 'view_stats', 'manage_roles', 'manage_settings'],
+  moderator: ['approve', 'reject']
+};
+
+// Which roles each role may grant or take away
+const ROLE_MANAGEABLE = {
+  owner: ['admin', 'moderator'],
+  admin: ['moderator'],
+  moderator: []
+};
+
+// Topics whose answers are held for moderator approval when the catalogue is first seeded
+const DEFAULT_MODERATED_TOPICS = ["💑 Relationships", "👨‍👩‍👧‍👦 Family"];
+
+// Report reasons and their catalogue keys
+const REPORT_REASONS = {
+  harassment: 'report_reason.harassment',
+  spam: 'report_reason.spam',
+  personal_info: 'report_reason.personal_info',
+  misinformation: 'report_reason.misinformation'
+};
+
+// Callback codes for what can be reported
+const REPORT_TARGET_TYPES = { q: 'question', a: 'answer', c: 'comment' };
+
+// Independent reports needed before content is hidden automatically
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+// Templates moderators can pick from when rejecting a question, as catalogue keys
+const REJECTION_REASONS = {
+  unclear: 'rejection_reason.unclear',
+  off_topic: 'rejection_reason.off_topic',
+  personal_info: 'rejection_reason.personal_info',
+  offensive: 'rejection_reason.offensive',
+  duplicate: 'rejection_reason.duplicate'
+};
+
+const ROLE_LABELS = {
+  owner: 'role.owner',
+  admin: 'role.admin',
+  moderator: 'role.moderator'
+};
+
+// Restriction types, from harshest to mildest. Each notice explains what the user can still do.
+const RESTRICTION_NOTICES = {
+  ban: 'restriction.notice_ban',
+  read_only: 'restriction.notice_read_only',
+  mute: 'restriction.notice_mute'
+};
+const MAX_RESTRICTION_DAYS = 365;
+
+// "<limit>/<minutes>" from the environment, e.g. RATE_LIMIT_QUESTION=5/60
+function parseRateLimit(value, defaultLimit, defaultMinutes) {
+  const match = (value || '').match(/^(\d+)\/(\d+)$/);
+  return match && parseInt(match[1]) > 0 && parseInt(match[2]) > 0
+    ? { limit: parseInt(match[1]), windowMinutes: parseInt(match[2]) }
+    : { limit: defaultLimit, windowMinutes: defaultMinutes };
+}
+
+// Sliding-window limits: at most `limit` actions in any `windowMinutes`
+const RATE_LIMITS = {
+  question: parseRateLimit(process.env.RATE_LIMIT_QUESTION, 5, 60),
+  answer: parseRateLimit(process.env.RATE_LIMIT_ANSWER, 20, 60),
+  vote: parseRateLimit(process.env.RATE_LIMIT_VOTE, 30, 5),
+  comment: parseRateLimit(process.env.RATE_LIMIT_COMMENT, 30, 60)
+};
+// Users with this many points get several times the normal allowance
+const TRUSTED_USER_POINTS = parseInt(process.env.TRUSTED_USER_POINTS) || 100;
+const TRUSTED_LIMIT_MULTIPLIER = 3;
+// Staff are alerted when a user is turned away this many times within the alert window
+const RATE_LIMIT_ALERT_THRESHOLD = 5;
+const RATE_LIMIT_ALERT_WINDOW_MINUTES = 60;
+// Content filter rule types admins can edit, as stored in filter_rules
+const FILTER_RULE_TYPES = ['term', 'regex', 'domain', 'maxlen', 'minlen'];
+// Labels for those plus the built-in checks, which show up in /filtertest and the block stats
+const FILTER_RULE_LABELS = {
+  term: 'filter.type_term',
+  regex: 'filter.type_regex',
+  domain: 'filter.type_domain',
+  maxlen: 'filter.type_maxlen',
+  minlen: 'filter.type_minlen',
+  link: 'filter.type_link',
+  caps: 'filter.type_caps',
+  repetition: 'filter.type_repetition'
+};
+// Host of every http(s):// or www. link; anything outside the allow-listed domains is blocked
+const LINK_PATTERN = /(?:https?:\/\/|\bwww\.)([^\s\/?#:()\[\]<>"'*_`,]+)/giu;
+// Seeded once into an empty filter_rules collection; admins edit them from there
+const DEFAULT_FILTER_RULES = [
+  { type: 'term', value: 'spam' },
+  { type: 'term', value: 'scam' },
+  { type: 'term', value: 'telegram.me' },
+  { type: 'term', value: 't.me/joinchat' },
+  { type: 'term', value: 'bit.ly' },
+  { type: 'term', value: 'tinyurl' },
+  { type: 'domain', value: 'edu.et' },
+  { type: 'domain', value: 'gov.et' },
+  { type: 'domain', value: 'who.int' },
+  { type: 'maxlen', value: 2000 }
+];
+const MAX_FILTER_LENGTH_LIMIT = 10000;
+const FILTER_LOG_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+const FILTER_STATS_DAYS = 7;
+
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.5;
+const DUPLICATE_MAX_MATCHES = 3;
+const DUPLICATE_CANDIDATE_LIMIT = 50;
+
+const RATE_LIMIT_RETENTION_SECONDS = Math.max(
+  RATE_LIMIT_ALERT_WINDOW_MINUTES,
+  ...Object.values(RATE_LIMITS).map(rule => rule.windowMinutes)
+) * 60;
+
+// Notification switches users can turn off, and the types each one covers
+const NOTIFICATION_CATEGORIES = {
+  answers: ['new_answer', 'new_comment'],
+  approvals: ['question_approved', 'answer_approved', 'answer_rejected', 'comment_approved', 'comment_rejected'],
+  votes: ['vote_received', 'answer_accepted'],
+  topics: ['new_question_in_topic']
+};
+
+// Hours are in the user's local time; utc_offset defaults to East Africa Time
+const DEFAULT_NOTIFICATION_PREFS = {
+  answers: true,
+  approvals: true,
+  votes: true,
+  topics: true,
+  quiet_start: null,
+  quiet_end: null,
+  digest: false,
+  digest_hour: 20,
+  utc_offset: 3
+};
+const MIN_UTC_OFFSET = -12;
+const MAX_UTC_OFFSET = 14;
+const NOTIFICATION_DELIVERY_INTERVAL_MS = 5 * 60 * 1000;
+const DIGEST_MAX_ITEMS = 15;
+
+// Outbound queue: Telegram allows roughly 30 messages/second overall and 1/second per chat
+const OUTBOX_GLOBAL_PER_SECOND = 25;
+const OUTBOX_PER_CHAT_INTERVAL_MS = 1000;
+const OUTBOX_POLL_INTERVAL_MS = 1000;
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_BACKOFF_MS = 5000;
+const OUTBOX_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Attachments accepted in questions and answers, with their labels
+const MEDIA_TYPES = {
+  photo: 'media.photo',
+  voice: 'media.voice',
+  document: 'media.document'
+};
+// Larger files are turned away, the way text over the length limit is
+const MAX_MEDIA_FILE_SIZE_MB = parseInt(process.env.MAX_MEDIA_FILE_SIZE_MB) || 10;
+
+// Replies under an answer are shown this many to a page, oldest first
+const COMMENTS_PER_PAGE = 5;
+
+// "<start>-<end>" hours from the environment, e.g. PUBLISH_ACTIVE_HOURS=7-22; may wrap past midnight
+function parseHourRange(value, defaultStart, defaultEnd) {
+  const match = (value || '').match(/^(\d{1,2})-(\d{1,2})$/);
+  return match && parseInt(match[1]) <= 23 && parseInt(match[2]) <= 24
+    ? { start: parseInt(match[1]), end: parseInt(match[2]) }
+    : { start: defaultStart, end: defaultEnd };
+}
+
+// Queued questions reach the channel one at a time, this far apart, within the active hours
+const PUBLISH_SPACING_MINUTES = parseInt(process.env.PUBLISH_SPACING_MINUTES) || 30;
+const PUBLISH_ACTIVE_HOURS = parseHourRange(process.env.PUBLISH_ACTIVE_HOURS, 7, 22);
+// The channel's own clock for the active hours
+const PUBLISH_UTC_OFFSET = Number.isInteger(parseInt(process.env.PUBLISH_UTC_OFFSET))
+  ? parseInt(process.env.PUBLISH_UTC_OFFSET)
+  : DEFAULT_NOTIFICATION_PREFS.utc_offset;
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+const PUBLISH_QUEUE_DISPLAY_LIMIT = 10;
+// Failed posts before a queued question is sent back to review
+const PUBLISH_MAX_ATTEMPTS = 3;
+
+const BROADCAST_BATCH_SIZE = 1000;
+const BROADCAST_PROGRESS_INTERVAL_MS = 5000;
+const BROADCAST_MAX_DAYS = 365;
+// Activity is written at most this often per user
+const ACTIVITY_UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Translation catalogues. English is the fallback for any key missing from another language.
+const LOCALES = {
+  en: require('./locales/en.json'),
+  om: require('./locales/om.json'),
+  am: require('./locales/am.json')
+};
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_NAMES = {
+  om: 'Afaan Oromoo',
+  am: 'አማርኛ',
+  en: 'English'
+};
+
+// The public channel is shared by everyone, so its posts use one configured language
+const CHANNEL_LANGUAGE = LOCALES[process.env.CHANNEL_LANGUAGE] ? process.env.CHANNEL_LANGUAGE : DEFAULT_LANGUAGE;
 
 // MongoDB setup
 let db;
 let client;
+let notificationTimer;
+let outboxTimer;
+let broadcastTimer;
+let publishTimer;
+
+// user_id -> chosen language, filled on first lookup
+const languageCache = new Map();
+
+// user_id -> when last_active_at was last written
+const activityCache = new Map();
+
+// user_id -> active restriction (or null), cleared whenever one is set or lifted
+const restrictionCache = new Map();
+
+// Content filter rules from filter_rules, rebuilt by loadFilterRules after every change.
+// Topic overrides are keyed by topic name, since that is what questions carry.
+let filterRules = { global: emptyFilterRuleSet(), topics: new Map() };
 
 async function initializeDatabase() {
     try {
@@ -55,6 +319,10 @@ async function initializeDatabase() {
         
         // Setup database indexes
         await setupDatabase();
+        await dbHelpers.migratePointsLedger();
+        await dbHelpers.seedTopics();
+        await dbHelpers.seedFilterRules();
+        await dbHelpers.loadFilterRules();
         
         return true;
         
@@ -83,21 +351,59 @@ async function setupDatabase() {
         
         // Safe index creation
         const collections = {
-            users: [{ key: { user_id: 1 }, options: { unique: true, name: "user_id_unique" } }],
+            users: [
+                { key: { user_id: 1 }, options: { unique: true, name: "user_id_unique" } },
+                { key: { last_active_at: 1 }, options: { name: "user_last_active_at" } }
+            ],
             questions: [
                 { key: { approved: 1 }, options: { name: "approved_status" } },
-                { key: { user_id: 1 }, options: { name: "question_user_id" } }
+                { key: { user_id: 1 }, options: { name: "question_user_id" } },
+                { key: { question: "text" }, options: { name: "question_text" } },
+                { key: { status: 1, queue_position: 1 }, options: { name: "question_publish_queue" } },
+                { key: { published_at: -1 }, options: { name: "question_published_at" } }
             ],
             answers: [
                 { key: { question_id: 1 }, options: { name: "answer_question_id" } },
-                { key: { user_id: 1 }, options: { name: "answer_user_id" } }
+                { key: { user_id: 1 }, options: { name: "answer_user_id" } },
+                { key: { answer: "text" }, options: { name: "answer_text" } }
             ],
+            comments: [{ key: { answer_id: 1, created_at: 1 }, options: { name: "comment_answer_created_at" } }],
+            searches: [{ key: { created_at: 1 }, options: { expireAfterSeconds: 86400, name: "search_ttl" } }],
             sessions: [{ key: { user_id: 1 }, options: { unique: true, name: "session_user_unique" } }],
+            roles: [{ key: { user_id: 1 }, options: { unique: true, name: "role_user_unique" } }],
+            points_ledger: [{ key: { user_id: 1, created_at: -1 }, options: { name: "ledger_user_created_at" } }],
+            topics: [
+                { key: { name: 1 }, options: { unique: true, name: "topic_name_unique" } },
+                { key: { order: 1 }, options: { name: "topic_order" } }
+            ],
+            topic_suggestions: [{ key: { key: 1 }, options: { unique: true, name: "topic_suggestion_key_unique" } }],
+            reports: [
+                { key: { target_type: 1, target_id: 1, reporter_id: 1 }, options: { unique: true, name: "report_unique" } },
+                { key: { status: 1, created_at: 1 }, options: { name: "report_status" } }
+            ],
+            rate_limit_events: [
+                { key: { user_id: 1, action: 1, created_at: -1 }, options: { name: "rate_limit_user_action" } },
+                { key: { created_at: 1 }, options: { expireAfterSeconds: RATE_LIMIT_RETENTION_SECONDS, name: "rate_limit_ttl" } }
+            ],
+            filter_rules: [{ key: { topic_id: 1, type: 1 }, options: { name: "filter_rule_scope" } }],
+            filter_log: [{ key: { created_at: 1 }, options: { expireAfterSeconds: FILTER_LOG_RETENTION_SECONDS, name: "filter_log_ttl" } }],
+            restrictions: [{ key: { user_id: 1, created_at: -1 }, options: { name: "restriction_user_created_at" } }],
             subscriptions: [{ key: { user_id: 1, question_id: 1 }, options: { unique: true, name: "subscription_unique" } }],
+            topic_follows: [
+                { key: { user_id: 1, topic_id: 1 }, options: { unique: true, name: "topic_follow_unique" } },
+                { key: { topic_id: 1 }, options: { name: "topic_follow_topic_id" } }
+            ],
             votes: [{ key: { user_id: 1, answer_id: 1 }, options: { unique: true, name: "vote_unique" } }],
+            outbox: [
+                { key: { status: 1, priority: 1, next_attempt_at: 1 }, options: { name: "outbox_due_priority" } },
+                { key: { broadcast_id: 1, status: 1 }, options: { name: "outbox_broadcast", sparse: true } },
+                { key: { "track.id": 1 }, options: { name: "outbox_track_id", sparse: true } },
+                { key: { finished_at: 1 }, options: { expireAfterSeconds: OUTBOX_RETENTION_SECONDS, name: "outbox_ttl" } }
+            ],
             notifications: [
                 { key: { user_id: 1 }, options: { name: "notification_user_id" } },
-                { key: { created_at: -1 }, options: { name: "notification_created_at" } }
+                { key: { created_at: -1 }, options: { name: "notification_created_at" } },
+                { key: { pending_delivery: 1, user_id: 1 }, options: { name: "notification_pending_delivery" } }
             ]
         };
 
@@ -138,6 +444,8 @@ const dbHelpers = {
       const user = {
         user_id: userId,
         username: username || `user_${userId}`,
+        pseudonym: this.generatePseudonym(),
+        show_real_name: false,
         points: 0,
         questions_asked: 0,
         answers_given: 0,
@@ -156,12 +464,354 @@ const dbHelpers = {
     }
   },
 
+  // Records when the user was last seen, throttled so busy users cost one write an hour
+  async touchUser(userId) {
+    const now = Date.now();
+    if (now - (activityCache.get(userId) || 0) < ACTIVITY_UPDATE_INTERVAL_MS) return;
+    activityCache.set(userId, now);
+    try {
+      await db.collection('users').updateOne({ user_id: userId }, { $set: { last_active_at: new Date(now) } });
+    } catch (error) {
+      console.error('Touch user error:', error.message);
+    }
+  },
+
+  // RESTRICTIONS
+  // Fails open: a database hiccup should not lock everyone out
+  async getActiveRestriction(userId) {
+    let restriction;
+    if (restrictionCache.has(userId)) {
+      restriction = restrictionCache.get(userId);
+    } else {
+      try {
+        restriction = await db.collection('restrictions').findOne(
+          { user_id: userId, lifted_at: null, $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }] },
+          { sort: { created_at: -1 } }
+        );
+      } catch (error) {
+        console.error('Get restriction error:', error.message);
+        return null;
+      }
+      restrictionCache.set(userId, restriction);
+    }
+
+    if (restriction && restriction.expires_at && restriction.expires_at <= new Date()) return null;
+    return restriction;
+  },
+
+  // A new restriction replaces whatever the user had before
+  async restrictUser(userId, type, reason, expiresAt, moderatorId) {
+    try {
+      await this.liftRestriction(userId, moderatorId);
+      const restriction = {
+        user_id: userId,
+        type: type,
+        reason: reason,
+        expires_at: expiresAt,
+        created_by: moderatorId,
+        created_at: new Date()
+      };
+      await db.collection('restrictions').insertOne(restriction);
+      restrictionCache.set(userId, restriction);
+      return restriction;
+    } catch (error) {
+      console.error('Restrict user error:', error.message);
+      return null;
+    }
+  },
+
+  async liftRestriction(userId, moderatorId) {
+    try {
+      const result = await db.collection('restrictions').updateMany(
+        { user_id: userId, lifted_at: null, $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }] },
+        { $set: { lifted_at: new Date(), lifted_by: moderatorId } }
+      );
+      restrictionCache.delete(userId);
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Lift restriction error:', error.message);
+      return false;
+    }
+  },
+
+  // DUPLICATE DETECTION
+  // Full-text search narrows the field, then local term overlap decides what counts as a near-repeat
+  async findSimilarQuestions(text, excludeId = null) {
+    try {
+      const filter = { $text: { $search: text }, approved: true, hidden: { $ne: true } };
+      if (excludeId) filter._id = { $ne: new ObjectId(excludeId) };
+
+      const candidates = await db.collection('questions')
+        .find(filter, { projection: { question: 1, topic: 1, score: { $meta: 'textScore' } } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(DUPLICATE_CANDIDATE_LIMIT)
+        .toArray();
+
+      const draftTerms = termSet(text);
+      return candidates
+        .map(question => ({ question: question, similarity: termSimilarity(draftTerms, termSet(question.question)) }))
+        .filter(match => match.similarity >= DUPLICATE_SIMILARITY_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, DUPLICATE_MAX_MATCHES);
+    } catch (error) {
+      console.error('Find similar questions error:', error.message);
+      return [];
+    }
+  },
+
+  // RATE LIMITS
+  // Records every attempt; turned-away ones are kept too so repeat offenders can be spotted
+  async checkRateLimit(userId, action) {
+    try {
+      const rule = RATE_LIMITS[action];
+      const user = await this.getUser(userId);
+      const limit = user && user.points >= TRUSTED_USER_POINTS ? rule.limit * TRUSTED_LIMIT_MULTIPLIER : rule.limit;
+      const now = Date.now();
+      const windowMs = rule.windowMinutes * 60 * 1000;
+
+      // Record the attempt first and then see where it falls in the window, so requests
+      // arriving together can't all pass the same count
+      const { insertedId } = await db.collection('rate_limit_events').insertOne({
+        user_id: userId,
+        action: action,
+        blocked: false,
+        created_at: new Date(now)
+      });
+      const recent = await db.collection('rate_limit_events')
+        .find({ user_id: userId, action: action, blocked: false, created_at: { $gt: new Date(now - windowMs) } })
+        .sort({ created_at: 1, _id: 1 })
+        .toArray();
+
+      const position = recent.findIndex(event => event._id.equals(insertedId));
+      if (position < limit) return { allowed: true, eventId: insertedId };
+
+      await db.collection('rate_limit_events').updateOne({ _id: insertedId }, { $set: { blocked: true } });
+
+      const blockedCount = await db.collection('rate_limit_events').countDocuments({
+        user_id: userId,
+        blocked: true,
+        created_at: { $gt: new Date(now - RATE_LIMIT_ALERT_WINDOW_MINUTES * 60 * 1000) }
+      });
+      return {
+        allowed: false,
+        limit: limit,
+        windowMinutes: rule.windowMinutes,
+        // The oldest action in the window is the next to drop out of it
+        retryAfterMs: recent[0].created_at.getTime() + windowMs - now,
+        // Only the attempt that reaches the threshold raises an alert
+        alert: blockedCount === RATE_LIMIT_ALERT_THRESHOLD
+      };
+    } catch (error) {
+      console.error('Rate limit check error:', error.message);
+      return { allowed: true };
+    }
+  },
+
+  // Gives back the quota taken by an action that then failed
+  async releaseRateLimit(eventId) {
+    if (!eventId) return;
+    try {
+      await db.collection('rate_limit_events').deleteOne({ _id: eventId });
+    } catch (error) {
+      console.error('Release rate limit error:', error.message);
+    }
+  },
+
+  // PSEUDONYM SYSTEM
+  generatePseudonym() {
+    const adjective = PSEUDONYM_ADJECTIVES[Math.floor(Math.random() * PSEUDONYM_ADJECTIVES.length)];
+    const noun = PSEUDONYM_NOUNS[Math.floor(Math.random() * PSEUDONYM_NOUNS.length)];
+    const number = Math.floor(Math.random() * 900) + 100;
+    return `${adjective} ${noun} #${number}`;
+  },
+
+  async ensurePseudonym(user) {
+    try {
+      if (!user || user.pseudonym) return user;
+
+      // Users created before pseudonyms existed get one on first sight
+      const pseudonym = this.generatePseudonym();
+      await db.collection('users').updateOne(
+        { user_id: user.user_id, pseudonym: { $exists: false } },
+        { $set: { pseudonym: pseudonym, show_real_name: false } }
+      );
+      return await this.getUser(user.user_id);
+    } catch (error) {
+      console.error('Ensure pseudonym error:', error.message);
+      return user;
+    }
+  },
+
+  async regeneratePseudonym(userId) {
+    try {
+      const pseudonym = this.generatePseudonym();
+      await db.collection('users').updateOne(
+        { user_id: userId },
+        { $set: { pseudonym: pseudonym } }
+      );
+      return pseudonym;
+    } catch (error) {
+      console.error('Regenerate pseudonym error:', error.message);
+      return null;
+    }
+  },
+
+  async setShowRealName(userId, showRealName) {
+    try {
+      await db.collection('users').updateOne(
+        { user_id: userId },
+        { $set: { show_real_name: showRealName } }
+      );
+      return true;
+    } catch (error) {
+      console.error('Set show real name error:', error.message);
+      return false;
+    }
+  },
+
+  // LANGUAGE
+  // Users who never picked a language get the one their Telegram app reports
+  async getUserLanguage(userId, languageCode = null) {
+    if (languageCache.has(userId)) return languageCache.get(userId);
+    try {
+      const user = await db.collection('users').findOne({ user_id: userId }, { projection: { language: 1 } });
+      if (user && user.language) {
+        languageCache.set(userId, user.language);
+        return user.language;
+      }
+    } catch (error) {
+      console.error('Get user language error:', error.message);
+    }
+    return detectLanguage(languageCode);
+  },
+
+  async setUserLanguage(userId, language) {
+    try {
+      await db.collection('users').updateOne(
+        { user_id: userId },
+        { $set: { language: language } }
+      );
+      languageCache.set(userId, language);
+      return true;
+    } catch (error) {
+      console.error('Set user language error:', error.message);
+      return false;
+    }
+  },
+
+  // Name shown to other people: real handle only if the user opted in.
+  // Escaped, since every message that shows it is sent as Markdown.
+  getDisplayName(user, alias = null, lang = DEFAULT_LANGUAGE) {
+    if (!user) return alias ? escapeMarkdown(alias) : t(lang, 'common.anonymous');
+    if (user.show_real_name && user.username) return escapeMarkdown(user.username);
+    const name = alias || user.pseudonym;
+    return name ? escapeMarkdown(name) : t(lang, 'common.anonymous');
+  },
+
+  async getAnswerAuthorName(answer, lang = DEFAULT_LANGUAGE) {
+    const user = await this.getUser(answer.user_id);
+    return this.getDisplayName(user, answer.alias, lang);
+  },
+
+  async getAnswerAlias(userId, questionId) {
+    try {
+      const answer = await db.collection('answers').findOne({
+        user_id: userId,
+        question_id: new ObjectId(questionId),
+        alias: { $ne: null }
+      });
+      return answer ? answer.alias : null;
+    } catch (error) {
+      console.error('Get answer alias error:', error.message);
+      return null;
+    }
+  },
+
+  // POINTS LEDGER
+  // Records a point change from POINT_RULES. reversed=true undoes an earlier award.
+  // users.points is a cached balance; /recount rebuilds it from the ledger.
+  async awardPoints(userId, reason, refs = {}, reversed = false) {
+    try {
+      let delta = POINT_RULES[reason];
+      if (reversed) {
+        // Undo what was actually awarded, which may predate a change to POINT_RULES
+        const filter = { user_id: userId, reason: reason, reversed: false };
+        for (const [key, value] of Object.entries(refs)) filter[`refs.${key}`] = value;
+        const original = await db.collection('points_ledger').findOne(filter, { sort: { created_at: -1 } });
+        delta = -(original ? original.delta : POINT_RULES[reason]);
+      }
+      if (!delta) return;
+
+      await db.collection('points_ledger').insertOne({
+        user_id: userId,
+        delta: delta,
+        reason: reason,
+        reversed: reversed,
+        refs: refs,
+        created_at: new Date()
+      });
+
+      await db.collection('users').updateOne(
+        { user_id: userId },
+        { $inc: { points: delta } }
+      );
+    } catch (error) {
+      console.error('Award points error:', error.message);
+    }
+  },
+
+  async getPointsHistory(userId, page = 0) {
+    try {
+      return await db.collection('points_ledger')
+        .find({ user_id: userId })
+        .sort({ created_at: -1 })
+        .skip(page * REPUTATION_PAGE_SIZE)
+        .limit(REPUTATION_PAGE_SIZE)
+        .toArray();
+    } catch (error) {
+      console.error('Get points history error:', error.message);
+      return [];
+    }
+  },
+
+  async getPointsHistoryCount(userId) {
+    try {
+      return await db.collection('points_ledger').countDocuments({ user_id: userId });
+    } catch (error) {
+      console.error('Get points history count error:', error.message);
+      return 0;
+    }
+  },
+
+  // Users whose points predate the ledger get an opening entry so their balance survives a recount
+  async migratePointsLedger() {
+    try {
+      const usersWithPoints = await db.collection('users').find({ points: { $gt: 0 } }).toArray();
+      let migrated = 0;
+      for (const user of usersWithPoints) {
+        const hasEntries = await db.collection('points_ledger').findOne({ user_id: user.user_id });
+        if (hasEntries) continue;
+
+        await db.collection('points_ledger').insertOne({
+          user_id: user.user_id,
+          delta: user.points,
+          reason: 'opening_balance',
+          reversed: false,
+          refs: {},
+          created_at: new Date()
+        });
+        migrated++;
+      }
+      if (migrated > 0) console.log(`✅ Opened points ledger for ${migrated} existing users`);
+    } catch (error) {
+      console.error('Migrate points ledger error:', error.message);
+    }
+  },
+
   async updateUserStats(userId, field, increment = 1) {
     try {
       const updateFields = {};
       updateFields[field] = increment;
-      if (field === 'questions_asked' && increment === 1) updateFields.points = 5;
-      if (field === 'answers_given' && increment === 1) updateFields.points = 5;
       
       await db.collection('users').updateOne(
         { user_id: userId },
@@ -176,12 +826,14 @@ const dbHelpers = {
     try {
       const question = {
         user_id: questionData.userId,
-        username: questionData.username,
         question: questionData.question,
         topic: questionData.topic,
+        media: questionData.media || null,
         approved: false,
+        status: 'pending',
         channel_message_id: null,
         answer_count: 0,
+        history: [{ action: 'submitted', at: new Date() }],
         created_at: new Date()
       };
       
@@ -202,15 +854,30 @@ const dbHelpers = {
     }
   },
 
-  async approveQuestion(questionId, channelMessageId) {
+  // post is { chat, messageId, mediaMessageId }; the chat is kept so later edits and links find the post
+  async approveQuestion(questionId, post, moderatorId) {
     try {
       await db.collection('questions').updateOne(
         { _id: new ObjectId(questionId) },
-        { $set: { approved: true, channel_message_id: channelMessageId } }
+        {
+          $set: {
+            approved: true,
+            status: 'approved',
+            channel_chat_id: post.chat.chat_id,
+            channel_username: post.chat.username || null,
+            channel_message_id: post.messageId,
+            channel_media_message_id: post.mediaMessageId || null,
+            published_at: new Date()
+          },
+          $push: { history: { action: 'approved', by: moderatorId, at: new Date() } }
+        }
       );
       
       const question = await this.getQuestion(questionId);
-      if (question) await this.updateUserStats(question.user_id, 'questions_asked');
+      if (question) {
+        await this.updateUserStats(question.user_id, 'questions_asked');
+        await this.awardPoints(question.user_id, 'question_approved', { question_id: question._id });
+      }
       return question;
     } catch (error) {
       console.error('Approve question error:', error.message);
@@ -218,10 +885,48 @@ const dbHelpers = {
     }
   },
 
+  // Rejected questions are kept for audit instead of being deleted
+  async rejectQuestion(questionId, moderatorId, reasonKey, note) {
+    try {
+      await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId) },
+        {
+          $set: {
+            status: 'rejected',
+            rejection: { reason: reasonKey, note: note || null, by: moderatorId, at: new Date() }
+          },
+          $push: { history: { action: 'rejected', by: moderatorId, reason: reasonKey, note: note || null, at: new Date() } }
+        }
+      );
+      return await this.getQuestion(questionId);
+    } catch (error) {
+      console.error('Reject question error:', error.message);
+      return null;
+    }
+  },
+
+  // Puts a rejected question back in the review queue after an edit or an appeal
+  async requeueQuestion(questionId, historyEntry, updates = {}) {
+    try {
+      const result = await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId), status: 'rejected' },
+        {
+          $set: { ...updates, status: 'pending' },
+          $unset: { reviewed_by: '', reviewed_at: '' },
+          $push: { history: { ...historyEntry, at: new Date() } }
+        }
+      );
+      return result.modifiedCount === 1 ? await this.getQuestion(questionId) : null;
+    } catch (error) {
+      console.error('Requeue question error:', error.message);
+      return null;
+    }
+  },
+
   async getApprovedQuestions(limit = 10) {
     try {
       return await db.collection('questions')
-        .find({ approved: true })
+        .find({ approved: true, hidden: { $ne: true } })
         .sort({ created_at: -1 })
         .limit(limit)
         .toArray();
@@ -234,7 +939,7 @@ const dbHelpers = {
   async getPendingQuestions() {
     try {
       return await db.collection('questions')
-        .find({ approved: false })
+        .find({ approved: false, status: { $nin: ['rejected', 'queued', 'publishing'] } })
         .sort({ created_at: -1 })
         .toArray();
     } catch (error) {
@@ -248,22 +953,21 @@ const dbHelpers = {
       const answer = {
         question_id: new ObjectId(answerData.questionId),
         user_id: answerData.userId,
-        username: answerData.username,
+        alias: answerData.alias || null,
         answer: answerData.answer,
+        media: answerData.media || null,
         channel_message_id: answerData.channelMessageId,
+        status: answerData.status || 'approved',
         votes: 0,
         created_at: new Date()
       };
       
       const result = await db.collection('answers').insertOne(answer);
       
-      // Update question answer count
-      await db.collection('questions').updateOne(
-        { _id: new ObjectId(answerData.questionId) },
-        { $inc: { answer_count: 1 } }
-      );
-      
-      await this.updateUserStats(answerData.userId, 'answers_given');
+      // Pending answers are counted once a moderator approves them
+      if (answer.status === 'approved') {
+        await this.countApprovedAnswer(answer);
+      }
       return result.insertedId;
     } catch (error) {
       console.error('Create answer error:', error.message);
@@ -271,1691 +975,7378 @@ const dbHelpers = {
     }
   },
 
-  async getAnswersForQuestion(questionId, limit = 50) {
+  async countApprovedAnswer(answer) {
+    // Update question answer count
+    await db.collection('questions').updateOne(
+      { _id: answer.question_id },
+      { $inc: { answer_count: 1 } }
+    );
+    
+    await this.updateUserStats(answer.user_id, 'answers_given');
+    await this.awardPoints(answer.user_id, 'answer_posted', { question_id: answer.question_id, answer_id: answer._id });
+  },
+
+  // ACCEPTED ANSWERS
+  // Marks one answer as the accepted one and moves the bonus from any previous pick
+  async acceptAnswer(question, answer) {
     try {
-      return await db.collection('answers')
-        .find({ question_id: new ObjectId(questionId) })
-        .sort({ votes: -1, created_at: -1 })
-        .limit(limit)
-        .toArray();
+      const previousId = question.accepted_answer_id;
+      if (previousId && previousId.equals(answer._id)) return false;
+
+      // Only switch if nobody changed the accepted answer since the question was read,
+      // so two quick taps can't both move the flags and points
+      const updated = await db.collection('questions').findOneAndUpdate(
+        { _id: question._id, accepted_answer_id: previousId ?? null },
+        { $set: { accepted_answer_id: answer._id } }
+      );
+      if (!updated) return false;
+
+      if (previousId) {
+        const previous = await this.getAnswerWithVotes(previousId.toString());
+        await db.collection('answers').updateOne({ _id: previousId }, { $set: { accepted: false } });
+        if (previous) {
+          await this.awardPoints(previous.user_id, 'answer_accepted', { question_id: question._id, answer_id: previousId }, true);
+        }
+      }
+
+      await db.collection('answers').updateOne({ _id: answer._id }, { $set: { accepted: true } });
+      await this.awardPoints(answer.user_id, 'answer_accepted', { question_id: question._id, answer_id: answer._id });
+      return true;
     } catch (error) {
-      console.error('Get answers error:', error.message);
-      return [];
+      console.error('Accept answer error:', error.message);
+      return false;
     }
   },
 
-  async getAnswerCountForQuestion(questionId) {
+  // TOPICS
+  // Creates the catalogue from DEFAULT_TOPICS, carrying over any per-topic settings already saved
+  async seedTopics() {
     try {
-      return await db.collection('answers')
-        .countDocuments({ question_id: new ObjectId(questionId) });
+      if (await db.collection('topics').countDocuments() > 0) return;
+
+      const settings = await db.collection('topic_settings').find().toArray();
+      const moderation = new Map(settings.map(setting => [setting.topic, setting.moderate_answers]));
+
+      const topics = DEFAULT_TOPICS.map((topic, index) => {
+        const name = formatTopicName(topic.emoji, topic.title);
+        return {
+          name: name,
+          emoji: topic.emoji,
+          title: topic.title,
+          order: index,
+          is_other: topic.is_other === true,
+          archived: false,
+          moderate_answers: typeof moderation.get(name) === 'boolean'
+            ? moderation.get(name)
+            : DEFAULT_MODERATED_TOPICS.includes(name),
+          created_at: new Date()
+        };
+      });
+
+      await db.collection('topics').insertMany(topics);
+      console.log(`✅ Seeded ${topics.length} topics`);
     } catch (error) {
-      console.error('Get answer count error:', error.message);
-      return 0;
+      console.error('Seed topics error:', error.message);
     }
   },
 
-  async getSession(userId) {
+  async getTopics(includeArchived = false) {
     try {
-      const session = await db.collection('sessions').findOne({ user_id: userId });
-      return session ? session.data : null;
+      const filter = includeArchived ? {} : { archived: { $ne: true } };
+      return await db.collection('topics').find(filter).sort({ order: 1 }).toArray();
     } catch (error) {
-      console.error('Get session error:', error.message);
-      return null;
+      console.error('Get topics error:', error.message);
+      return [];
     }
   },
 
-  async saveSession(userId, sessionData) {
+  async getTopic(topicId) {
     try {
-      await db.collection('sessions').updateOne(
-        { user_id: userId },
-        { $set: { data: sessionData, updated_at: new Date() } },
-        { upsert: true }
-      );
+      return await db.collection('topics').findOne({ _id: new ObjectId(topicId) });
     } catch (error) {
-      console.error('Save session error:', error.message);
+      console.error('Get topic error:', error.message);
+      return null;
     }
   },
 
-  async deleteSession(userId) {
+  async createTopic(emoji, title) {
     try {
-      await db.collection('sessions').deleteOne({ user_id: userId });
+      const last = await db.collection('topics').find().sort({ order: -1 }).limit(1).toArray();
+      const result = await db.collection('topics').insertOne({
+        name: formatTopicName(emoji, title),
+        emoji: emoji,
+        title: title,
+        order: last.length > 0 ? last[0].order + 1 : 0,
+        is_other: false,
+        archived: false,
+        moderate_answers: false,
+        created_at: new Date()
+      });
+      return result.insertedId;
     } catch (error) {
-      console.error('Delete session error:', error.message);
+      console.error('Create topic error:', error.message);
+      return null;
     }
   },
 
-  async getTopUsers(limit = 10) {
+  // Renames a topic and the questions already filed under it, returning the updated topic
+  async updateTopic(topicId, changes) {
     try {
-      return await db.collection('users')
-        .find({})
-        .sort({ points: -1 })
-        .limit(limit)
-        .toArray();
+      const topic = await this.getTopic(topicId);
+      if (!topic) return null;
+
+      const emoji = changes.emoji || topic.emoji;
+      const title = changes.title || topic.title;
+      const name = formatTopicName(emoji, title);
+
+      const updated = await db.collection('topics').findOneAndUpdate(
+        { _id: topic._id },
+        { $set: { name: name, emoji: emoji, title: title, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (name !== topic.name) {
+        await db.collection('questions').updateMany({ topic: topic.name }, { $set: { topic: name } });
+        // Cached filter overrides are keyed by topic name
+        await this.loadFilterRules();
+      }
+      return updated;
     } catch (error) {
-      console.error('Get top users error:', error.message);
-      return [];
+      console.error('Update topic error:', error.message);
+      return null;
     }
   },
 
-  async getAllUsers() {
+  // Swaps a topic with its neighbour; direction is -1 (up) or 1 (down)
+  async moveTopic(topicId, direction) {
     try {
-      return await db.collection('users').find({}).toArray();
+      const topics = await this.getTopics(true);
+      const index = topics.findIndex(topic => topic._id.toString() === topicId);
+      const neighbour = topics[index + direction];
+      if (index === -1 || !neighbour) return false;
+
+      await db.collection('topics').bulkWrite([
+        { updateOne: { filter: { _id: topics[index]._id }, update: { $set: { order: neighbour.order } } } },
+        { updateOne: { filter: { _id: neighbour._id }, update: { $set: { order: topics[index].order } } } }
+      ]);
+      return true;
     } catch (error) {
-      console.error('Get all users error:', error.message);
-      return [];
+      console.error('Move topic error:', error.message);
+      return false;
     }
   },
 
-  async getAllQuestions() {
+  async setTopicArchived(topicId, archived) {
     try {
-      return await db.collection('questions').find({}).toArray();
+      // The Others topic carries custom topics, so it always stays available
+      const result = await db.collection('topics').updateOne(
+        { _id: new ObjectId(topicId), is_other: { $ne: true } },
+        { $set: { archived: archived, updated_at: new Date() } }
+      );
+      return result.modifiedCount > 0;
     } catch (error) {
-      console.error('Get all questions error:', error.message);
-      return [];
+      console.error('Archive topic error:', error.message);
+      return false;
     }
   },
 
-  async getAllAnswers() {
+  // channel is a target from resolvePublishTarget, or null to go back to PUBLIC_CHANNEL
+  async setTopicChannel(topicId, channel) {
     try {
-      return await db.collection('answers').find({}).toArray();
+      const result = await db.collection('topics').updateOne(
+        { _id: new ObjectId(topicId) },
+        { $set: { channel: channel, updated_at: new Date() } }
+      );
+      return result.matchedCount > 0;
     } catch (error) {
-      console.error('Get all answers error:', error.message);
-      return [];
+      console.error('Set topic channel error:', error.message);
+      return false;
     }
   },
 
-  // NOTIFICATION SYSTEM
-  async createNotification(userId, type, data) {
+  // Where a new question in this topic is posted; custom topics follow the Others topic
+  async getPublishTarget(topicName) {
     try {
-      const notification = {
-        user_id: userId,
-        type: type,
-        data: data,
-        read: false,
-        created_at: new Date()
-      };
-      
-      await db.collection('notifications').insertOne(notification);
-      
-      // Send real-time notification
-      await this.sendRealTimeNotification(userId, type, data);
-      
-      return true;
+      const topic = await db.collection('topics').findOne({ name: topicName })
+        || await db.collection('topics').findOne({ is_other: true });
+      return topic && topic.channel ? topic.channel : defaultPublishTarget();
     } catch (error) {
-      console.error('Create notification error:', error.message);
-      return false;
+      console.error('Get publish target error:', error.message);
+      return defaultPublishTarget();
     }
   },
 
-  async sendRealTimeNotification(userId, type, data) {
+  // The default channel followed by every other chat a live topic is routed to
+  async getPublishTargets() {
+    const targets = [defaultPublishTarget()];
     try {
-      let message = '';
-      let buttons = [];
-
-      switch (type) {
-        case 'new_answer':
-          const question = await this.getQuestion(data.questionId);
-          if (question) {
-            message = `💬 **New Answer on Your Question!**\n\n**Question:** ${question.question}\n**Answer:** ${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`;
-            buttons = [
-              [{ text: '👀 View All Answers', callback_data: `CHANNEL_BROWSE_${data.questionId}` }],
-              [{ text: '🔕 Unsubscribe', callback_data: `UNSUBSCRIBE_${data.questionId}` }]
-            ];
-          }
-          break;
-
-        case 'question_approved':
-          message = `✅ **Your Question is Live!**\n\n**Question:** ${data.question}\n\n+5 points added to your profile!`;
-          buttons = [
-            [{ text: '👀 See Question', url: `https://t.me/${PUBLIC_CHANNEL.replace('@', '')}/${data.channelMessageId}` }]
-          ];
-          break;
-
-        case 'vote_received':
-          const answer = await this.getAnswerWithVotes(data.answerId);
-          if (answer) {
-            const question = await this.getQuestion(answer.question_id.toString());
-            message = `👍 **Your Answer Got a ${data.voteType === 'up' ? 'Upvote' : 'Downvote'}!**\n\n**Question:** ${question?.question.substring(0, 50)}...\n**Your Answer:** ${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`;
-            buttons = [
-              [{ text: '👀 View Answer', callback_data: `CHANNEL_BROWSE_${answer.question_id}` }]
-            ];
-          }
-          break;
-      }
-
-      if (message) {
-        await bot.telegram.sendMessage(userId, message, {
-          parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: buttons }
-        });
+      const topics = await db.collection('topics')
+        .find({ archived: { $ne: true }, channel: { $ne: null } })
+        .sort({ order: 1 })
+        .toArray();
+      for (const topic of topics) {
+        if (!targets.some(target => String(target.chat_id) === String(topic.channel.chat_id))) {
+          targets.push(topic.channel);
+        }
       }
+    } catch (error) {
+      console.error('Get publish targets error:', error.message);
+    }
+    return targets;
+  },
 
+  // Counts custom topics typed under "Others" so admins can promote popular ones
+  async recordTopicSuggestion(label) {
+    try {
+      await db.collection('topic_suggestions').updateOne(
+        { key: label.trim().toLowerCase() },
+        {
+          $set: { label: label.trim(), last_used_at: new Date() },
+          $setOnInsert: { status: 'open', created_at: new Date() },
+          $inc: { count: 1 }
+        },
+        { upsert: true }
+      );
     } catch (error) {
-      // User might have blocked the bot
-      console.log('Real-time notification failed (user may have blocked bot):', error.message);
+      console.error('Record topic suggestion error:', error.message);
     }
   },
 
-  async getUserNotifications(userId, limit = 10) {
+  async getTopicSuggestions(limit = 10) {
     try {
-      return await db.collection('notifications')
-        .find({ user_id: userId })
-        .sort({ created_at: -1 })
+      return await db.collection('topic_suggestions')
+        .find({ status: 'open' })
+        .sort({ count: -1, last_used_at: -1 })
         .limit(limit)
         .toArray();
     } catch (error) {
-      console.error('Get notifications error:', error.message);
+      console.error('Get topic suggestions error:', error.message);
       return [];
     }
   },
 
-  async markNotificationAsRead(notificationId) {
+  async getTopicSuggestionCount() {
     try {
-      await db.collection('notifications').updateOne(
-        { _id: new ObjectId(notificationId) },
-        { $set: { read: true } }
+      return await db.collection('topic_suggestions').countDocuments({ status: 'open' });
+    } catch (error) {
+      console.error('Get topic suggestion count error:', error.message);
+      return 0;
+    }
+  },
+
+  // Turns a suggestion into a real topic and refiles the questions that used it
+  async promoteTopicSuggestion(suggestionId) {
+    try {
+      const suggestion = await db.collection('topic_suggestions').findOneAndUpdate(
+        { _id: new ObjectId(suggestionId), status: 'open' },
+        { $set: { status: 'promoted', resolved_at: new Date() } }
       );
-      return true;
+      if (!suggestion) return null;
+
+      const title = sanitizeTopicTitle(suggestion.label);
+      const topicId = await this.createTopic(DEFAULT_TOPIC_EMOJI, title);
+      if (!topicId) {
+        await db.collection('topic_suggestions').updateOne({ _id: suggestion._id }, { $set: { status: 'open' } });
+        return null;
+      }
+
+      await db.collection('questions').updateMany(
+        { topic: suggestion.label },
+        { $set: { topic: formatTopicName(DEFAULT_TOPIC_EMOJI, title) } },
+        { collation: { locale: 'en', strength: 2 } }
+      );
+      return topicId;
     } catch (error) {
-      console.error('Mark notification read error:', error.message);
-      return false;
+      console.error('Promote topic suggestion error:', error.message);
+      return null;
     }
   },
 
-  async markAllNotificationsAsRead(userId) {
+  async dismissTopicSuggestion(suggestionId) {
     try {
-      await db.collection('notifications').updateMany(
-        { user_id: userId, read: false },
-        { $set: { read: true } }
+      const result = await db.collection('topic_suggestions').updateOne(
+        { _id: new ObjectId(suggestionId), status: 'open' },
+        { $set: { status: 'dismissed', resolved_at: new Date() } }
       );
-      return true;
+      return result.modifiedCount > 0;
     } catch (error) {
-      console.error('Mark all notifications read error:', error.message);
+      console.error('Dismiss topic suggestion error:', error.message);
       return false;
     }
   },
 
-  // SUBSCRIPTION SYSTEM
-  async subscribeToQuestion(userId, questionId) {
+  // ANSWER MODERATION
+  async isAnswerModerationEnabled(topicName) {
     try {
-      await db.collection('subscriptions').updateOne(
-        { user_id: userId, question_id: new ObjectId(questionId) },
-        { $setOnInsert: { 
-          user_id: userId, 
-          question_id: new ObjectId(questionId),
-          created_at: new Date()
-        }},
-        { upsert: true }
-      );
-      return true;
+      // Custom topics typed under "Others" follow the Others setting
+      const topic = await db.collection('topics').findOne({ name: topicName })
+        || await db.collection('topics').findOne({ is_other: true });
+      return topic ? topic.moderate_answers === true : false;
     } catch (error) {
-      console.error('Subscribe error:', error.message);
+      console.error('Get topic setting error:', error.message);
       return false;
     }
   },
 
-  async unsubscribeFromQuestion(userId, questionId) {
+  async setAnswerModeration(topicId, enabled) {
     try {
-      await db.collection('subscriptions').deleteOne({
-        user_id: userId,
-        question_id: new ObjectId(questionId)
-      });
+      await db.collection('topics').updateOne(
+        { _id: new ObjectId(topicId) },
+        { $set: { moderate_answers: enabled, updated_at: new Date() } }
+      );
       return true;
     } catch (error) {
-      console.error('Unsubscribe error:', error.message);
+      console.error('Set topic setting error:', error.message);
       return false;
     }
   },
 
-  async getSubscribers(questionId) {
+  // Moves a pending answer on, returning null if it was already reviewed
+  async reviewAnswer(answerId, moderatorId, status) {
     try {
-      const subscribers = await db.collection('subscriptions')
-        .find({ question_id: new ObjectId(questionId) })
+      const result = await db.collection('answers').updateOne(
+        { _id: new ObjectId(answerId), status: 'pending' },
+        { $set: { status: status, reviewed_by: moderatorId, reviewed_at: new Date() } }
+      );
+      if (result.modifiedCount !== 1) return null;
+
+      const answer = await this.getAnswerWithVotes(answerId);
+      if (status === 'approved') await this.countApprovedAnswer(answer);
+      return answer;
+    } catch (error) {
+      console.error('Review answer error:', error.message);
+      return null;
+    }
+  },
+
+  async getAnswersForQuestion(questionId, limit = 50) {
+    try {
+      return await db.collection('answers')
+        .find({ question_id: new ObjectId(questionId), status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } })
+        .sort({ accepted: -1, votes: -1, created_at: -1 })
+        .limit(limit)
         .toArray();
-      return subscribers.map(sub => sub.user_id);
     } catch (error) {
-      console.error('Get subscribers error:', error.message);
+      console.error('Get answers error:', error.message);
       return [];
     }
   },
 
-  async isSubscribed(userId, questionId) {
+  // One answer per browser page, sorted by votes ('top') or date ('new'), accepted answer first
+  async getAnswerAtPage(questionId, sort, page) {
     try {
-      const subscription = await db.collection('subscriptions').findOne({
-        user_id: userId,
-        question_id: new ObjectId(questionId)
-      });
-      return !!subscription;
+      const answers = await db.collection('answers')
+        .find({ question_id: new ObjectId(questionId), status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } })
+        .sort(sort === 'new' ? { accepted: -1, created_at: -1 } : { accepted: -1, votes: -1, created_at: -1 })
+        .skip(page)
+        .limit(1)
+        .toArray();
+      return answers[0] || null;
     } catch (error) {
-      console.error('Check subscription error:', error.message);
-      return false;
+      console.error('Get answer page error:', error.message);
+      return null;
     }
   },
 
-  async getUserSubscriptions(userId) {
+  async getAnswerCountForQuestion(questionId) {
     try {
-      return await db.collection('subscriptions')
-        .aggregate([
-          { $match: { user_id: userId } },
-          { $lookup: {
-              from: 'questions',
-              localField: 'question_id',
-              foreignField: '_id',
-              as: 'question'
-            }
-          }
-        ]).toArray();
+      return await db.collection('answers')
+        .countDocuments({ question_id: new ObjectId(questionId), status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } });
     } catch (error) {
-      console.error('Get user subscriptions error:', error.message);
-      return [];
+      console.error('Get answer count error:', error.message);
+      return 0;
     }
   },
 
-  // VOTING SYSTEM
-  async voteAnswer(userId, answerId, voteType) {
+  // COMMENTS
+  // Replies to a single answer. They carry user_id and alias like answers, so getAnswerAuthorName works on them.
+  async createComment(commentData) {
     try {
-      const answer = await this.getAnswerWithVotes(answerId);
-      if (!answer) return false;
-      
-      // Prevent self-voting
-      if (answer.user_id === userId) {
-        return false;
-      }
-
-      // Remove any existing vote
-      await db.collection('votes').deleteOne({
-        user_id: userId,
-        answer_id: new ObjectId(answerId)
-      });
-
-      // Add new vote
-      await db.collection('votes').insertOne({
-        user_id: userId,
-        answer_id: new ObjectId(answerId),
-        vote_type: voteType,
+      const comment = {
+        answer_id: new ObjectId(commentData.answerId),
+        question_id: new ObjectId(commentData.questionId),
+        user_id: commentData.userId,
+        alias: commentData.alias || null,
+        comment: commentData.comment,
+        status: commentData.status || 'approved',
         created_at: new Date()
-      });
-
-      // Update answer votes count
-      const voteValue = voteType === 'up' ? 1 : -1;
-      await db.collection('answers').updateOne(
-        { _id: new ObjectId(answerId) },
-        { $inc: { votes: voteValue } }
-      );
+      };
 
-      return true;
+      const result = await db.collection('comments').insertOne(comment);
+      return { ...comment, _id: result.insertedId };
     } catch (error) {
-      console.error('Vote error:', error.message);
-      return false;
+      console.error('Create comment error:', error.message);
+      return null;
     }
   },
 
-  async getUserVote(userId, answerId) {
+  async getComments(answerId, page) {
     try {
-      const vote = await db.collection('votes').findOne({
-        user_id: userId,
-        answer_id: new ObjectId(answerId)
-      });
-      return vote ? vote.vote_type : null;
+      return await db.collection('comments')
+        .find({ answer_id: new ObjectId(answerId), status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } })
+        .sort({ created_at: 1 })
+        .skip(page * COMMENTS_PER_PAGE)
+        .limit(COMMENTS_PER_PAGE)
+        .toArray();
     } catch (error) {
-      console.error('Get user vote error:', error.message);
-      return null;
+      console.error('Get comments error:', error.message);
+      return [];
     }
   },
 
-  async getAnswerWithVotes(answerId) {
+  async getCommentCount(answerId) {
     try {
-      return await db.collection('answers').findOne({ _id: new ObjectId(answerId) });
+      return await db.collection('comments')
+        .countDocuments({ answer_id: new ObjectId(answerId), status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } });
     } catch (error) {
-      console.error('Get answer with votes error:', error.message);
-      return null;
+      console.error('Get comment count error:', error.message);
+      return 0;
     }
   },
 
-  // CONTENT FILTERING
-  contentFilter(text) {
-    const bannedWords = ['spam', 'scam', 'http://', 'https://', 'telegram.me', 't.me/joinchat', 'bit.ly', 'tinyurl'];
-    
-    // Check for banned words
-    const lowerText = text.toLowerCase();
-    for (const word of bannedWords) {
-      if (lowerText.includes(word)) {
-        return { allowed: false, reason: `Contains banned content` };
-      }
-    }
-
-    // Check for excessive length
-    if (text.length > 2000) {
-      return { allowed: false, reason: 'Content too long (max 2000 characters)' };
+  async getComment(commentId) {
+    try {
+      return await db.collection('comments').findOne({ _id: new ObjectId(commentId) });
+    } catch (error) {
+      console.error('Get comment error:', error.message);
+      return null;
     }
+  },
 
-    // Check for excessive capital letters
-    const capitalLetters = (text.match(/[A-Z]/g) || []).length;
-    const capitalRatio = capitalLetters / text.length;
-    if (capitalRatio > 0.7 && text.length > 20) {
-      return { allowed: false, reason: 'Too many capital letters' };
+  // Moves a pending reply on, returning null if it was already reviewed
+  async reviewComment(commentId, moderatorId, status) {
+    try {
+      return await db.collection('comments').findOneAndUpdate(
+        { _id: new ObjectId(commentId), status: 'pending' },
+        { $set: { status: status, reviewed_by: moderatorId, reviewed_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Review comment error:', error.message);
+      return null;
     }
+  },
 
-    // Check for repetitive text
-    const repetitivePattern = /(.)\1{10,}/;
-    if (repetitivePattern.test(text)) {
-      return { allowed: false, reason: 'Repetitive text detected' };
-    }
+  async getSession(userId) {
+    try {
+      const session = await db.collection('sessions').findOne({ user_id: userId });
+      return session ? session.data : null;
+    } catch (error) {
+      console.error('Get session error:', error.message);
+      return null;
+    }
+  },
+
+  async saveSession(userId, sessionData) {
+    try {
+      await db.collection('sessions').updateOne(
+        { user_id: userId },
+        { $set: { data: sessionData, updated_at: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Save session error:', error.message);
+    }
+  },
+
+  async deleteSession(userId) {
+    try {
+      await db.collection('sessions').deleteOne({ user_id: userId });
+    } catch (error) {
+      console.error('Delete session error:', error.message);
+    }
+  },
+
+  async getTopUsers(limit = 10) {
+    try {
+      return await db.collection('users')
+        .find({})
+        .sort({ points: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error('Get top users error:', error.message);
+      return [];
+    }
+  },
+
+  async getAllUsers() {
+    try {
+      return await db.collection('users').find({}).toArray();
+    } catch (error) {
+      console.error('Get all users error:', error.message);
+      return [];
+    }
+  },
+
+  async getAllQuestions() {
+    try {
+      return await db.collection('questions').find({}).toArray();
+    } catch (error) {
+      console.error('Get all questions error:', error.message);
+      return [];
+    }
+  },
+
+  async getAllAnswers() {
+    try {
+      return await db.collection('answers').find({}).toArray();
+    } catch (error) {
+      console.error('Get all answers error:', error.message);
+      return [];
+    }
+  },
+
+  // ROLES & PERMISSIONS
+  async getRole(userId) {
+    if (userId === ADMIN_ID) return 'owner';
+    try {
+      const role = await db.collection('roles').findOne({ user_id: userId });
+      return role ? role.role : null;
+    } catch (error) {
+      console.error('Get role error:', error.message);
+      return null;
+    }
+  },
+
+  async hasPermission(userId, permission) {
+    const role = await this.getRole(userId);
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+  },
+
+  async setRole(userId, role, grantedBy) {
+    try {
+      await db.collection('roles').updateOne(
+        { user_id: userId },
+        {
+          $set: { role: role, granted_by: grantedBy, updated_at: new Date() },
+          $setOnInsert: { user_id: userId, on_duty: true, created_at: new Date() }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error('Set role error:', error.message);
+      return false;
+    }
+  },
+
+  async removeRole(userId) {
+    try {
+      await db.collection('roles').deleteOne({ user_id: userId });
+      return true;
+    } catch (error) {
+      console.error('Remove role error:', error.message);
+      return false;
+    }
+  },
+
+  async setOnDuty(userId, onDuty) {
+    try {
+      const role = await this.getRole(userId);
+      await db.collection('roles').updateOne(
+        { user_id: userId },
+        {
+          $set: { on_duty: onDuty },
+          $setOnInsert: { user_id: userId, role: role, created_at: new Date() }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error('Set on duty error:', error.message);
+      return false;
+    }
+  },
+
+  async getTeam() {
+    try {
+      const roles = await db.collection('roles').find({}).sort({ created_at: 1 }).toArray();
+      if (!roles.some(r => r.user_id === ADMIN_ID)) {
+        roles.unshift({ user_id: ADMIN_ID, role: 'owner', on_duty: true });
+      }
+      return roles;
+    } catch (error) {
+      console.error('Get team error:', error.message);
+      return [];
+    }
+  },
+
+  // Staff members who hold a permission and have not gone off duty.
+  // When everyone is off duty the owners still get it, so nothing goes unseen.
+  async getOnDutyStaff(permission) {
+    const team = await this.getTeam();
+    const onDuty = team
+      .filter(member => member.role === 'owner' || ROLE_PERMISSIONS[member.role]?.includes(permission))
+      .filter(member => member.on_duty !== false)
+      .map(member => member.user_id);
+    if (onDuty.length > 0) return onDuty;
+
+    const owners = team.filter(member => member.role === 'owner').map(member => member.user_id);
+    console.log(`No on-duty staff for ${permission}; falling back to the owner`);
+    return owners.length > 0 ? owners : [ADMIN_ID];
+  },
+
+  // Atomically marks a pending question as taken so two moderators cannot both act on it
+  async claimQuestionReview(questionId, moderatorId) {
+    try {
+      const result = await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId), approved: false, status: { $nin: ['rejected', 'queued', 'publishing'] }, reviewed_by: null },
+        { $set: { reviewed_by: moderatorId, reviewed_at: new Date() } }
+      );
+      return result.modifiedCount === 1;
+    } catch (error) {
+      console.error('Claim question review error:', error.message);
+      return false;
+    }
+  },
+
+  async releaseQuestionReview(questionId) {
+    try {
+      await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId) },
+        { $unset: { reviewed_by: '', reviewed_at: '' } }
+      );
+    } catch (error) {
+      console.error('Release question review error:', error.message);
+    }
+  },
+
+  // PUBLISHING QUEUE
+  // An approved question can wait in status 'queued' before it reaches the channel: either until
+  // publish_at, or in line by queue_position for the next paced slot. reviewed_by keeps the approver.
+  async queueQuestion(questionId, moderatorId, publishAt = null) {
+    try {
+      let position = null;
+      if (!publishAt) {
+        const last = await db.collection('questions')
+          .find({ status: 'queued', queue_position: { $ne: null } })
+          .sort({ queue_position: -1 })
+          .limit(1)
+          .toArray();
+        position = last.length > 0 ? last[0].queue_position + 1 : 1;
+      }
+
+      await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId) },
+        {
+          $set: { status: 'queued', publish_at: publishAt, queue_position: position },
+          $push: { history: { action: publishAt ? 'scheduled' : 'queued', by: moderatorId, publish_at: publishAt, at: new Date() } }
+        }
+      );
+      return await this.getQuestion(questionId);
+    } catch (error) {
+      console.error('Queue question error:', error.message);
+      return null;
+    }
+  },
+
+  // Scheduled questions by time, queued ones in line order
+  async getPublishQueue() {
+    try {
+      const questions = await db.collection('questions').find({ status: 'queued' }).toArray();
+      return {
+        scheduled: questions.filter(question => question.publish_at).sort((a, b) => a.publish_at - b.publish_at),
+        queued: questions.filter(question => !question.publish_at).sort((a, b) => a.queue_position - b.queue_position)
+      };
+    } catch (error) {
+      console.error('Get publish queue error:', error.message);
+      return { scheduled: [], queued: [] };
+    }
+  },
+
+  // Atomically takes a question out of the queue so the timer and a moderator cannot both post it
+  async takeQueuedQuestion(questionId) {
+    try {
+      return await db.collection('questions').findOneAndUpdate(
+        { _id: new ObjectId(questionId), status: 'queued' },
+        { $set: { status: 'publishing' } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Take queued question error:', error.message);
+      return null;
+    }
+  },
+
+  // Puts a question back after a failed post, counting the attempt; returns the updated question
+  async returnToQueue(questionId, errorMessage) {
+    try {
+      return await db.collection('questions').findOneAndUpdate(
+        { _id: new ObjectId(questionId), status: 'publishing' },
+        { $set: { status: 'queued', last_publish_error: errorMessage }, $inc: { publish_attempts: 1 } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Return to queue error:', error.message);
+      return null;
+    }
+  },
+
+  // Anything left mid-publish by a crash or restart goes back in the queue
+  async releasePublishingQuestions() {
+    try {
+      const result = await db.collection('questions').updateMany(
+        { status: 'publishing' },
+        { $set: { status: 'queued' } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Release publishing questions error:', error.message);
+      return 0;
+    }
+  },
+
+  async moveQueuedQuestion(questionId, direction) {
+    try {
+      const { queued } = await this.getPublishQueue();
+      const index = queued.findIndex(question => question._id.toString() === questionId);
+      const neighbour = queued[index + direction];
+      if (index === -1 || !neighbour) return false;
+
+      await db.collection('questions').bulkWrite([
+        { updateOne: { filter: { _id: queued[index]._id }, update: { $set: { queue_position: neighbour.queue_position } } } },
+        { updateOne: { filter: { _id: neighbour._id }, update: { $set: { queue_position: queued[index].queue_position } } } }
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Move queued question error:', error.message);
+      return false;
+    }
+  },
+
+  // Sends a queued question back to review, by a moderator or (as 'publish_failed') after repeated failed posts
+  async pullQueuedQuestion(questionId, moderatorId, action = 'pulled', errorMessage = null) {
+    try {
+      const result = await db.collection('questions').updateOne(
+        { _id: new ObjectId(questionId), status: 'queued' },
+        {
+          $set: { status: 'pending', publish_at: null, queue_position: null, publish_attempts: 0 },
+          $unset: { reviewed_by: '', reviewed_at: '' },
+          $push: { history: { action: action, by: moderatorId, error: errorMessage, at: new Date() } }
+        }
+      );
+      return result.modifiedCount === 1 ? await this.getQuestion(questionId) : null;
+    } catch (error) {
+      console.error('Pull queued question error:', error.message);
+      return null;
+    }
+  },
+
+  // Questions approved before published_at existed are ignored; they are long past the spacing anyway
+  async getLastPublishedAt() {
+    try {
+      const last = await db.collection('questions')
+        .find({ published_at: { $ne: null } })
+        .sort({ published_at: -1 })
+        .limit(1)
+        .toArray();
+      return last.length > 0 ? last[0].published_at : null;
+    } catch (error) {
+      console.error('Get last published error:', error.message);
+      return null;
+    }
+  },
+
+  async setReviewMessages(itemId, reviewMessages, collection = 'questions') {
+    try {
+      await db.collection(collection).updateOne(
+        { _id: new ObjectId(itemId) },
+        { $set: { review_messages: reviewMessages } }
+      );
+    } catch (error) {
+      console.error('Set review messages error:', error.message);
+    }
+  },
+
+  // Replace the Approve/Reject buttons every other moderator received, in each moderator's language
+  async closeReviewMessages(item, exceptChatId, statusKey, params = {}) {
+    // Review cards still waiting in the queue are no longer needed
+    await this.cancelQueuedMessages(item._id);
+    for (const review of item.review_messages || []) {
+      if (review.chat_id === exceptChatId) continue;
+      try {
+        const lang = await this.getUserLanguage(review.chat_id);
+        await bot.telegram.editMessageText(review.chat_id, review.message_id, undefined, t(lang, statusKey, params), {
+          parse_mode: 'Markdown'
+        });
+      } catch (editError) {
+        // Message may have been deleted by the moderator
+      }
+    }
+  },
+
+  // OUTBOUND QUEUE
+  // Messages wait in the outbox until the sender picks them up; see processOutbox.
+  // `options.track` names a document whose review_messages should record the sent message.
+  buildOutboxMessage(chatId, text, extra = {}, options = {}) {
+    const now = new Date();
+    return {
+      chat_id: chatId,
+      text: text,
+      extra: extra,
+      track: options.track || null,
+      media: options.media || null,
+      broadcast_id: options.broadcastId || null,
+      // Bulk sends yield to everything else
+      priority: options.broadcastId ? 1 : 0,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    };
+  },
+
+  async enqueueMessage(chatId, text, extra = {}, options = {}) {
+    try {
+      await db.collection('outbox').insertOne(this.buildOutboxMessage(chatId, text, extra, options));
+      wakeOutbox();
+      return true;
+    } catch (error) {
+      console.error('Enqueue message error:', error.message);
+      return false;
+    }
+  },
+
+  async enqueueBroadcast(broadcastId, userIds, text) {
+    try {
+      for (let i = 0; i < userIds.length; i += BROADCAST_BATCH_SIZE) {
+        const batch = userIds.slice(i, i + BROADCAST_BATCH_SIZE)
+          .map(userId => this.buildOutboxMessage(userId, text, { parse_mode: 'Markdown' }, { broadcastId: broadcastId }));
+        await db.collection('outbox').insertMany(batch, { ordered: false });
+      }
+      wakeOutbox();
+      return true;
+    } catch (error) {
+      console.error('Enqueue broadcast error:', error.message);
+      return false;
+    }
+  },
+
+  // Oldest due message whose chat is not cooling down, locked so it is only sent once
+  async claimOutboxMessage(busyChatIds) {
+    try {
+      return await db.collection('outbox').findOneAndUpdate(
+        { status: 'pending', next_attempt_at: { $lte: new Date() }, chat_id: { $nin: busyChatIds } },
+        { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+        { sort: { priority: 1, next_attempt_at: 1 }, returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Claim outbox message error:', error.message);
+      return null;
+    }
+  },
+
+  // Remembered so a retry of the text does not send the attachment twice
+  async setOutboxMediaSent(message, mediaMessageId) {
+    try {
+      await db.collection('outbox').updateOne(
+        { _id: message._id },
+        { $set: { media_message_id: mediaMessageId } }
+      );
+    } catch (error) {
+      console.error('Set outbox media sent error:', error.message);
+    }
+  },
+
+  async completeOutboxMessage(message, sentMessageId) {
+    try {
+      await db.collection('outbox').updateOne(
+        { _id: message._id },
+        { $set: { status: 'sent', message_id: sentMessageId, finished_at: new Date() } }
+      );
+      if (message.track) {
+        await db.collection(message.track.collection).updateOne(
+          { _id: message.track.id },
+          { $push: { review_messages: { chat_id: message.chat_id, message_id: sentMessageId } } }
+        );
+      }
+    } catch (error) {
+      console.error('Complete outbox message error:', error.message);
+    }
+  },
+
+  // Puts a message back in the queue; rate-limit waits do not count as a failed attempt
+  async retryOutboxMessage(message, delayMs, lastError, countAttempt = true) {
+    try {
+      await db.collection('outbox').updateOne(
+        { _id: message._id },
+        {
+          $set: { status: 'pending', next_attempt_at: new Date(Date.now() + delayMs), last_error: lastError },
+          $inc: { attempts: countAttempt ? 0 : -1 }
+        }
+      );
+    } catch (error) {
+      console.error('Retry outbox message error:', error.message);
+    }
+  },
+
+  async failOutboxMessage(message, lastError, errorCode = null) {
+    try {
+      await db.collection('outbox').updateOne(
+        { _id: message._id },
+        { $set: { status: 'failed', last_error: lastError, error_code: errorCode, finished_at: new Date() } }
+      );
+    } catch (error) {
+      console.error('Fail outbox message error:', error.message);
+    }
+  },
+
+  async cancelQueuedMessages(trackId) {
+    try {
+      await db.collection('outbox').deleteMany({ 'track.id': new ObjectId(trackId), status: 'pending' });
+    } catch (error) {
+      console.error('Cancel queued messages error:', error.message);
+    }
+  },
+
+  // Anything left mid-send by a crash or restart goes back in the queue
+  async releaseOutboxMessages() {
+    try {
+      const result = await db.collection('outbox').updateMany(
+        { status: 'sending' },
+        { $set: { status: 'pending', next_attempt_at: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Release outbox messages error:', error.message);
+      return 0;
+    }
+  },
+
+  // BROADCASTS
+  // segment: { type: 'all' } | { type: 'active', days } | { type: 'topic', topic_id } | { type: 'points', min_points }
+  async getBroadcastRecipients(segment) {
+    try {
+      if (segment.type === 'topic') {
+        return await db.collection('topic_follows').distinct('user_id', { topic_id: new ObjectId(segment.topic_id) });
+      }
+
+      let filter = {};
+      if (segment.type === 'active') {
+        filter = { last_active_at: { $gte: new Date(Date.now() - segment.days * 24 * 60 * 60 * 1000) } };
+      } else if (segment.type === 'points') {
+        filter = { points: { $gt: segment.min_points } };
+      }
+      return await db.collection('users').distinct('user_id', filter);
+    } catch (error) {
+      console.error('Get broadcast recipients error:', error.message);
+      return [];
+    }
+  },
+
+  async createBroadcast(adminId, text, segment, total) {
+    try {
+      const result = await db.collection('broadcasts').insertOne({
+        admin_id: adminId,
+        text: text,
+        segment: segment,
+        total: total,
+        // Stays 'queuing' until every message is in the outbox, so progress never reads as finished early
+        status: 'queuing',
+        created_at: new Date()
+      });
+      return result.insertedId;
+    } catch (error) {
+      console.error('Create broadcast error:', error.message);
+      return null;
+    }
+  },
+
+  async startBroadcast(broadcastId, chatId, messageId) {
+    try {
+      await db.collection('broadcasts').updateOne(
+        { _id: broadcastId },
+        { $set: { status: 'sending', progress_chat_id: chatId, progress_message_id: messageId } }
+      );
+    } catch (error) {
+      console.error('Start broadcast error:', error.message);
+    }
+  },
+
+  async getSendingBroadcasts() {
+    try {
+      return await db.collection('broadcasts').find({ status: 'sending' }).toArray();
+    } catch (error) {
+      console.error('Get sending broadcasts error:', error.message);
+      return [];
+    }
+  },
+
+  // Delivery counts straight from the outbox; 403 means the user blocked the bot
+  async getBroadcastCounts(broadcastId) {
+    try {
+      const counts = { sent: 0, failed: 0, blocked: 0, pending: 0 };
+      const groups = await db.collection('outbox').aggregate([
+        { $match: { broadcast_id: broadcastId } },
+        { $group: { _id: { status: '$status', error_code: '$error_code' }, count: { $sum: 1 } } }
+      ]).toArray();
+
+      for (const group of groups) {
+        if (group._id.status === 'sent') counts.sent += group.count;
+        else if (group._id.status === 'failed' && group._id.error_code === 403) counts.blocked += group.count;
+        else if (group._id.status === 'failed') counts.failed += group.count;
+        else counts.pending += group.count;
+      }
+      return counts;
+    } catch (error) {
+      console.error('Get broadcast counts error:', error.message);
+      return null;
+    }
+  },
+
+  async completeBroadcast(broadcastId, counts) {
+    try {
+      await db.collection('broadcasts').updateOne(
+        { _id: broadcastId },
+        { $set: { status: 'completed', sent: counts.sent, failed: counts.failed, blocked: counts.blocked, completed_at: new Date() } }
+      );
+    } catch (error) {
+      console.error('Complete broadcast error:', error.message);
+    }
+  },
+
+  // NOTIFICATION SYSTEM
+  async createNotification(userId, type, data) {
+    try {
+      const prefs = await this.getNotificationPrefs(userId);
+      const enabled = prefs[notificationCategory(type)] !== false;
+      // Muted types only show up in the menu; quiet hours and digest mode hold the push for later
+      const pushNow = enabled && !prefs.digest && !isQuietHour(prefs);
+
+      const notification = {
+        user_id: userId,
+        type: type,
+        data: data,
+        read: false,
+        pending_delivery: enabled && !pushNow,
+        created_at: new Date()
+      };
+
+      await db.collection('notifications').insertOne(notification);
+
+      // Send real-time notification
+      if (pushNow) {
+        await this.sendRealTimeNotification(userId, type, data);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Create notification error:', error.message);
+      return false;
+    }
+  },
+
+  async sendRealTimeNotification(userId, type, data) {
+    try {
+      const lang = await this.getUserLanguage(userId);
+      let message = '';
+      let buttons = [];
+
+      switch (type) {
+        case 'new_answer':
+          const question = await this.getQuestion(data.questionId);
+          if (question) {
+            message = t(lang, 'notify.new_answer', {
+              question: question.question,
+              from: data.answererName || t(lang, 'common.anonymous'),
+              answer: `${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`
+            });
+            buttons = [
+              [{ text: t(lang, 'btn.view_all_answers'), callback_data: `CHANNEL_BROWSE_${data.questionId}` }],
+              [{ text: t(lang, 'btn.unsubscribe'), callback_data: `UNSUBSCRIBE_${data.questionId}` }]
+            ];
+          }
+          break;
+
+        case 'new_comment':
+          message = t(lang, data.onOwnAnswer ? 'notify.comment_on_answer' : 'notify.new_comment', {
+            question: data.question.substring(0, 50),
+            from: data.commenterName || t(lang, 'common.anonymous'),
+            comment: markdownSnippet(data.comment, 200)
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.view_replies'), callback_data: `REPLIES_${data.answerId}_${data.page}_t_0` }]
+          ];
+          if (!data.onOwnAnswer) {
+            buttons.push([{ text: t(lang, 'btn.unsubscribe'), callback_data: `UNSUBSCRIBE_${data.questionId}` }]);
+          }
+          break;
+
+        case 'new_question_in_topic':
+          message = t(lang, 'notify.new_question_in_topic', {
+            topic: data.topic,
+            question: `${data.question.substring(0, 200)}${data.question.length > 200 ? '...' : ''}`
+          });
+          buttons = [
+            [
+              { text: t(lang, 'btn.answer'), callback_data: `CHANNEL_ANSWER_${data.questionId}` },
+              { text: t(lang, 'btn.see_question'), url: data.postUrl || chatLink(defaultPublishTarget(), data.channelMessageId) }
+            ],
+            [{ text: t(lang, 'btn.unfollow_topic'), callback_data: `UNFOLLOW_TOPIC_${data.topicId}` }]
+          ];
+          break;
+
+        case 'question_approved':
+          message = t(lang, 'notify.question_approved', { question: data.question, points: POINT_RULES.question_approved });
+          buttons = [
+            [{ text: t(lang, 'btn.see_question'), url: data.postUrl || chatLink(defaultPublishTarget(), data.channelMessageId) }]
+          ];
+          break;
+
+        case 'vote_received':
+          const answer = await this.getAnswerWithVotes(data.answerId);
+          if (answer) {
+            const question = await this.getQuestion(answer.question_id.toString());
+            message = t(lang, data.voteType === 'up' ? 'notify.upvote_received' : 'notify.downvote_received', {
+              question: question?.question.substring(0, 50),
+              answer: `${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`
+            });
+            buttons = [
+              [{ text: t(lang, 'btn.view_answer'), callback_data: `CHANNEL_BROWSE_${answer.question_id}` }]
+            ];
+          }
+          break;
+
+        case 'answer_accepted':
+          message = t(lang, 'notify.answer_accepted', {
+            question: data.question.substring(0, 50),
+            answer: `${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`,
+            points: POINT_RULES.answer_accepted
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.view_answers'), callback_data: `CHANNEL_BROWSE_${data.questionId}` }]
+          ];
+          break;
+
+        case 'answer_approved':
+          message = t(lang, 'notify.answer_approved', {
+            question: data.question.substring(0, 50),
+            answer: `${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`,
+            points: POINT_RULES.answer_posted
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.view_answers'), callback_data: `CHANNEL_BROWSE_${data.questionId}` }]
+          ];
+          break;
+
+        case 'answer_rejected':
+          message = t(lang, 'notify.answer_rejected', {
+            question: data.question.substring(0, 50),
+            answer: `${data.answer.substring(0, 100)}${data.answer.length > 100 ? '...' : ''}`
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.answer_again'), callback_data: `CHANNEL_ANSWER_${data.questionId}` }]
+          ];
+          break;
+
+        case 'comment_approved':
+          message = t(lang, 'notify.comment_approved', {
+            question: data.question.substring(0, 50),
+            comment: markdownSnippet(data.comment, 100)
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.view_replies'), callback_data: `REPLIES_${data.answerId}_${data.page}_t_0` }]
+          ];
+          break;
+
+        case 'comment_rejected':
+          message = t(lang, 'notify.comment_rejected', {
+            question: data.question.substring(0, 50),
+            comment: markdownSnippet(data.comment, 100)
+          });
+          buttons = [
+            [{ text: t(lang, 'btn.reply_again'), callback_data: `COMMENT_${data.answerId}` }]
+          ];
+          break;
+      }
+
+      if (message) {
+        await this.enqueueMessage(userId, message, {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: buttons }
+        });
+      }
+
+    } catch (error) {
+      console.log('Real-time notification failed:', error.message);
+    }
+  },
+
+  // Sends held notifications as one message; a single one goes out in full
+  async sendNotificationSummary(userId, notifications, titleKey) {
+    try {
+      if (notifications.length === 1) {
+        await this.sendRealTimeNotification(userId, notifications[0].type, notifications[0].data);
+        return true;
+      }
+
+      const lang = await this.getUserLanguage(userId);
+      let message = t(lang, titleKey, { count: notifications.length });
+      notifications.slice(0, DIGEST_MAX_ITEMS).forEach(notif => {
+        message += t(lang, `notifications.item_${notif.type}`, {
+          status: '🔔',
+          date: new Date(notif.created_at).toLocaleDateString(),
+          topic: notif.data && notif.data.topic
+        });
+      });
+      if (notifications.length > DIGEST_MAX_ITEMS) {
+        message += t(lang, 'digest.more', { count: notifications.length - DIGEST_MAX_ITEMS });
+      }
+
+      await this.enqueueMessage(userId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: t(lang, 'btn.notifications'), callback_data: 'NOTIFICATIONS_MENU' }]]
+        }
+      });
+      return true;
+    } catch (error) {
+      console.log('Notification summary failed:', error.message);
+      return false;
+    }
+  },
+
+  async getUsersWithPendingNotifications() {
+    try {
+      return await db.collection('notifications').distinct('user_id', { pending_delivery: true, read: false });
+    } catch (error) {
+      console.error('Get pending notification users error:', error.message);
+      return [];
+    }
+  },
+
+  // Returns the user's held notifications and clears them so they are only sent once
+  async takePendingNotifications(userId) {
+    try {
+      const notifications = await db.collection('notifications')
+        .find({ user_id: userId, pending_delivery: true, read: false })
+        .sort({ created_at: 1 })
+        .toArray();
+      await db.collection('notifications').updateMany(
+        { _id: { $in: notifications.map(n => n._id) } },
+        { $set: { pending_delivery: false } }
+      );
+      return notifications;
+    } catch (error) {
+      console.error('Take pending notifications error:', error.message);
+      return [];
+    }
+  },
+
+  // NOTIFICATION PREFERENCES
+  async getNotificationPrefs(userId) {
+    try {
+      const user = await db.collection('users').findOne({ user_id: userId }, { projection: { notification_prefs: 1 } });
+      return { ...DEFAULT_NOTIFICATION_PREFS, ...(user && user.notification_prefs) };
+    } catch (error) {
+      console.error('Get notification prefs error:', error.message);
+      return { ...DEFAULT_NOTIFICATION_PREFS };
+    }
+  },
+
+  async updateNotificationPrefs(userId, changes) {
+    try {
+      const update = {};
+      for (const [key, value] of Object.entries(changes)) {
+        update[`notification_prefs.${key}`] = value;
+      }
+      await db.collection('users').updateOne({ user_id: userId }, { $set: update });
+      return true;
+    } catch (error) {
+      console.error('Update notification prefs error:', error.message);
+      return false;
+    }
+  },
+
+  async getUserNotifications(userId, limit = 10) {
+    try {
+      return await db.collection('notifications')
+        .find({ user_id: userId })
+        .sort({ created_at: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error('Get notifications error:', error.message);
+      return [];
+    }
+  },
+
+  async markNotificationAsRead(notificationId) {
+    try {
+      await db.collection('notifications').updateOne(
+        { _id: new ObjectId(notificationId) },
+        { $set: { read: true, pending_delivery: false } }
+      );
+      return true;
+    } catch (error) {
+      console.error('Mark notification read error:', error.message);
+      return false;
+    }
+  },
+
+  async markAllNotificationsAsRead(userId) {
+    try {
+      await db.collection('notifications').updateMany(
+        { user_id: userId, read: false },
+        { $set: { read: true, pending_delivery: false } }
+      );
+      return true;
+    } catch (error) {
+      console.error('Mark all notifications read error:', error.message);
+      return false;
+    }
+  },
+
+  // SUBSCRIPTION SYSTEM
+  async subscribeToQuestion(userId, questionId) {
+    try {
+      await db.collection('subscriptions').updateOne(
+        { user_id: userId, question_id: new ObjectId(questionId) },
+        { $setOnInsert: { 
+          user_id: userId, 
+          question_id: new ObjectId(questionId),
+          created_at: new Date()
+        }},
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error('Subscribe error:', error.message);
+      return false;
+    }
+  },
+
+  async unsubscribeFromQuestion(userId, questionId) {
+    try {
+      await db.collection('subscriptions').deleteOne({
+        user_id: userId,
+        question_id: new ObjectId(questionId)
+      });
+      return true;
+    } catch (error) {
+      console.error('Unsubscribe error:', error.message);
+      return false;
+    }
+  },
+
+  async getSubscribers(questionId) {
+    try {
+      const subscribers = await db.collection('subscriptions')
+        .find({ question_id: new ObjectId(questionId) })
+        .toArray();
+      return subscribers.map(sub => sub.user_id);
+    } catch (error) {
+      console.error('Get subscribers error:', error.message);
+      return [];
+    }
+  },
+
+  async isSubscribed(userId, questionId) {
+    try {
+      const subscription = await db.collection('subscriptions').findOne({
+        user_id: userId,
+        question_id: new ObjectId(questionId)
+      });
+      return !!subscription;
+    } catch (error) {
+      console.error('Check subscription error:', error.message);
+      return false;
+    }
+  },
+
+  // TOPIC FOLLOWS
+  async followTopic(userId, topicId) {
+    try {
+      await db.collection('topic_follows').updateOne(
+        { user_id: userId, topic_id: new ObjectId(topicId) },
+        { $setOnInsert: { user_id: userId, topic_id: new ObjectId(topicId), created_at: new Date() } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error('Follow topic error:', error.message);
+      return false;
+    }
+  },
+
+  async unfollowTopic(userId, topicId) {
+    try {
+      await db.collection('topic_follows').deleteOne({ user_id: userId, topic_id: new ObjectId(topicId) });
+      return true;
+    } catch (error) {
+      console.error('Unfollow topic error:', error.message);
+      return false;
+    }
+  },
+
+  async getFollowedTopicIds(userId) {
+    try {
+      const follows = await db.collection('topic_follows').find({ user_id: userId }).toArray();
+      return follows.map(follow => follow.topic_id.toString());
+    } catch (error) {
+      console.error('Get followed topics error:', error.message);
+      return [];
+    }
+  },
+
+  // Custom topics typed under "Others" reach the Others followers
+  async getTopicFollowers(topicName) {
+    try {
+      const topic = await db.collection('topics').findOne({ name: topicName })
+        || await db.collection('topics').findOne({ is_other: true });
+      if (!topic) return { topic: null, followers: [] };
+
+      const follows = await db.collection('topic_follows').find({ topic_id: topic._id }).toArray();
+      return { topic: topic, followers: follows.map(follow => follow.user_id) };
+    } catch (error) {
+      console.error('Get topic followers error:', error.message);
+      return { topic: null, followers: [] };
+    }
+  },
+
+  async getUserSubscriptions(userId) {
+    try {
+      return await db.collection('subscriptions')
+        .aggregate([
+          { $match: { user_id: userId } },
+          { $lookup: {
+              from: 'questions',
+              localField: 'question_id',
+              foreignField: '_id',
+              as: 'question'
+            }
+          }
+        ]).toArray();
+    } catch (error) {
+      console.error('Get user subscriptions error:', error.message);
+      return [];
+    }
+  },
+
+  // VOTING SYSTEM
+  // voteType is 'up', 'down' or null to clear. Returns { previous, current } or false.
+  async voteAnswer(userId, answerId, voteType) {
+    try {
+      const answer = await this.getAnswerWithVotes(answerId);
+      if (!answer || answer.hidden || answer.status === 'pending' || answer.status === 'rejected') return false;
+      
+      // Prevent self-voting
+      if (answer.user_id === userId) {
+        return false;
+      }
+
+      const voteFilter = { user_id: userId, answer_id: new ObjectId(answerId) };
+
+      // Swap the vote document in one step and read back what it replaced
+      const previousVote = voteType
+        ? await db.collection('votes').findOneAndUpdate(
+          voteFilter,
+          {
+            $set: { vote_type: voteType, updated_at: new Date() },
+            $setOnInsert: { created_at: new Date() }
+          },
+          { upsert: true, returnDocument: 'before' }
+        )
+        : await db.collection('votes').findOneAndDelete(voteFilter);
+
+      const previous = previousVote ? previousVote.vote_type : null;
+      const delta = this.voteValue(voteType) - this.voteValue(previous);
+
+      // Reverse the old vote and apply the new one together
+      if (delta !== 0) {
+        await db.collection('answers').updateOne(
+          { _id: new ObjectId(answerId) },
+          { $inc: { votes: delta } }
+        );
+      }
+
+      // Mirror the change in the answerer's reputation
+      if (previous !== voteType) {
+        const refs = { question_id: answer.question_id, answer_id: answer._id, voter_id: userId };
+        if (previous) await this.awardPoints(answer.user_id, `${previous}vote_received`, refs, true);
+        if (voteType) await this.awardPoints(answer.user_id, `${voteType}vote_received`, refs);
+      }
+
+      return { previous: previous, current: voteType };
+    } catch (error) {
+      console.error('Vote error:', error.message);
+      return false;
+    }
+  },
+
+  voteValue(voteType) {
+    if (voteType === 'up') return 1;
+    if (voteType === 'down') return -1;
+    return 0;
+  },
+
+  async getUserVote(userId, answerId) {
+    try {
+      const vote = await db.collection('votes').findOne({
+        user_id: userId,
+        answer_id: new ObjectId(answerId)
+      });
+      return vote ? vote.vote_type : null;
+    } catch (error) {
+      console.error('Get user vote error:', error.message);
+      return null;
+    }
+  },
+
+  async getAnswerWithVotes(answerId) {
+    try {
+      return await db.collection('answers').findOne({ _id: new ObjectId(answerId) });
+    } catch (error) {
+      console.error('Get answer with votes error:', error.message);
+      return null;
+    }
+  },
+
+  // REPORTING SYSTEM
+  async getReportTarget(targetType, targetId) {
+    if (targetType === 'question') return await this.getQuestion(targetId);
+    if (targetType === 'comment') return await this.getComment(targetId);
+    return await this.getAnswerWithVotes(targetId);
+  },
+
+  async createReport(reporterId, targetType, targetId, reason) {
+    try {
+      await db.collection('reports').insertOne({
+        target_type: targetType,
+        target_id: new ObjectId(targetId),
+        reporter_id: reporterId,
+        reason: reason,
+        status: 'open',
+        created_at: new Date()
+      });
+    } catch (error) {
+      if (error.code === 11000) return { created: false, hidden: false }; // Already reported by this user
+      console.error('Create report error:', error.message);
+      return null;
+    }
+
+    const openReports = await db.collection('reports').countDocuments({
+      target_type: targetType,
+      target_id: new ObjectId(targetId),
+      status: 'open'
+    });
+
+    const target = await this.getReportTarget(targetType, targetId);
+    if (target && !target.hidden && openReports >= REPORT_HIDE_THRESHOLD) {
+      await this.setContentHidden(targetType, targetId, true);
+      return { created: true, hidden: true };
+    }
+    return { created: true, hidden: false };
+  },
+
+  async setContentHidden(targetType, targetId, hidden, noticeKey = 'channel.hidden_notice') {
+    try {
+      const collection = { question: 'questions', answer: 'answers', comment: 'comments' }[targetType];
+      await db.collection(collection).updateOne(
+        { _id: new ObjectId(targetId) },
+        { $set: { hidden: hidden } }
+      );
+
+      if (targetType === 'answer') {
+        const answer = await db.collection('answers').findOne({ _id: new ObjectId(targetId) });
+        if (answer) await refreshAnswerCount(answer.question_id.toString());
+        return true;
+      }
+      if (targetType !== 'question') return true;
+
+      // Mirror the state on the channel post
+      const question = await this.getQuestion(targetId);
+      if (!question || !question.channel_message_id) return true;
+
+      try {
+        if (hidden) {
+          await bot.telegram.editMessageText(
+            questionChat(question).chat_id,
+            question.channel_message_id,
+            undefined,
+            t(CHANNEL_LANGUAGE, noticeKey),
+            { parse_mode: 'Markdown' }
+          );
+          // The notice can't cover an attachment, so it comes down with the post
+          if (question.channel_media_message_id) {
+            await bot.telegram.deleteMessage(questionChat(question).chat_id, question.channel_media_message_id);
+            await db.collection('questions').updateOne(
+              { _id: question._id },
+              { $set: { channel_media_message_id: null } }
+            );
+          }
+        } else {
+          await refreshChannelPost(question);
+        }
+      } catch (editError) {
+        console.log('Channel post update failed:', editError.message);
+      }
+      return true;
+    } catch (error) {
+      console.error('Set content hidden error:', error.message);
+      return false;
+    }
+  },
+
+  // Open reports grouped by the content they target, oldest first
+  async getOpenReportGroups() {
+    try {
+      return await db.collection('reports').aggregate([
+        { $match: { status: 'open' } },
+        { $group: {
+            _id: { target_type: '$target_type', target_id: '$target_id' },
+            count: { $sum: 1 },
+            reasons: { $push: '$reason' },
+            first_reported: { $min: '$created_at' }
+          }
+        },
+        { $sort: { first_reported: 1 } }
+      ]).toArray();
+    } catch (error) {
+      console.error('Get open reports error:', error.message);
+      return [];
+    }
+  },
+
+  async resolveReports(targetType, targetId, status, moderatorId) {
+    try {
+      await db.collection('reports').updateMany(
+        { target_type: targetType, target_id: new ObjectId(targetId), status: 'open' },
+        { $set: { status: status, resolved_by: moderatorId, resolved_at: new Date() } }
+      );
+      return true;
+    } catch (error) {
+      console.error('Resolve reports error:', error.message);
+      return false;
+    }
+  },
+
+  // SEARCH
+  // Ranks approved questions by their own text score plus the best matching answer
+  async searchQuestions(terms, topic = null) {
+    try {
+      const visibleQuestion = { approved: true, hidden: { $ne: true } };
+      if (topic) visibleQuestion.topic = topic;
+
+      const questionMatches = await db.collection('questions')
+        .find({ $text: { $search: terms }, ...visibleQuestion }, { projection: { score: { $meta: 'textScore' } } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(100)
+        .toArray();
+
+      const answerMatches = await db.collection('answers')
+        .find(
+          { $text: { $search: terms }, status: { $nin: ['pending', 'rejected'] }, hidden: { $ne: true } },
+          { projection: { question_id: 1, score: { $meta: 'textScore' } } }
+        )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(200)
+        .toArray();
+
+      const results = new Map();
+      for (const question of questionMatches) {
+        results.set(question._id.toString(), { question: question, score: question.score, answerHits: 0 });
+      }
+
+      // Answer hits count for half as much as a hit in the question itself
+      const answerScores = new Map();
+      for (const answer of answerMatches) {
+        const key = answer.question_id.toString();
+        const entry = answerScores.get(key) || { best: 0, hits: 0 };
+        entry.best = Math.max(entry.best, answer.score);
+        entry.hits++;
+        answerScores.set(key, entry);
+      }
+
+      const missingIds = [...answerScores.keys()].filter(id => !results.has(id)).map(id => new ObjectId(id));
+      if (missingIds.length > 0) {
+        const answeredQuestions = await db.collection('questions')
+          .find({ _id: { $in: missingIds }, ...visibleQuestion })
+          .toArray();
+        for (const question of answeredQuestions) {
+          results.set(question._id.toString(), { question: question, score: 0, answerHits: 0 });
+        }
+      }
+
+      for (const [key, entry] of answerScores) {
+        const result = results.get(key);
+        if (!result) continue;
+        result.score += entry.best * 0.5;
+        result.answerHits = entry.hits;
+      }
+
+      return [...results.values()].sort((a, b) => b.score - a.score);
+    } catch (error) {
+      console.error('Search questions error:', error.message);
+      return [];
+    }
+  },
+
+  async saveSearch(userId, terms) {
+    try {
+      const result = await db.collection('searches').insertOne({
+        user_id: userId,
+        terms: terms,
+        topic: null,
+        created_at: new Date()
+      });
+      return result.insertedId;
+    } catch (error) {
+      console.error('Save search error:', error.message);
+      return null;
+    }
+  },
+
+  async getSearch(searchId) {
+    try {
+      return await db.collection('searches').findOne({ _id: new ObjectId(searchId) });
+    } catch (error) {
+      console.error('Get search error:', error.message);
+      return null;
+    }
+  },
+
+  async setSearchTopic(searchId, topic) {
+    try {
+      await db.collection('searches').updateOne(
+        { _id: new ObjectId(searchId) },
+        { $set: { topic: topic } }
+      );
+    } catch (error) {
+      console.error('Set search topic error:', error.message);
+    }
+  },
+
+  // RECOUNT
+  // Rebuilds denormalised counters from the source collections and reports what drifted
+  async recountAll() {
+    const report = { answerVotes: 0, answerCounts: 0, userStats: 0 };
+
+    // answers.votes from the votes collection
+    const voteTotals = await db.collection('votes').aggregate([
+      { $group: {
+          _id: '$answer_id',
+          total: { $sum: { $cond: [{ $eq: ['$vote_type', 'up'] }, 1, -1] } }
+        }
+      }
+    ]).toArray();
+    const votesByAnswer = new Map(voteTotals.map(v => [v._id.toString(), v.total]));
+
+    const answers = await db.collection('answers').find({}).toArray();
+    const answerUpdates = [];
+    for (const answer of answers) {
+      const expected = votesByAnswer.get(answer._id.toString()) || 0;
+      if ((answer.votes || 0) !== expected) {
+        answerUpdates.push({ updateOne: { filter: { _id: answer._id }, update: { $set: { votes: expected } } } });
+      }
+    }
+    if (answerUpdates.length > 0) await db.collection('answers').bulkWrite(answerUpdates);
+    report.answerVotes = answerUpdates.length;
+
+    // questions.answer_count from live, visible answers
+    const liveAnswers = answers.filter(a => a.status !== 'pending' && a.status !== 'rejected');
+    const answersByQuestion = new Map();
+    for (const answer of liveAnswers.filter(a => !a.hidden)) {
+      const key = answer.question_id.toString();
+      answersByQuestion.set(key, (answersByQuestion.get(key) || 0) + 1);
+    }
+
+    const questions = await db.collection('questions').find({}).toArray();
+    const questionUpdates = [];
+    for (const question of questions) {
+      const expected = answersByQuestion.get(question._id.toString()) || 0;
+      if ((question.answer_count || 0) !== expected) {
+        questionUpdates.push({ updateOne: { filter: { _id: question._id }, update: { $set: { answer_count: expected } } } });
+      }
+    }
+    if (questionUpdates.length > 0) await db.collection('questions').bulkWrite(questionUpdates);
+    report.answerCounts = questionUpdates.length;
+
+    // users: questions_asked and answers_given from content, points from the ledger
+    const questionsByUser = new Map();
+    for (const question of questions.filter(q => q.approved)) {
+      questionsByUser.set(question.user_id, (questionsByUser.get(question.user_id) || 0) + 1);
+    }
+    const answersByUser = new Map();
+    for (const answer of liveAnswers) {
+      answersByUser.set(answer.user_id, (answersByUser.get(answer.user_id) || 0) + 1);
+    }
+
+    const ledgerTotals = await db.collection('points_ledger').aggregate([
+      { $group: { _id: '$user_id', total: { $sum: '$delta' } } }
+    ]).toArray();
+    const pointsByUser = new Map(ledgerTotals.map(entry => [entry._id, entry.total]));
+
+    const users = await db.collection('users').find({}).toArray();
+    const userUpdates = [];
+    for (const user of users) {
+      const questionsAsked = questionsByUser.get(user.user_id) || 0;
+      const answersGiven = answersByUser.get(user.user_id) || 0;
+      const points = pointsByUser.get(user.user_id) || 0;
+      if (user.questions_asked !== questionsAsked || user.answers_given !== answersGiven || user.points !== points) {
+        userUpdates.push({
+          updateOne: {
+            filter: { _id: user._id },
+            update: { $set: { questions_asked: questionsAsked, answers_given: answersGiven, points: points } }
+          }
+        });
+      }
+    }
+    if (userUpdates.length > 0) await db.collection('users').bulkWrite(userUpdates);
+    report.userStats = userUpdates.length;
+
+    return report;
+  },
+
+  // CONTENT FILTERING
+  // context: { topic, kind, userId }. Blocks are logged whenever a userId is given.
+  contentFilter(text, lang = DEFAULT_LANGUAGE, context = {}) {
+    const result = checkContentRules(text, context.topic, context.kind);
+    if (result.allowed) return { allowed: true, reason: '', rule: null };
+
+    if (context.userId) {
+      // Not awaited: logging must not slow the reply down
+      this.logFilterBlock(context, result.rule, text);
+    }
+    return { allowed: false, reason: t(lang, result.reasonKey, result.params), rule: result.rule };
+  },
+
+  async logFilterBlock(context, rule, text) {
+    try {
+      await db.collection('filter_log').insertOne({
+        user_id: context.userId,
+        kind: context.kind || null,
+        topic: context.topic || null,
+        rule: rule,
+        text: text.substring(0, 500),
+        created_at: new Date()
+      });
+    } catch (error) {
+      console.error('Log filter block error:', error.message);
+    }
+  },
+
+  // Which rules fired most recently, for tuning them
+  async getFilterBlockStats(days) {
+    try {
+      return await db.collection('filter_log').aggregate([
+        { $match: { created_at: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } } },
+        { $group: { _id: { type: '$rule.type', value: '$rule.value', scope: '$rule.scope' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 5 }
+      ]).toArray();
+    } catch (error) {
+      console.error('Get filter stats error:', error.message);
+      return [];
+    }
+  },
+
+  async seedFilterRules() {
+    try {
+      // Seeding happens once; an empty rule list afterwards means moderators removed them all
+      const marker = await db.collection('migrations').updateOne(
+        { _id: 'filter_rules_seeded' },
+        { $setOnInsert: { applied_at: new Date() } },
+        { upsert: true }
+      );
+      if (marker.upsertedCount === 0) return;
+      // Rules seeded before the marker existed are left as they are
+      if (await db.collection('filter_rules').countDocuments() > 0) return;
+
+      const rules = DEFAULT_FILTER_RULES.map(rule => ({ ...rule, topic_id: null, created_at: new Date() }));
+      await db.collection('filter_rules').insertMany(rules);
+      console.log(`✅ Seeded ${rules.length} content filter rules`);
+    } catch (error) {
+      console.error('Seed filter rules error:', error.message);
+    }
+  },
+
+  async loadFilterRules() {
+    try {
+      const rules = await db.collection('filter_rules').find().sort({ created_at: 1 }).toArray();
+      const topics = await this.getTopics(true);
+      const topicNames = new Map(topics.map(topic => [topic._id.toString(), topic.name]));
+
+      const loaded = { global: emptyFilterRuleSet(), topics: new Map() };
+      for (const rule of rules) {
+        let ruleSet = loaded.global;
+        if (rule.topic_id) {
+          const topicName = topicNames.get(rule.topic_id.toString());
+          if (!topicName) continue;
+          if (!loaded.topics.has(topicName)) loaded.topics.set(topicName, emptyFilterRuleSet());
+          ruleSet = loaded.topics.get(topicName);
+        }
+        addToFilterRuleSet(ruleSet, rule, rule.topic_id ? topicNames.get(rule.topic_id.toString()) : null);
+      }
+      filterRules = loaded;
+    } catch (error) {
+      console.error('Load filter rules error:', error.message);
+    }
+  },
+
+  async getFilterRules(topicId) {
+    try {
+      return await db.collection('filter_rules')
+        .find({ topic_id: topicId ? new ObjectId(topicId) : null })
+        .sort({ created_at: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Get filter rules error:', error.message);
+      return [];
+    }
+  },
+
+  // Length limits hold one value per scope, so a new one replaces the old
+  async addFilterRule(type, value, topicId, adminId) {
+    try {
+      const scope = topicId ? new ObjectId(topicId) : null;
+      if (type === 'maxlen' || type === 'minlen') {
+        await db.collection('filter_rules').deleteMany({ type: type, topic_id: scope });
+      }
+      await db.collection('filter_rules').insertOne({
+        type: type,
+        value: value,
+        topic_id: scope,
+        created_by: adminId,
+        created_at: new Date()
+      });
+      await this.loadFilterRules();
+      return true;
+    } catch (error) {
+      console.error('Add filter rule error:', error.message);
+      return false;
+    }
+  },
+
+  async deleteFilterRule(ruleId) {
+    try {
+      const rule = await db.collection('filter_rules').findOneAndDelete({ _id: new ObjectId(ruleId) });
+      await this.loadFilterRules();
+      return rule;
+    } catch (error) {
+      console.error('Delete filter rule error:', error.message);
+      return null;
+    }
+  }
+};
+
+// ==================== LOCALISATION ====================
+// Looks up a catalogue string and fills in its {placeholders}
+function t(lang, key, params = {}) {
+  const catalogue = LOCALES[lang] || LOCALES[DEFAULT_LANGUAGE];
+  const template = catalogue[key] !== undefined ? catalogue[key] : LOCALES[DEFAULT_LANGUAGE][key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// Maps Telegram's language_code (e.g. "am", "om", "en-US") to a supported language
+function detectLanguage(languageCode) {
+  const code = (languageCode || '').split('-')[0].toLowerCase();
+  return LOCALES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+// ==================== NOTIFICATION HELPERS ====================
+function notificationCategory(type) {
+  return Object.keys(NOTIFICATION_CATEGORIES).find(category => NOTIFICATION_CATEGORIES[category].includes(type));
+}
+
+// Hour of the day (0-23) at the given UTC offset
+function localHour(utcOffset, date = new Date()) {
+  return (date.getUTCHours() + utcOffset + 24) % 24;
+}
+
+// Calendar date (YYYY-MM-DD) at the given UTC offset
+function localDateKey(utcOffset, date = new Date()) {
+  return new Date(date.getTime() + utcOffset * 3600000).toISOString().slice(0, 10);
+}
+
+// Quiet hours may wrap past midnight, e.g. 22:00-07:00
+function isQuietHour(prefs, date = new Date()) {
+  if (prefs.quiet_start == null || prefs.quiet_end == null || prefs.quiet_start === prefs.quiet_end) return false;
+  const hour = localHour(prefs.utc_offset, date);
+  return prefs.quiet_start < prefs.quiet_end
+    ? hour >= prefs.quiet_start && hour < prefs.quiet_end
+    : hour >= prefs.quiet_start || hour < prefs.quiet_end;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatUtcOffset(utcOffset) {
+  return `UTC${utcOffset >= 0 ? '+' : '-'}${Math.abs(utcOffset)}`;
+}
+
+// Topics can be routed to groups, where the bot sees replies to its posts and, as an admin,
+// every message. Only the buttons on its posts work there; messages are handled in private chats,
+// so group chatter never feeds a session or gets a reply.
+bot.use(async (ctx, next) => {
+  if (ctx.message && ctx.chat && ctx.chat.type !== 'private') return;
+  return next();
+});
+
+// Every update carries the sender's language as ctx.lang, with ctx.t as a shortcut
+bot.use(async (ctx, next) => {
+  ctx.lang = ctx.from ? await dbHelpers.getUserLanguage(ctx.from.id, ctx.from.language_code) : DEFAULT_LANGUAGE;
+  ctx.t = (key, params) => t(ctx.lang, key, params);
+  return next();
+});
+
+// Keeps last_active_at fresh for the "active users" broadcast segment
+bot.use(async (ctx, next) => {
+  if (ctx.from) await dbHelpers.touchUser(ctx.from.id);
+  return next();
+});
+
+// ==================== RESTRICTIONS ====================
+// Buttons that start or submit a question, answer, appeal or feedback
+const POSTING_ACTIONS = /^(ASK_QUESTION|START_QUESTION|SUBMIT_QUESTION|SUBMIT_ANYWAY|EDIT_QUESTION|SET_ANSWER_ALIAS|SEND_FEEDBACK|TOPIC_[0-9a-f]{24}|CHANNEL_ANSWER_.+|COMMENT_[0-9a-f]{24}|RESUBMIT_[0-9a-f]{24}|APPEAL_[0-9a-f]{24})$/;
+// Buttons that vote, accept or report - muted users keep these, read-only users don't
+const PARTICIPATION_ACTIONS = /^(VOTE_(UP|DOWN|NONE)_.+|ACCEPT_.+|REPORT_(q|a|c)_[0-9a-f]{24}|REPORT_REASON_.+)$/;
+
+// Sorts an update into 'posting', 'participation' or 'other'
+function classifyUpdate(ctx) {
+  if (ctx.callbackQuery) {
+    const data = ctx.callbackQuery.data || '';
+    if (POSTING_ACTIONS.test(data)) return 'posting';
+    if (PARTICIPATION_ACTIONS.test(data)) return 'participation';
+    return 'other';
+  }
+
+  if (ctx.message) {
+    const text = ctx.message.text || '';
+    const command = text.match(/^\/(\w+)(?:@\w+)?(?:\s+(\S+))?/);
+    // Plain messages only ever feed an ask/answer/feedback session
+    if (!command) return 'posting';
+    if (command[1] === 'ask') return 'posting';
+    if (command[1] === 'start' && command[2] && command[2].startsWith('answer_')) return 'posting';
+    if (command[1] === 'start' && command[2] && command[2].startsWith('report_')) return 'participation';
+  }
+
+  return 'other';
+}
+
+function isBlockedBy(restriction, updateClass) {
+  switch (restriction.type) {
+    case 'ban':
+      return true;
+    case 'read_only':
+      return updateClass === 'posting' || updateClass === 'participation';
+    case 'mute':
+      return updateClass === 'posting';
+    default:
+      return false;
+  }
+}
+
+// "30m", "12h", "7d" -> milliseconds; "perm" -> Infinity; anything else -> null
+function parseDuration(text) {
+  if (/^perm(anent)?$/i.test(text || '')) return Infinity;
+  const match = (text || '').match(/^(\d+)([mhd])$/i);
+  if (!match) return null;
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const ms = parseInt(match[1]) * units[match[2].toLowerCase()];
+  return ms > 0 && ms <= MAX_RESTRICTION_DAYS * units.d ? ms : null;
+}
+
+// Two largest units, e.g. "2d 3h" or "45m"
+function formatDuration(ms, lang) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const parts = [
+    { count: Math.floor(minutes / 1440), key: 'duration.days' },
+    { count: Math.floor((minutes % 1440) / 60), key: 'duration.hours' },
+    { count: minutes % 60, key: 'duration.minutes' }
+  ].filter(part => part.count > 0);
+  return parts.slice(0, 2).map(part => t(lang, part.key, { count: part.count })).join(' ');
+}
+
+function formatRestrictionNotice(restriction, lang) {
+  return t(lang, RESTRICTION_NOTICES[restriction.type], {
+    reason: restriction.reason,
+    remaining: restriction.expires_at
+      ? t(lang, 'restriction.remaining', { duration: formatDuration(restriction.expires_at - Date.now(), lang) })
+      : t(lang, 'restriction.permanent')
+  });
+}
+
+// Stops banned, muted and read-only users before any handler sees the update
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return next();
+
+  const restriction = await dbHelpers.getActiveRestriction(ctx.from.id);
+  if (!restriction || !isBlockedBy(restriction, classifyUpdate(ctx))) return next();
+
+  const notice = formatRestrictionNotice(restriction, ctx.lang);
+  try {
+    if (ctx.callbackQuery) {
+      // Alerts are capped at 200 characters
+      await ctx.answerCbQuery(notice.substring(0, 200), { show_alert: true });
+    } else if (ctx.inlineQuery) {
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+    } else if (ctx.message) {
+      await ctx.reply(notice);
+    }
+  } catch (error) {
+    console.log('Restriction notice failed:', error.message);
+  }
+});
+
+// ==================== RATE LIMITS ====================
+// Returns null, after telling the user how long to wait, when the action is over its limit.
+// Otherwise returns the check result, whose eventId is released if the action then fails.
+async function enforceRateLimit(ctx, action) {
+  const result = await dbHelpers.checkRateLimit(ctx.from.id, action);
+  if (result.allowed) return result;
+
+  const notice = ctx.t(`rate_limit.${action}`, {
+    limit: result.limit,
+    window: formatDuration(result.windowMinutes * 60 * 1000, ctx.lang),
+    wait: formatDuration(result.retryAfterMs, ctx.lang)
+  });
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(notice, { show_alert: true });
+  } else {
+    await ctx.reply(notice);
+  }
+
+  if (result.alert) await alertRateLimitAbuse(ctx.from.id, action);
+  return null;
+}
+
+async function alertRateLimitAbuse(userId, action) {
+  const user = await dbHelpers.getUser(userId);
+  const staff = await dbHelpers.getOnDutyStaff('ban');
+  for (const staffId of staff) {
+    const lang = await dbHelpers.getUserLanguage(staffId);
+    await dbHelpers.enqueueMessage(staffId, t(lang, 'rate_limit.alert', {
+      name: dbHelpers.getDisplayName(user, null, lang),
+      id: userId,
+      action: t(lang, `rate_limit.action_${action}`),
+      count: RATE_LIMIT_ALERT_THRESHOLD,
+      window: formatDuration(RATE_LIMIT_ALERT_WINDOW_MINUTES * 60 * 1000, lang)
+    }), { parse_mode: 'Markdown' });
+  }
+  console.log(`⏳ User ${userId} keeps hitting the ${action} rate limit`);
+}
+
+// ==================== RESTRICTION COMMANDS ====================
+// /ban, /mute and /readonly all take: <user id> <duration> <reason>
+async function handleRestrictCommand(ctx, type) {
+  if (!await dbHelpers.hasPermission(ctx.from.id, 'ban')) {
+    await ctx.reply(ctx.t('common.access_denied'));
+    return;
+  }
+
+  const [, targetArg, durationArg, ...reasonWords] = ctx.message.text.split(/\s+/);
+  const targetId = parseInt(targetArg);
+  const duration = parseDuration(durationArg);
+  const reason = reasonWords.join(' ').trim();
+
+  if (!targetId || !duration || !reason) {
+    await ctx.reply(ctx.t('restriction.usage', { command: ctx.message.text.split(/\s+/)[0], max: MAX_RESTRICTION_DAYS }));
+    return;
+  }
+  if (type === 'mute' && duration === Infinity) {
+    await ctx.reply(ctx.t('restriction.mute_needs_expiry'));
+    return;
+  }
+  if (targetId === ctx.from.id || await dbHelpers.getRole(targetId)) {
+    await ctx.reply(ctx.t('restriction.staff'));
+    return;
+  }
+
+  const target = await dbHelpers.getUser(targetId);
+  if (!target) {
+    await ctx.reply(ctx.t('common.user_not_found'));
+    return;
+  }
+
+  const expiresAt = duration === Infinity ? null : new Date(Date.now() + duration);
+  const restriction = await dbHelpers.restrictUser(targetId, type, reason, expiresAt, ctx.from.id);
+  if (!restriction) {
+    await ctx.reply(ctx.t('common.error_occurred'));
+    return;
+  }
+  // Drop any half-finished question or answer
+  await dbHelpers.deleteSession(targetId);
+
+  await ctx.reply(ctx.t('restriction.applied', {
+    name: dbHelpers.getDisplayName(target, null, ctx.lang),
+    id: targetId,
+    type: ctx.t(`restriction.type_${type}`),
+    expiry: expiresAt ? formatDuration(duration, ctx.lang) : ctx.t('restriction.forever'),
+    reason: escapeMarkdown(reason)
+  }), { parse_mode: 'Markdown' });
+
+  const targetLang = await dbHelpers.getUserLanguage(targetId);
+  await dbHelpers.enqueueMessage(targetId, formatRestrictionNotice(restriction, targetLang));
+}
+
+bot.command('ban', async (ctx) => {
+  try {
+    await handleRestrictCommand(ctx, 'ban');
+  } catch (error) {
+    console.log('Ban command error:', error.message);
+  }
+});
+
+bot.command('mute', async (ctx) => {
+  try {
+    await handleRestrictCommand(ctx, 'mute');
+  } catch (error) {
+    console.log('Mute command error:', error.message);
+  }
+});
+
+bot.command('readonly', async (ctx) => {
+  try {
+    await handleRestrictCommand(ctx, 'read_only');
+  } catch (error) {
+    console.log('Read-only command error:', error.message);
+  }
+});
+
+bot.command(['unban', 'unmute', 'unrestrict'], async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'ban')) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    const targetId = parseInt(ctx.message.text.split(/\s+/)[1]);
+    if (!targetId) {
+      await ctx.reply(ctx.t('restriction.lift_usage'));
+      return;
+    }
+
+    if (!await dbHelpers.liftRestriction(targetId, ctx.from.id)) {
+      await ctx.reply(ctx.t('restriction.none_active', { id: targetId }));
+      return;
+    }
+
+    await ctx.reply(ctx.t('restriction.lifted', { id: targetId }));
+    const targetLang = await dbHelpers.getUserLanguage(targetId);
+    await dbHelpers.enqueueMessage(targetId, t(targetLang, 'restriction.lifted_notice'));
+  } catch (error) {
+    console.log('Lift restriction command error:', error.message);
+  }
+});
+
+// ==================== CONTENT FILTER ====================
+function emptyFilterRuleSet() {
+  return { terms: [], regexes: [], domains: [], maxlen: null, minlen: null };
+}
+
+// Rules are reported as { type, value, scope }, scope being the topic name for overrides
+function addToFilterRuleSet(ruleSet, rule, scope) {
+  const ref = { type: rule.type, value: rule.value, scope: scope };
+  if (rule.type === 'term') {
+    ruleSet.terms.push(ref);
+  } else if (rule.type === 'regex') {
+    // Rules saved before the safety check existed are re-checked here
+    if (isUnsafeRegex(rule.value)) {
+      console.error('Unsafe filter regex skipped:', rule.value);
+      return;
+    }
+    try {
+      ruleSet.regexes.push({ rule: ref, pattern: new RegExp(rule.value, 'iu') });
+    } catch (error) {
+      console.error('Invalid filter regex skipped:', rule.value);
+    }
+  } else if (rule.type === 'domain') {
+    ruleSet.domains.push(ref);
+  } else if (rule.type === 'maxlen' || rule.type === 'minlen') {
+    ruleSet[rule.type] = ref;
+  }
+}
+
+// Topic overrides add terms, patterns and domains to the global ones; their length limits replace the global ones
+function checkContentRules(text, topic, kind) {
+  const global = filterRules.global;
+  const local = (topic && filterRules.topics.get(topic)) || emptyFilterRuleSet();
+  const blocked = (rule, reasonKey, params = {}) => ({ allowed: false, rule: rule, reasonKey: reasonKey, params: params });
+
+  // Aliases have their own length limit
+  if (kind !== 'alias') {
+    const maxlen = local.maxlen || global.maxlen;
+    if (maxlen && text.length > maxlen.value) {
+      return blocked(maxlen, 'filter.too_long', { max: maxlen.value });
+    }
+    const minlen = local.minlen || global.minlen;
+    if (minlen && text.trim().length < minlen.value) {
+      return blocked(minlen, 'filter.too_short', { min: minlen.value });
+    }
+  }
+
+  const lowerText = text.toLowerCase();
+  const term = [...global.terms, ...local.terms].find(rule => lowerText.includes(rule.value));
+  if (term) return blocked(term, 'filter.banned_content');
+
+  const regex = [...global.regexes, ...local.regexes].find(entry => entry.pattern.test(text));
+  if (regex) return blocked(regex.rule, 'filter.banned_content');
+
+  const domains = [...global.domains, ...local.domains].map(rule => rule.value);
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    const host = match[1].toLowerCase().replace(/^www\./, '').replace(/\.+$/, '');
+    if (!domains.some(domain => host === domain || host.endsWith(`.${domain}`))) {
+      return blocked({ type: 'link', value: host, scope: null }, 'filter.link_not_allowed', { domain: host });
+    }
+  }
+
+  // Only cased letters count, so Ge'ez script neither trips nor dilutes the check
+  const letters = text.match(/[\p{Lu}\p{Ll}]/gu) || [];
+  const capitals = text.match(/\p{Lu}/gu) || [];
+  if (letters.length > 20 && capitals.length / letters.length > 0.7) {
+    return blocked({ type: 'caps', value: null, scope: null }, 'filter.too_many_capitals');
+  }
+
+  if (/(.)\1{10,}/u.test(text)) {
+    return blocked({ type: 'repetition', value: null, scope: null }, 'filter.repetitive');
+  }
+
+  return { allowed: true, rule: null };
+}
+
+// Patterns run synchronously on every message, and a repeated group that itself repeats or
+// alternates, like (a+)+ or (a|aa)+, can backtrack long enough to stall the whole bot. Those are
+// refused, as are backreferences; this errs on the side of refusing a few harmless patterns.
+function isUnsafeRegex(source) {
+  // Each open group notes whether it holds a repetition or an alternation
+  const groups = [{ repeats: false, alternates: false }];
+  let closedGroup = null;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const afterGroup = closedGroup;
+    closedGroup = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return true;
+      i++;
+    } else if (char === '[') {
+      // Quantifier characters inside a class are literal
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ')') {
+      if (groups.length > 1) {
+        closedGroup = groups.pop();
+        const parent = groups[groups.length - 1];
+        parent.repeats = parent.repeats || closedGroup.repeats;
+        parent.alternates = parent.alternates || closedGroup.alternates;
+      }
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      if (afterGroup && (afterGroup.repeats || afterGroup.alternates)) return true;
+      if (char !== '{' || /^\{\d+,\}/.test(source.slice(i))) groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+}
+
+// Returns the value to store, or null when the input is not valid for the rule type
+function normalizeFilterRule(type, input) {
+  const value = input.trim();
+  if (type === 'term') {
+    const term = value.toLowerCase();
+    return term && term.length <= 100 ? term : null;
+  }
+  if (type === 'regex') {
+    if (!value || value.length > 200 || isUnsafeRegex(value)) return null;
+    try {
+      new RegExp(value, 'iu');
+      return value;
+    } catch (error) {
+      return null;
+    }
+  }
+  if (type === 'domain') {
+    const domain = value.toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[\/?#:].*$/, '')
+      .replace(/^www\./, '')
+      .replace(/\.+$/, '');
+    return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? domain : null;
+  }
+  const limit = parseInt(value);
+  return /^\d+$/.test(value) && limit >= 1 && limit <= MAX_FILTER_LENGTH_LIMIT ? limit : null;
+}
+
+function formatFilterValue(value) {
+  return `\`${String(value).replace(/`/g, "'")}\``;
+}
+
+function describeFilterRule(rule, lang) {
+  let text = t(lang, FILTER_RULE_LABELS[rule.type] || 'filter.type_unknown');
+  if (rule.value !== null && rule.value !== undefined) {
+    text += ` ${formatFilterValue(rule.value)}`;
+  }
+  if (rule.scope) {
+    text += t(lang, 'filter.topic_scope', { topic: rule.scope });
+  }
+  return text;
+}
+
+// ==================== TEXT SIMILARITY ====================
+// Words too common to say anything about a question, in English and Afaan Oromoo
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'if', 'in',
+  'is', 'it', 'my', 'of', 'on', 'or', 'should', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where',
+  'which', 'who', 'why', 'with', 'you', 'your',
+  'akka', 'ani', 'dha', 'fi', 'hin', 'inni', 'irratti', 'isa', 'kan', 'kana', 'keessa', 'keessatti', 'maal',
+  'maaliif', 'akkamitti', 'eessa', 'eenyu', 'yoo', 'moo', 'ykn', 'ni', 'waan', 'ta', 'jira'
+]);
+
+// Longest first, so "ness" is tried before "s"
+const STEM_SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ness', 'ings', 'ing', 'edly', 'ies', 'ied', 'ed', 'es', 'ly', 's', 'oota', 'wwan', 'ota', 'oo'];
+
+// Strips one common suffix, keeping at least three letters of the word
+function stemWord(word) {
+  for (const suffix of STEM_SUFFIXES) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+// Lower-cased, stemmed words with stopwords dropped; works for Latin and Ge'ez script alike
+function termSet(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  return new Set(words
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stemWord));
+}
+
+// Dice coefficient: 1 for the same terms, 0 for nothing in common
+function termSimilarity(termsA, termsB) {
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+  let shared = 0;
+  for (const term of termsA) {
+    if (termsB.has(term)) shared++;
+  }
+  return (2 * shared) / (termsA.size + termsB.size);
+}
+
+// ==================== TOPIC HELPERS ====================
+function formatTopicName(emoji, title) {
+  return `${emoji} ${title}`;
+}
+
+// Topic titles end up inside Markdown messages, so drop the characters that would break them
+function sanitizeTopicTitle(title) {
+  return title.replace(/[*_`\[\]]/g, '').replace(/\s+/g, ' ').trim().substring(0, MAX_TOPIC_TITLE_LENGTH);
+}
+
+// Escapes legacy Markdown entity characters in text someone else wrote
+function escapeMarkdown(text) {
+  return String(text).replace(/([*_`\[])/g, '\\$1');
+}
+
+// Shortens someone else's text for a Markdown message. A cut can land inside a *bold* or
+// _italic_ pair and leave it unclosed, so the entity characters are escaped after cutting.
+function markdownSnippet(text, maxLength) {
+  return escapeMarkdown(`${text.substring(0, maxLength)}${text.length > maxLength ? '...' : ''}`);
+}
+
+// Category picker shown while asking a question
+async function buildTopicKeyboard(lang) {
+  const topics = await dbHelpers.getTopics();
+  const keyboard = topics.map(topic => [{ text: topic.name, callback_data: `TOPIC_${topic._id}` }]);
+  keyboard.push([{ text: t(lang, 'btn.cancel'), callback_data: 'BACK_TO_MAIN' }]);
+  return keyboard;
+}
+
+// ==================== MEDIA HELPERS ====================
+// The attachment on an incoming message in the form stored on questions and answers, or null
+function extractMedia(message) {
+  if (message.photo && message.photo.length > 0) {
+    // Telegram lists the sizes smallest first
+    const photo = message.photo[message.photo.length - 1];
+    return { type: 'photo', file_id: photo.file_id, file_unique_id: photo.file_unique_id, file_size: photo.file_size || 0 };
+  }
+  if (message.voice) {
+    const voice = message.voice;
+    return {
+      type: 'voice',
+      file_id: voice.file_id,
+      file_unique_id: voice.file_unique_id,
+      file_size: voice.file_size || 0,
+      duration: voice.duration
+    };
+  }
+  if (message.document) {
+    const document = message.document;
+    return {
+      type: 'document',
+      file_id: document.file_id,
+      file_unique_id: document.file_unique_id,
+      file_size: document.file_size || 0,
+      file_name: document.file_name || null,
+      mime_type: document.mime_type || null
+    };
+  }
+  return null;
+}
+
+function sendMedia(chatId, media, extra = {}) {
+  switch (media.type) {
+    case 'photo':
+      return bot.telegram.sendPhoto(chatId, media.file_id, extra);
+    case 'voice':
+      return bot.telegram.sendVoice(chatId, media.file_id, extra);
+    default:
+      return bot.telegram.sendDocument(chatId, media.file_id, extra);
+  }
+}
+
+// Question or answer text followed by a note naming its attachment, if any
+function withMediaNote(text, media, lang) {
+  if (!media) return text;
+  return `${text}\n${t(lang, 'media.attached', { type: t(lang, MEDIA_TYPES[media.type]) })}`;
+}
+
+// ==================== CHANNEL POST HELPERS ====================
+// Where questions go when their topic isn't routed anywhere else
+function defaultPublishTarget() {
+  return {
+    chat_id: PUBLIC_CHANNEL,
+    username: PUBLIC_CHANNEL.startsWith('@') ? PUBLIC_CHANNEL.substring(1) : null,
+    title: null,
+    thread_id: null
+  };
+}
+
+// The chat a question was posted to; questions from before topic routing all went to PUBLIC_CHANNEL
+function questionChat(question) {
+  return question.channel_chat_id
+    ? { chat_id: question.channel_chat_id, username: question.channel_username || null }
+    : defaultPublishTarget();
+}
+
+// Public chats link by username; private ones use the t.me/c/ form, which opens for members
+function chatLink(chat, messageId = null) {
+  if (chat.username) return `https://t.me/${chat.username}${messageId ? `/${messageId}` : ''}`;
+  if (!messageId) return chat.invite_link || null;
+  return `https://t.me/c/${String(chat.chat_id).replace(/^-100/, '')}/${messageId}`;
+}
+
+// One link button per chat, skipping private chats the bot has no invite link for
+function buildChannelLinkRows(targets, lang, labelKey) {
+  return targets
+    .filter(target => chatLink(target))
+    .map(target => [{
+      text: target.title ? t(lang, 'btn.view_named_channel', { title: target.title }) : t(lang, labelKey),
+      url: chatLink(target)
+    }]);
+}
+
+function formatChannelPost(question, lang = CHANNEL_LANGUAGE) {
+  const answeredMarker = question.accepted_answer_id ? `\n\n${t(lang, 'channel.answered')}` : '';
+  return t(lang, 'channel.post', { topic: question.topic, question: question.question }) + answeredMarker;
+}
+
+// Redraws the channel post text and buttons from the stored question
+async function refreshChannelPost(question) {
+  const questionId = question._id.toString();
+  const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+  await bot.telegram.editMessageText(
+    questionChat(question).chat_id,
+    question.channel_message_id,
+    undefined,
+    formatChannelPost(question),
+    { parse_mode: 'Markdown', reply_markup: buildChannelKeyboard(questionId, answerCount) }
+  );
+}
+
+function buildChannelKeyboard(questionId, answerCount, lang = CHANNEL_LANGUAGE) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(lang, 'btn.answer'), callback_data: `CHANNEL_ANSWER_${questionId}` },
+        { text: t(lang, 'btn.browse_count', { count: answerCount }), callback_data: `CHANNEL_BROWSE_${questionId}` }
+      ],
+      [
+        { text: t(lang, 'btn.open_in_bot'), url: `https://t.me/${bot.botInfo.username}?start=channel_${questionId}` },
+        { text: t(lang, 'btn.report'), callback_data: `REPORT_q_${questionId}` }
+      ]
+    ]
+  };
+}
+
+// ==================== START COMMAND ====================
+bot.command('start', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const userName = ctx.from.first_name || ctx.t('common.user');
+    const startPayload = ctx.startPayload;
+    
+    // Create/update user in database
+    let user = await dbHelpers.getUser(userId);
+    if (!user) {
+      user = await dbHelpers.createUser(userId, ctx.from.username || userName);
+    } else {
+      user = await dbHelpers.ensurePseudonym(user);
+    }
+
+    // First visit: remember the language Telegram reports until the user picks one
+    if (user && !user.language) {
+      await dbHelpers.setUserLanguage(userId, ctx.lang);
+    }
+
+    // Handle deep links
+    if (startPayload) {
+      if (startPayload.startsWith('channel_')) {
+        const questionId = startPayload.replace('channel_', '');
+        const question = await dbHelpers.getQuestion(questionId);
+        
+        if (question && question.approved && !question.hidden) {
+          await ctx.reply(ctx.t('start.channel_question', { topic: question.topic, question: question.question }), {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: ctx.t('btn.answer_question'), callback_data: `CHANNEL_ANSWER_${questionId}` }],
+                [{ text: ctx.t('btn.browse_view_answers'), callback_data: `CHANNEL_BROWSE_${questionId}` }],
+                [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+              ]
+            }
+          });
+          return;
+        }
+      }
+      
+      const reportMatch = startPayload.match(/^report_(q|a|c)_([0-9a-f]{24})$/);
+      if (reportMatch) {
+        await sendReportPicker(userId, reportMatch[1], reportMatch[2], ctx.lang);
+        return;
+      }
+      
+      if (startPayload.startsWith('answer_')) {
+        const questionId = startPayload.replace('answer_', '');
+        const question = await dbHelpers.getQuestion(questionId);
+        
+        if (question && question.approved && !question.hidden) {
+          await dbHelpers.saveSession(userId, {
+            step: 'awaiting_answer',
+            questionId: questionId,
+            questionText: question.question,
+            channelMessageId: question.channel_message_id
+          });
+
+          await ctx.reply(ctx.t('answer.prompt', { question: question.question }), {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: ctx.t('btn.answer_under_alias'), callback_data: 'SET_ANSWER_ALIAS' }],
+                [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+              ]
+            }
+          });
+          return;
+        }
+      }
+    }
+    
+    // Normal start flow
+    const welcomeMessage = ctx.t('start.welcome', { name: userName });
+
+    await ctx.reply(welcomeMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.ask_question'), callback_data: 'ASK_QUESTION' }],
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }],
+          [{ text: ctx.t('btn.settings'), callback_data: 'MORE_OPTIONS' }],
+          [{ text: ctx.t('btn.help'), callback_data: 'HELP_MENU' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.log('Start command error:', error.message);
+  }
+});
+
+// ==================== ASK COMMAND ====================
+bot.command('ask', async (ctx) => {
+  try {
+    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_question' });
+
+    await ctx.reply(ctx.t('ask.prompt'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.log('Ask command error:', error.message);
+  }
+});
+
+// ==================== MYPROFILE COMMAND ====================
+bot.command('myprofile', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const user = await dbHelpers.ensurePseudonym(await dbHelpers.getUser(userId));
+    
+    if (!user) {
+      await ctx.reply(ctx.t('profile.start_first'));
+      return;
+    }
+
+    const allUsers = await dbHelpers.getAllUsers();
+    const userRank = allUsers.sort((a, b) => b.points - a.points).findIndex(u => u.user_id === userId) + 1;
+    const totalUsers = allUsers.length;
+
+    const profileText = ctx.t('profile.text', {
+      name: dbHelpers.getDisplayName(user, null, ctx.lang),
+      pseudonym: user.pseudonym || ctx.t('common.not_set'),
+      realHandle: ctx.t(user.show_real_name ? 'common.yes' : 'common.no'),
+      points: user.points,
+      questions: user.questions_asked,
+      answers: user.answers_given,
+      rank: userRank,
+      totalUsers: totalUsers,
+      joined: new Date(user.join_date).toLocaleDateString()
+    });
+
+    await ctx.reply(profileText, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.leaderboard'), callback_data: 'LEADERBOARD' }],
+          [{ text: ctx.t('btn.reputation_history'), callback_data: 'REP_HISTORY_0' }],
+          [{ text: ctx.t('btn.new_pseudonym'), callback_data: 'REGENERATE_PSEUDONYM' }],
+          [{ text: ctx.t(user.show_real_name ? 'btn.hide_real_handle' : 'btn.show_real_handle'), callback_data: 'TOGGLE_REAL_NAME' }],
+          [{ text: ctx.t('btn.notifications'), callback_data: 'NOTIFICATIONS_MENU' }],
+          [{ text: ctx.t('btn.back_main_menu'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.log('Myprofile command error:', error.message);
+  }
+});
+
+// ==================== SETTINGS COMMAND ====================
+bot.command('settings', async (ctx) => {
+  try {
+    await ctx.reply(ctx.t('settings.title'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.language', { language: LANGUAGE_NAMES[ctx.lang] }), callback_data: 'LANGUAGE_MENU' }],
+          [{ text: ctx.t('btn.notifications'), callback_data: 'NOTIFICATIONS_MENU' }],
+          [{ text: ctx.t('btn.statistics'), callback_data: 'BOT_STATS' }],
+          [{ text: ctx.t('btn.subscriptions'), callback_data: 'SUBSCRIPTION_SETTINGS' }],
+          [{ text: ctx.t('btn.back_main_menu'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.log('Settings command error:', error.message);
+  }
+});
+
+// ==================== HELP COMMAND ====================
+bot.command('help', async (ctx) => {
+  try {
+    await ctx.reply(ctx.t('help.title'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.how_to_ask'), callback_data: 'HOW_TO_ASK' }],
+          [{ text: ctx.t('btn.how_to_answer'), callback_data: 'HOW_TO_COMMENT' }],
+          [{ text: ctx.t('btn.safety_guide'), callback_data: 'SAFETY_GUIDE' }],
+          [{ text: ctx.t('btn.contact_support'), callback_data: 'CONTACT_SUPPORT' }],
+          [{ text: ctx.t('btn.back_main_menu'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.log('Help command error:', error.message);
+  }
+});
+
+// ==================== ADMIN COMMANDS ====================
+bot.command('admin', async (ctx) => {
+  try {
+    const role = await dbHelpers.getRole(ctx.from.id);
+    if (!role) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    const pendingCount = await db.collection('questions').countDocuments({ approved: false, status: { $nin: ['rejected', 'queued', 'publishing'] } });
+    const totalQuestions = await db.collection('questions').countDocuments({ approved: true });
+    const totalAnswers = await db.collection('answers').countDocuments();
+    const totalUsers = await db.collection('users').countDocuments();
+
+    const openReports = await db.collection('reports').countDocuments({ status: 'open' });
+
+    const queuedCount = await db.collection('questions').countDocuments({ status: 'queued' });
+
+    const keyboard = [
+      [{ text: ctx.t('btn.view_pending'), callback_data: 'ADMIN_PENDING' }],
+      [{ text: ctx.t('btn.publish_queue', { count: queuedCount }), callback_data: 'PUBQUEUE' }],
+      [{ text: ctx.t('btn.reports_queue', { count: openReports }), callback_data: 'REPORTS_PAGE_0' }]
+    ];
+    if (ROLE_PERMISSIONS[role].includes('view_stats')) {
+      keyboard.push([{ text: ctx.t('btn.full_statistics'), callback_data: 'ADMIN_STATS' }]);
+    }
+    if (ROLE_PERMISSIONS[role].includes('broadcast')) {
+      keyboard.push([{ text: ctx.t('btn.broadcast'), callback_data: 'BROADCAST_START' }]);
+    }
+    if (ROLE_PERMISSIONS[role].includes('manage_settings')) {
+      keyboard.push([{ text: ctx.t('btn.answer_moderation'), callback_data: 'ANSWER_MOD_SETTINGS' }]);
+      keyboard.push([{ text: ctx.t('btn.topics'), callback_data: 'TOPICS_ADMIN' }]);
+      keyboard.push([{ text: ctx.t('btn.content_filter'), callback_data: 'FILTER_SCOPE_g' }]);
+    }
+    keyboard.push(
+      [{ text: ctx.t('btn.moderation_team'), callback_data: 'ADMIN_TEAM' }],
+      [{ text: ctx.t('btn.back_main_menu'), callback_data: 'BACK_TO_MAIN' }]
+    );
+
+    await ctx.reply(ctx.t('admin.panel', {
+      role: ctx.t(ROLE_LABELS[role]),
+      pending: pendingCount,
+      questions: totalQuestions,
+      answers: totalAnswers,
+      users: totalUsers
+    }), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  } catch (error) {
+    console.log('Admin command error:', error.message);
+  }
+});
+
+bot.command('recount', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    await ctx.reply(ctx.t('recount.started'));
+    const report = await dbHelpers.recountAll();
+    const total = report.answerVotes + report.answerCounts + report.userStats;
+
+    await ctx.reply(ctx.t('recount.complete', {
+      answerVotes: report.answerVotes,
+      answerCounts: report.answerCounts,
+      userStats: report.userStats,
+      summary: total === 0 ? ctx.t('recount.consistent') : ctx.t('recount.corrected', { count: total })
+    }), {
+      parse_mode: 'Markdown'
+    });
+  } catch (error) {
+    console.log('Recount command error:', error.message);
+    await ctx.reply(ctx.t('recount.failed'));
+  }
+});
+
+// ==================== MODERATION TEAM ====================
+bot.command('promote', async (ctx) => {
+  try {
+    const role = await dbHelpers.getRole(ctx.from.id);
+    if (!role || !ROLE_PERMISSIONS[role].includes('manage_roles')) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    const [targetArg, newRole] = ctx.message.text.split(/\s+/).slice(1);
+    const targetId = parseInt(targetArg);
+
+    if (!targetId || !ROLE_PERMISSIONS[newRole] || newRole === 'owner') {
+      await ctx.reply(ctx.t('team.promote_usage'));
+      return;
+    }
+
+    if (!ROLE_MANAGEABLE[role].includes(newRole)) {
+      await ctx.reply(ctx.t('team.cannot_grant', { role: ctx.t(ROLE_LABELS[role]), newRole: ctx.t(ROLE_LABELS[newRole]) }));
+      return;
+    }
+
+    const currentRole = await dbHelpers.getRole(targetId);
+    if (currentRole && !ROLE_MANAGEABLE[role].includes(currentRole)) {
+      await ctx.reply(ctx.t('team.cannot_change', { role: ctx.t(ROLE_LABELS[currentRole]) }));
+      return;
+    }
+
+    const target = await dbHelpers.getUser(targetId);
+    if (!target) {
+      await ctx.reply(ctx.t('team.user_not_found'));
+      return;
+    }
+
+    await dbHelpers.setRole(targetId, newRole, ctx.from.id);
+    await ctx.reply(ctx.t('team.promoted', { name: dbHelpers.getDisplayName(target, null, ctx.lang), id: targetId, role: ctx.t(ROLE_LABELS[newRole]) }), { parse_mode: 'Markdown' });
+
+    const targetLang = await dbHelpers.getUserLanguage(targetId);
+    await dbHelpers.enqueueMessage(targetId, t(targetLang, 'team.welcome', { role: t(targetLang, ROLE_LABELS[newRole]) }), {
+      parse_mode: 'Markdown'
+    });
+  } catch (error) {
+    console.log('Promote command error:', error.message);
+  }
+});
+
+bot.command('demote', async (ctx) => {
+  try {
+    const role = await dbHelpers.getRole(ctx.from.id);
+    if (!role || !ROLE_PERMISSIONS[role].includes('manage_roles')) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    const targetId = parseInt(ctx.message.text.split(/\s+/)[1]);
+    if (!targetId) {
+      await ctx.reply(ctx.t('team.demote_usage'));
+      return;
+    }
+
+    const currentRole = await dbHelpers.getRole(targetId);
+    if (!currentRole) {
+      await ctx.reply(ctx.t('team.no_role'));
+      return;
+    }
+
+    if (!ROLE_MANAGEABLE[role].includes(currentRole)) {
+      await ctx.reply(ctx.t('team.cannot_demote', { role: ctx.t(ROLE_LABELS[currentRole]) }));
+      return;
+    }
+
+    await dbHelpers.removeRole(targetId);
+    await ctx.reply(ctx.t('team.demoted', { id: targetId, role: ctx.t(ROLE_LABELS[currentRole]) }));
+
+    const targetLang = await dbHelpers.getUserLanguage(targetId);
+    await dbHelpers.enqueueMessage(targetId, t(targetLang, 'team.removed', { role: t(targetLang, ROLE_LABELS[currentRole]) }));
+  } catch (error) {
+    console.log('Demote command error:', error.message);
+  }
+});
+
+bot.command('duty', async (ctx) => {
+  try {
+    const role = await dbHelpers.getRole(ctx.from.id);
+    if (!role) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    const team = await dbHelpers.getTeam();
+    const member = team.find(m => m.user_id === ctx.from.id);
+    const onDuty = !(member && member.on_duty !== false);
+
+    await dbHelpers.setOnDuty(ctx.from.id, onDuty);
+    await ctx.reply(ctx.t(onDuty ? 'team.on_duty' : 'team.off_duty'));
+  } catch (error) {
+    console.log('Duty command error:', error.message);
+  }
+});
+
+bot.action('ADMIN_TEAM', async (ctx) => {
+  try {
+    if (!await dbHelpers.getRole(ctx.from.id)) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const team = await dbHelpers.getTeam();
+    let message = ctx.t('team.title');
+
+    for (const member of team) {
+      const user = await dbHelpers.getUser(member.user_id);
+      message += `${ctx.t(ROLE_LABELS[member.role])} • ${dbHelpers.getDisplayName(user, null, ctx.lang)} (${member.user_id})\n`;
+      message += `   ${ctx.t(member.on_duty !== false ? 'team.status_on_duty' : 'team.status_off_duty')}\n\n`;
+    }
+
+    message += ctx.t('team.commands');
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.refresh'), callback_data: 'ADMIN_TEAM' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Admin team error:', error.message);
+  }
+});
+
+// ==================== ASK QUESTION FLOW ====================
+bot.action('ASK_QUESTION', async (ctx) => {
+  try {
+    await ctx.editMessageText(ctx.t('ask.menu'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.start_question'), callback_data: 'START_QUESTION' }],
+          [{ text: ctx.t('btn.browse_questions'), callback_data: 'BROWSE_QUESTIONS' }],
+          [{ text: ctx.t('btn.send_feedback'), callback_data: 'SEND_FEEDBACK' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Ask question error:', error.message);
+  }
+});
+
+bot.action('START_QUESTION', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    await dbHelpers.saveSession(userId, { step: 'awaiting_question' });
+
+    await ctx.editMessageText(ctx.t('ask.prompt'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Start question error:', error.message);
+  }
+});
+
+// ==================== TOPIC SELECTION ====================
+bot.action(/^TOPIC_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+    
+    if (session && session.step === 'awaiting_topic') {
+      const topic = await dbHelpers.getTopic(ctx.match[1]);
+      if (!topic || topic.archived) {
+        await ctx.answerCbQuery(ctx.t('ask.topic_unavailable'));
+        return;
+      }
+      
+      if (topic.is_other) {
+        session.waitingForCustomTopic = true;
+        await dbHelpers.saveSession(userId, session);
+        
+        await ctx.editMessageText(ctx.t('ask.custom_topic'), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('btn.back_to_topics'), callback_data: 'SHOW_TOPICS' }]
+            ]
+          }
+        });
+      } else {
+        session.topic = topic.name;
+        session.step = 'confirm_question';
+        delete session.customTopic;
+        await dbHelpers.saveSession(userId, session);
+
+        await ctx.editMessageText(ctx.t('ask.preview', { topic: topic.name, question: withMediaNote(session.question, session.media, ctx.lang) }), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+              [{ text: ctx.t('btn.submit_question'), callback_data: 'SUBMIT_QUESTION' }],
+              [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+            ]
+          }
+        });
+      }
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic selection error:', error.message);
+  }
+});
+
+bot.action('SHOW_TOPICS', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+    
+    if (session && session.step === 'awaiting_topic') {
+      delete session.waitingForCustomTopic;
+      await dbHelpers.saveSession(userId, session);
+      
+      await ctx.editMessageText(ctx.t('ask.choose_category'), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: await buildTopicKeyboard(ctx.lang)
+        }
+      });
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Show topics error:', error.message);
+  }
+});
+
+// ==================== EDIT QUESTION ====================
+bot.action('EDIT_QUESTION', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+    
+    if (session && session.question) {
+      session.step = 'editing_question';
+      await dbHelpers.saveSession(userId, session);
+      
+      await ctx.editMessageText(ctx.t('ask.edit_prompt', { question: session.question }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('btn.cancel_edit'), callback_data: 'CANCEL_EDIT' }]
+          ]
+        }
+      });
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Edit question error:', error.message);
+  }
+});
+
+bot.action('CANCEL_EDIT', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+    
+    if (session) {
+      session.step = 'confirm_question';
+      await dbHelpers.saveSession(userId, session);
+      
+      await ctx.editMessageText(ctx.t('ask.preview', { topic: session.topic, question: withMediaNote(session.question, session.media, ctx.lang) }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+            [{ text: ctx.t('btn.submit_question'), callback_data: 'SUBMIT_QUESTION' }],
+            [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+          ]
+        }
+      });
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Cancel edit error:', error.message);
+  }
+});
+
+// ==================== QUESTION SUBMISSION ====================
+// SUBMIT_ANYWAY comes from the duplicate warning and skips that check
+async function submitQuestion(ctx, skipDuplicateCheck) {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+    
+    if (!session || !session.question || !session.topic) {
+      await ctx.editMessageText(ctx.t('common.session_expired'));
+      return;
+    }
+
+    // Content filtering
+    const filterResult = dbHelpers.contentFilter(session.question, ctx.lang, {
+      topic: session.topic, kind: 'question', userId: userId
+    });
+    if (!filterResult.allowed) {
+      await ctx.editMessageText(ctx.t('ask.blocked', { reason: filterResult.reason }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+            [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    if (!skipDuplicateCheck) {
+      const matches = await dbHelpers.findSimilarQuestions(session.question);
+      if (matches.length > 0) {
+        await showDuplicateWarning(ctx, matches);
+        return;
+      }
+    }
+
+    // The draft stays in the session, so the user can tap Submit again once the wait is over
+    const rateLimit = await enforceRateLimit(ctx, 'question');
+    if (!rateLimit) return;
+
+    // Save to database
+    const questionId = await dbHelpers.createQuestion({
+      userId: userId,
+      question: session.question,
+      topic: session.topic,
+      media: session.media || null
+    });
+
+    if (!questionId) {
+      await dbHelpers.releaseRateLimit(rateLimit.eventId);
+      await ctx.editMessageText(ctx.t('ask.submit_failed'));
+      return;
+    }
+
+    if (session.customTopic) {
+      await dbHelpers.recordTopicSuggestion(session.topic);
+    }
+
+    await ctx.editMessageText(ctx.t('ask.submitted', { topic: session.topic, question: session.question }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+
+    // Notify every moderator on duty
+    const question = await dbHelpers.getQuestion(questionId);
+    await sendQuestionForReview(question, 'review.headline_new');
+
+    await dbHelpers.deleteSession(userId);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Submit question error:', error.message);
+    await ctx.answerCbQuery(ctx.t('common.error_try_again'));
+  }
+}
+
+async function showDuplicateWarning(ctx, matches) {
+  const lines = [];
+  const keyboard = [];
+  for (const [index, match] of matches.entries()) {
+    const questionId = match.question._id.toString();
+    const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+    lines.push(ctx.t('ask.duplicate_item', {
+      number: index + 1,
+      question: markdownSnippet(match.question.question, 120),
+      answers: answerCount
+    }));
+    keyboard.push([{ text: ctx.t('btn.view_duplicate', { number: index + 1 }), callback_data: `CHANNEL_BROWSE_${questionId}` }]);
+  }
+  keyboard.push(
+    [{ text: ctx.t('btn.submit_anyway'), callback_data: 'SUBMIT_ANYWAY' }],
+    [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+    [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+  );
+
+  await ctx.editMessageText(ctx.t('ask.duplicates', { list: lines.join('\n\n') }), {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+  await ctx.answerCbQuery();
+}
+
+bot.action('SUBMIT_QUESTION', async (ctx) => {
+  await submitQuestion(ctx, false);
+});
+
+bot.action('SUBMIT_ANYWAY', async (ctx) => {
+  await submitQuestion(ctx, true);
+});
+
+// ==================== ADMIN APPROVAL SYSTEM ====================
+function buildReviewKeyboard(questionId, lang) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(lang, 'btn.publish_now'), callback_data: `APPROVE_${questionId}` },
+        { text: t(lang, 'btn.reject'), callback_data: `REJECT_${questionId}` }
+      ],
+      [
+        { text: t(lang, 'btn.schedule'), callback_data: `SCHEDULE_${questionId}` },
+        { text: t(lang, 'btn.add_to_queue'), callback_data: `QUEUE_${questionId}` }
+      ]
+    ]
+  };
+}
+
+function formatReviewHistory(question, lang) {
+  const history = (question.history || []).filter(entry => entry.action !== 'submitted');
+  if (history.length === 0) return '';
+
+  return history.map(entry => {
+    const date = new Date(entry.at).toLocaleDateString();
+    switch (entry.action) {
+      case 'rejected':
+        return t(lang, 'history.rejected', {
+          date: date,
+          reason: REJECTION_REASONS[entry.reason] ? t(lang, REJECTION_REASONS[entry.reason]) : (entry.note ? escapeMarkdown(entry.note) : t(lang, 'history.no_reason'))
+        });
+      case 'resubmitted':
+        return t(lang, 'history.resubmitted', { date: date });
+      case 'appealed':
+        return t(lang, 'history.appealed', { date: date, note: escapeMarkdown(entry.note) });
+      case 'approved':
+        return t(lang, 'history.approved', { date: date });
+      case 'queued':
+        return t(lang, 'history.queued', { date: date });
+      case 'scheduled':
+        return t(lang, 'history.scheduled', { date: date });
+      case 'pulled':
+        return t(lang, 'history.pulled', { date: date });
+      case 'publish_failed':
+        return t(lang, 'history.publish_failed', { date: date, error: entry.error || t(lang, 'common.unknown') });
+      default:
+        return `• ${entry.action} ${date}`;
+    }
+  }).join('\n');
+}
+
+// Sends the approval request to every moderator on duty, each in their own language
+async function sendQuestionForReview(question, headlineKey) {
+  const questionId = question._id.toString();
+  const user = await dbHelpers.getUser(question.user_id);
+
+  const duplicates = await dbHelpers.findSimilarQuestions(question.question, questionId);
+
+  const moderators = await dbHelpers.getOnDutyStaff('approve');
+  // Each card is recorded in review_messages once the queue has sent it
+  await dbHelpers.setReviewMessages(questionId, []);
+  for (const moderatorId of moderators) {
+    try {
+      const lang = await dbHelpers.getUserLanguage(moderatorId);
+      let text = t(lang, 'review.question', {
+        headline: t(lang, headlineKey),
+        user: dbHelpers.getDisplayName(user, null, lang),
+        topic: question.topic,
+        question: withMediaNote(question.question, question.media, lang)
+      });
+      const history = formatReviewHistory(question, lang);
+      if (history) text += t(lang, 'review.history', { history: history });
+      if (duplicates.length > 0) {
+        text += t(lang, 'review.duplicates', {
+          list: duplicates.map(match => t(lang, 'review.duplicate_item', {
+            percent: Math.round(match.similarity * 100),
+            question: markdownSnippet(match.question.question, 80)
+          })).join('\n')
+        });
+      }
+      text += t(lang, 'review.question_footer', { id: questionId });
+
+      await dbHelpers.enqueueMessage(moderatorId, text, {
+        parse_mode: 'Markdown',
+        reply_markup: buildReviewKeyboard(questionId, lang)
+      }, { track: { collection: 'questions', id: question._id }, media: question.media });
+    } catch (sendError) {
+      console.log('Moderator notification failed:', sendError.message);
+    }
+  }
+}
+
+// Soft-rejects a question and tells the asker why. Returns null if someone else got there first.
+async function rejectQuestionWithReason(moderatorId, questionId, reasonKey, note) {
+  if (!await dbHelpers.claimQuestionReview(questionId, moderatorId)) return null;
+
+  const question = await dbHelpers.rejectQuestion(questionId, moderatorId, reasonKey, note);
+  if (!question) return null;
+
+  const moderator = await dbHelpers.getUser(moderatorId);
+  await dbHelpers.closeReviewMessages(question, moderatorId, 'review.closed_rejected', {
+    moderator: dbHelpers.getDisplayName(moderator),
+    question: question.question.substring(0, 100)
+  });
+
+  // The notice goes to the asker, in the asker's language
+  const lang = await dbHelpers.getUserLanguage(question.user_id);
+  let message = t(lang, 'rejection.notice', { topic: question.topic, question: question.question });
+  if (REJECTION_REASONS[reasonKey]) message += t(lang, 'rejection.reason', { reason: t(lang, REJECTION_REASONS[reasonKey]) });
+  if (note) message += t(lang, 'rejection.note', { note: escapeMarkdown(note) });
+  message += t(lang, question.appealed ? 'rejection.next_steps' : 'rejection.next_steps_appeal');
+
+  const keyboard = [[{ text: t(lang, 'btn.edit_resubmit'), callback_data: `RESUBMIT_${questionId}` }]];
+  if (!question.appealed) {
+    keyboard.push([{ text: t(lang, 'btn.appeal'), callback_data: `APPEAL_${questionId}` }]);
+  }
+  keyboard.push(
+    [{ text: t(lang, 'btn.new_question'), callback_data: 'ASK_QUESTION' }],
+    [{ text: t(lang, 'btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+  );
+
+  await dbHelpers.enqueueMessage(question.user_id, message, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+
+  return question;
+}
+
+async function notifyTopicFollowers(question, postUrl) {
+  const { topic, followers } = await dbHelpers.getTopicFollowers(question.topic);
+  if (!topic) return;
+
+  for (const followerId of followers) {
+    // The asker already got their own approval notice
+    if (followerId === question.user_id) continue;
+
+    await dbHelpers.createNotification(followerId, 'new_question_in_topic', {
+      questionId: question._id.toString(),
+      question: question.question,
+      topic: question.topic,
+      topicId: topic._id.toString(),
+      postUrl: postUrl
+    });
+  }
+}
+
+// Posts an approved question to its topic's chat, then tells the asker and the topic's followers.
+// Throws if the post fails, leaving the question as it was.
+async function publishQuestion(question, moderatorId) {
+  const questionId = question._id.toString();
+  const target = await dbHelpers.getPublishTarget(question.topic);
+  const threadExtra = target.thread_id ? { message_thread_id: target.thread_id } : {};
+
+  // An attachment goes up first and the post replies to it,
+  // so the post itself stays a text message that can be edited and redrawn.
+  let channelMessage;
+  let mediaMessage = null;
+  try {
+    if (question.media) {
+      mediaMessage = await sendMedia(target.chat_id, question.media, threadExtra);
+    }
+    channelMessage = await bot.telegram.sendMessage(
+      target.chat_id,
+      formatChannelPost(question),
+      {
+        ...threadExtra,
+        parse_mode: 'Markdown',
+        reply_markup: buildChannelKeyboard(questionId, 0),
+        ...(mediaMessage ? { reply_parameters: { message_id: mediaMessage.message_id } } : {})
+      }
+    );
+  } catch (postError) {
+    if (mediaMessage) {
+      await bot.telegram.deleteMessage(target.chat_id, mediaMessage.message_id).catch(() => {});
+    }
+    throw postError;
+  }
+
+  const updatedQuestion = await dbHelpers.approveQuestion(questionId, {
+    chat: target,
+    messageId: channelMessage.message_id,
+    mediaMessageId: mediaMessage ? mediaMessage.message_id : null
+  }, moderatorId);
+  const postUrl = chatLink(target, channelMessage.message_id);
+
+  await dbHelpers.createNotification(question.user_id, 'question_approved', {
+    question: question.question,
+    postUrl: postUrl
+  });
+
+  // Followers are notified in the background so a busy topic doesn't hold up the moderator
+  notifyTopicFollowers(question, postUrl)
+    .catch(error => console.log('Topic follower notification error:', error.message));
+
+  return updatedQuestion;
+}
+
+bot.action(/^APPROVE_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+    
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+    
+    if (!question) {
+      await ctx.answerCbQuery(ctx.t('common.question_not_found'));
+      return;
+    }
+
+    // Another moderator may already be handling this question
+    if (!await dbHelpers.claimQuestionReview(questionId, ctx.from.id)) {
+      await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+      return;
+    }
+    
+    try {
+      await publishQuestion(question, ctx.from.id);
+    } catch (postError) {
+      // Hand the question back to the review queue if the channel post failed
+      await dbHelpers.releaseQuestionReview(questionId);
+      throw postError;
+    }
+
+    await ctx.editMessageText(ctx.t('review.approved'), {
+      parse_mode: 'Markdown'
+    });
+
+    const moderator = await dbHelpers.getUser(ctx.from.id);
+    await dbHelpers.closeReviewMessages(question, ctx.chat.id, 'review.closed_approved', {
+      moderator: dbHelpers.getDisplayName(moderator),
+      question: question.question.substring(0, 100)
+    });
+    
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Admin approval error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.approve_error'));
+  }
+});
+
+bot.action(/^REJECT_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+    
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+    
+    if (!question) {
+      await ctx.answerCbQuery(ctx.t('common.question_not_found'));
+      return;
+    }
+
+    if (question.approved || question.status === 'rejected' || question.reviewed_by) {
+      await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+      return;
+    }
+
+    // Swap the buttons for the reason picker, keeping the question text
+    const keyboard = Object.entries(REJECTION_REASONS).map(([reasonKey, labelKey]) => [
+      { text: ctx.t(labelKey), callback_data: `REJECT_REASON_${questionId}_${reasonKey}` }
+    ]);
+    keyboard.push(
+      [{ text: ctx.t('btn.write_custom_note'), callback_data: `REJECT_CUSTOM_${questionId}` }],
+      [{ text: ctx.t('btn.back'), callback_data: `REVIEW_${questionId}` }]
+    );
+
+    await ctx.editMessageReplyMarkup({ inline_keyboard: keyboard });
+    await ctx.answerCbQuery(ctx.t('review.choose_reason'));
+  } catch (error) {
+    console.log('Admin rejection error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.reject_error'));
+  }
+});
+
+bot.action(/^REVIEW_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    await ctx.editMessageReplyMarkup(buildReviewKeyboard(ctx.match[1], ctx.lang));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Review keyboard error:', error.message);
+  }
+});
+
+bot.action(/^REJECT_REASON_([0-9a-f]{24})_(\w+)$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const questionId = ctx.match[1];
+    const reasonKey = ctx.match[2];
+
+    if (!REJECTION_REASONS[reasonKey]) {
+      await ctx.answerCbQuery(ctx.t('common.unknown_reason'));
+      return;
+    }
+
+    const question = await rejectQuestionWithReason(ctx.from.id, questionId, reasonKey, null);
+    if (!question) {
+      await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+      return;
+    }
+
+    await ctx.editMessageText(ctx.t('review.rejected', { reason: ctx.t(REJECTION_REASONS[reasonKey]) }), {
+      parse_mode: 'Markdown'
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Admin rejection error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.reject_error'));
+  }
+});
+
+bot.action(/^REJECT_CUSTOM_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, {
+      step: 'awaiting_rejection_note',
+      questionId: ctx.match[1]
+    });
+
+    await ctx.reply(ctx.t('review.note_prompt'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Custom rejection error:', error.message);
+  }
+});
+
+// ==================== PUBLISHING QUEUE ====================
+function isPublishingHour(date = new Date()) {
+  const { start, end } = PUBLISH_ACTIVE_HOURS;
+  if (start === end) return true;
+  const hour = localHour(PUBLISH_UTC_OFFSET, date);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// The next time the clock at the given UTC offset reads hour:00
+function nextLocalHour(hour, utcOffset, now = new Date()) {
+  const local = new Date(now.getTime() + utcOffset * 3600000);
+  local.setUTCHours(hour, 0, 0, 0);
+  const at = new Date(local.getTime() - utcOffset * 3600000);
+  return at > now ? at : new Date(at.getTime() + 24 * 3600000);
+}
+
+function formatLocalTime(date, utcOffset) {
+  const local = new Date(date.getTime() + utcOffset * 3600000).toISOString();
+  return `${local.slice(0, 10)} ${local.slice(11, 16)} (${formatUtcOffset(utcOffset)})`;
+}
+
+// Takes a question out of the queue and posts it. A failed post goes back in line; after
+// PUBLISH_MAX_ATTEMPTS failures it is sent back to review so staff see it instead of the timer retrying forever.
+async function publishFromQueue(questionId) {
+  const question = await dbHelpers.takeQueuedQuestion(questionId);
+  if (!question) return null;
+
+  try {
+    return await publishQuestion(question, question.reviewed_by);
+  } catch (error) {
+    console.log(`Queued question ${questionId} could not be published:`, error.message);
+    // Telegram's error text goes into a Markdown review card
+    const reason = error.message.replace(/[*_`\[\]]/g, '').substring(0, 200);
+    const returned = await dbHelpers.returnToQueue(questionId, reason);
+    if (returned && returned.publish_attempts >= PUBLISH_MAX_ATTEMPTS) {
+      const parked = await dbHelpers.pullQueuedQuestion(questionId, null, 'publish_failed', reason);
+      if (parked) await sendQuestionForReview(parked, 'review.headline_publish_failed');
+    }
+    return null;
+  }
+}
+
+// Runs every minute and posts at most one question: a scheduled one whose time has come,
+// otherwise the head of the queue once the spacing has passed within active hours
+async function publishDueQuestions() {
+  const { scheduled, queued } = await dbHelpers.getPublishQueue();
+  const now = new Date();
+
+  // A scheduled post that fails doesn't hold up the others or the paced queue
+  for (const question of scheduled.filter(item => item.publish_at <= now)) {
+    if (await publishFromQueue(question._id.toString())) return;
+  }
+
+  if (queued.length === 0 || !isPublishingHour(now)) return;
+
+  // Questions published straight away count too, so the queue never lands right after one
+  const lastPublishedAt = await dbHelpers.getLastPublishedAt();
+  if (lastPublishedAt && now - lastPublishedAt < PUBLISH_SPACING_MINUTES * 60 * 1000) return;
+
+  await publishFromQueue(queued[0]._id.toString());
+}
+
+// Claims a pending question for the moderator and queues it, at publishAt or in line when null
+async function queueForPublishing(ctx, questionId, publishAt) {
+  if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+    await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+    return;
+  }
+
+  const question = await dbHelpers.getQuestion(questionId);
+  if (!question) {
+    await ctx.answerCbQuery(ctx.t('common.question_not_found'));
+    return;
+  }
+
+  if (!await dbHelpers.claimQuestionReview(questionId, ctx.from.id)) {
+    await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+    return;
+  }
+
+  const queuedQuestion = await dbHelpers.queueQuestion(questionId, ctx.from.id, publishAt);
+  if (!queuedQuestion) {
+    await dbHelpers.releaseQuestionReview(questionId);
+    await ctx.answerCbQuery(ctx.t('review.approve_error'));
+    return;
+  }
+
+  const { scheduled, queued } = await dbHelpers.getPublishQueue();
+  const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+  const moderator = await dbHelpers.getUser(ctx.from.id);
+  const statusParams = {
+    moderator: dbHelpers.getDisplayName(moderator),
+    question: question.question.substring(0, 100),
+    time: publishAt ? formatLocalTime(publishAt, prefs.utc_offset) : '',
+    position: queued.length
+  };
+
+  await ctx.editMessageText(ctx.t(publishAt ? 'publish.scheduled' : 'publish.queued', statusParams), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [[{ text: ctx.t('btn.publish_queue', { count: scheduled.length + queued.length }), callback_data: 'PUBQUEUE' }]]
+    }
+  });
+  await dbHelpers.closeReviewMessages(question, ctx.chat.id, publishAt ? 'review.closed_scheduled' : 'review.closed_queued', statusParams);
+  await ctx.answerCbQuery();
+}
+
+bot.action(/^QUEUE_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    await queueForPublishing(ctx, ctx.match[1], null);
+  } catch (error) {
+    console.log('Queue question error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.approve_error'));
+  }
+});
+
+// Hours are picked on the moderator's own clock, the time zone set under notifications
+bot.action(/^SCHEDULE_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    const keyboard = buildHourPicker(`SCHEDULE_AT_${ctx.match[1]}_`);
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: `REVIEW_${ctx.match[1]}` }]);
+
+    await ctx.editMessageReplyMarkup({ inline_keyboard: keyboard });
+    await ctx.answerCbQuery(ctx.t('publish.choose_hour', { offset: formatUtcOffset(prefs.utc_offset) }));
+  } catch (error) {
+    console.log('Schedule picker error:', error.message);
+  }
+});
+
+bot.action(/^SCHEDULE_AT_([0-9a-f]{24})_(\d{1,2})$/, async (ctx) => {
+  try {
+    const hour = parseInt(ctx.match[2]);
+    if (hour > 23) {
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    await queueForPublishing(ctx, ctx.match[1], nextLocalHour(hour, prefs.utc_offset));
+  } catch (error) {
+    console.log('Schedule question error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.approve_error'));
+  }
+});
+
+async function buildPublishQueue(lang, utcOffset) {
+  const { scheduled, queued } = await dbHelpers.getPublishQueue();
+  const snippet = (question) => markdownSnippet(question.question, 60);
+
+  let text = t(lang, 'publish.queue_title', {
+    spacing: PUBLISH_SPACING_MINUTES,
+    start: formatHour(PUBLISH_ACTIVE_HOURS.start),
+    end: formatHour(PUBLISH_ACTIVE_HOURS.end % 24),
+    offset: formatUtcOffset(PUBLISH_UTC_OFFSET)
+  });
+  const keyboard = [];
+
+  if (scheduled.length === 0 && queued.length === 0) {
+    text += t(lang, 'publish.queue_empty');
+  }
+
+  if (scheduled.length > 0) {
+    text += t(lang, 'publish.scheduled_heading');
+    scheduled.slice(0, PUBLISH_QUEUE_DISPLAY_LIMIT).forEach((question, index) => {
+      text += t(lang, 'publish.scheduled_item', {
+        index: index + 1,
+        time: formatLocalTime(question.publish_at, utcOffset),
+        topic: question.topic,
+        question: snippet(question)
+      });
+      if (question.publish_attempts > 0) {
+        text += t(lang, 'publish.attempts_failed', {
+          count: question.publish_attempts,
+          max: PUBLISH_MAX_ATTEMPTS,
+          error: question.last_publish_error || t(lang, 'common.unknown')
+        });
+      }
+      keyboard.push([
+        { text: `🚀 📅${index + 1}`, callback_data: `PUBQ_NOW_${question._id}` },
+        { text: `⏏️ 📅${index + 1}`, callback_data: `PUBQ_PULL_${question._id}` }
+      ]);
+    });
+    if (scheduled.length > PUBLISH_QUEUE_DISPLAY_LIMIT) {
+      text += t(lang, 'publish.more', { count: scheduled.length - PUBLISH_QUEUE_DISPLAY_LIMIT });
+    }
+  }
+
+  if (queued.length > 0) {
+    text += t(lang, 'publish.queued_heading');
+    queued.slice(0, PUBLISH_QUEUE_DISPLAY_LIMIT).forEach((question, index) => {
+      text += t(lang, 'publish.queued_item', {
+        index: index + 1,
+        topic: question.topic,
+        question: snippet(question)
+      });
+      if (question.publish_attempts > 0) {
+        text += t(lang, 'publish.attempts_failed', {
+          count: question.publish_attempts,
+          max: PUBLISH_MAX_ATTEMPTS,
+          error: question.last_publish_error || t(lang, 'common.unknown')
+        });
+      }
+      keyboard.push([
+        { text: `⬆️ ${index + 1}`, callback_data: `PUBQ_UP_${question._id}` },
+        { text: `⬇️ ${index + 1}`, callback_data: `PUBQ_DOWN_${question._id}` },
+        { text: `🚀 ${index + 1}`, callback_data: `PUBQ_NOW_${question._id}` },
+        { text: `⏏️ ${index + 1}`, callback_data: `PUBQ_PULL_${question._id}` }
+      ]);
+    });
+    if (queued.length > PUBLISH_QUEUE_DISPLAY_LIMIT) {
+      text += t(lang, 'publish.more', { count: queued.length - PUBLISH_QUEUE_DISPLAY_LIMIT });
+    }
+  }
+
+  if (keyboard.length > 0) text += t(lang, 'publish.legend');
+
+  keyboard.push(
+    [{ text: t(lang, 'btn.refresh'), callback_data: 'PUBQUEUE' }],
+    [{ text: t(lang, 'btn.back_to_admin'), callback_data: 'BACK_TO_MAIN' }]
+  );
+
+  return { text, keyboard };
+}
+
+async function showPublishQueue(ctx) {
+  const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+  const view = await buildPublishQueue(ctx.lang, prefs.utc_offset);
+  try {
+    await ctx.editMessageText(view.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: view.keyboard }
+    });
+  } catch (editError) {
+    // A refresh with nothing new is not an error; anything else is
+    if (!editError.message.includes('message is not modified')) throw editError;
+  }
+}
+
+bot.action('PUBQUEUE', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await showPublishQueue(ctx);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Publish queue error:', error.message);
+  }
+});
+
+bot.action(/^PUBQ_(UP|DOWN|NOW|PULL)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const action = ctx.match[1];
+    const questionId = ctx.match[2];
+    let notice;
+
+    if (action === 'UP' || action === 'DOWN') {
+      const moved = await dbHelpers.moveQueuedQuestion(questionId, action === 'UP' ? -1 : 1);
+      notice = moved ? (action === 'UP' ? 'publish.moved_up' : 'publish.moved_down') : 'publish.nothing_to_move';
+    } else if (action === 'NOW') {
+      const published = await publishFromQueue(questionId);
+      notice = published ? 'publish.published' : 'publish.publish_failed';
+    } else {
+      const question = await dbHelpers.pullQueuedQuestion(questionId, ctx.from.id);
+      if (question) {
+        await sendQuestionForReview(question, 'review.headline_pulled');
+      }
+      notice = question ? 'publish.pulled' : 'publish.not_queued';
+    }
+
+    await showPublishQueue(ctx);
+    await ctx.answerCbQuery(ctx.t(notice));
+  } catch (error) {
+    console.log('Publish queue action error:', error.message);
+    await ctx.answerCbQuery(ctx.t('common.error_try_again'));
+  }
+});
+
+// ==================== RESUBMIT & APPEAL ====================
+bot.action(/^RESUBMIT_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+
+    if (!question || question.user_id !== ctx.from.id || question.status !== 'rejected') {
+      await ctx.answerCbQuery(ctx.t('rejection.cannot_edit'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, {
+      step: 'editing_rejected_question',
+      questionId: questionId
+    });
+
+    await ctx.reply(ctx.t('rejection.edit_prompt', { question: question.question }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Resubmit question error:', error.message);
+  }
+});
+
+bot.action(/^APPEAL_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+
+    if (!question || question.user_id !== ctx.from.id || question.status !== 'rejected') {
+      await ctx.answerCbQuery(ctx.t('rejection.cannot_appeal'));
+      return;
+    }
+
+    if (question.appealed) {
+      await ctx.answerCbQuery(ctx.t('rejection.appeal_used'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, {
+      step: 'awaiting_appeal',
+      questionId: questionId
+    });
+
+    await ctx.reply(ctx.t('rejection.appeal_prompt', { question: question.question }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Appeal question error:', error.message);
+  }
+});
+
+// ==================== ANSWER MODERATION ====================
+// Notifies the asker and subscribers and refreshes the channel button once an answer is live
+async function announceAnswer(answer) {
+  const questionId = answer.question_id.toString();
+  const question = await dbHelpers.getQuestion(questionId);
+  if (!question) return;
+
+  const notification = {
+    questionId: questionId,
+    answer: answer.answer,
+    answererId: answer.user_id,
+    answererName: await dbHelpers.getAnswerAuthorName(answer)
+  };
+
+  // Send notification to question asker (if not the same user)
+  if (question.user_id !== answer.user_id) {
+    await dbHelpers.createNotification(question.user_id, 'new_answer', notification);
+  }
+
+  // Send notifications to all subscribers
+  const subscribers = await dbHelpers.getSubscribers(questionId);
+  for (const subscriberId of subscribers) {
+    // Don't notify the answerer or question asker (already notified)
+    if (subscriberId !== answer.user_id && subscriberId !== question.user_id) {
+      await dbHelpers.createNotification(subscriberId, 'new_answer', notification);
+    }
+  }
+
+  // Update the browse button count in channel
+  const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+
+  try {
+    await bot.telegram.editMessageReplyMarkup(
+      questionChat(question).chat_id,
+      question.channel_message_id,
+      undefined,
+      buildChannelKeyboard(questionId, answerCount)
+    );
+  } catch (editError) {
+    // Ignore edit errors - button might be old or permissions issue
+    console.log('Channel button update failed (normal for old messages):', editError.message);
+  }
+}
+
+// Recounts visible answers after one is hidden or restored, on the question and its channel button
+async function refreshAnswerCount(questionId) {
+  const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+  const question = await db.collection('questions').findOneAndUpdate(
+    { _id: new ObjectId(questionId) },
+    { $set: { answer_count: answerCount } },
+    { returnDocument: 'after' }
+  );
+  // A hidden question's post shows a notice instead, and gets its buttons back when restored
+  if (!question || question.hidden || !question.channel_message_id) return;
+
+  try {
+    await bot.telegram.editMessageReplyMarkup(
+      questionChat(question).chat_id,
+      question.channel_message_id,
+      undefined,
+      buildChannelKeyboard(questionId, answerCount)
+    );
+  } catch (editError) {
+    console.log('Channel button update failed:', editError.message);
+  }
+}
+
+async function sendAnswerForReview(answer, question) {
+  const answerId = answer._id.toString();
+
+  const moderators = await dbHelpers.getOnDutyStaff('approve');
+  await dbHelpers.setReviewMessages(answerId, [], 'answers');
+  for (const moderatorId of moderators) {
+    try {
+      const lang = await dbHelpers.getUserLanguage(moderatorId);
+      const text = t(lang, 'review.answer', {
+        topic: question.topic,
+        question: withMediaNote(question.question, question.media, lang),
+        author: await dbHelpers.getAnswerAuthorName(answer, lang),
+        answer: withMediaNote(answer.answer, answer.media, lang)
+      });
+      await dbHelpers.enqueueMessage(moderatorId, text, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: t(lang, 'btn.approve'), callback_data: `ANSWER_APPROVE_${answerId}` },
+              { text: t(lang, 'btn.reject'), callback_data: `ANSWER_REJECT_${answerId}` }
+            ]
+          ]
+        }
+      }, { track: { collection: 'answers', id: answer._id }, media: answer.media });
+    } catch (sendError) {
+      console.log('Moderator notification failed:', sendError.message);
+    }
+  }
+}
+
+bot.action(/^ANSWER_(APPROVE|REJECT)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const approving = ctx.match[1] === 'APPROVE';
+    const answerId = ctx.match[2];
+
+    if (!await dbHelpers.hasPermission(ctx.from.id, approving ? 'approve' : 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const answer = await dbHelpers.reviewAnswer(answerId, ctx.from.id, approving ? 'approved' : 'rejected');
+    if (!answer) {
+      await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+      return;
+    }
+
+    const question = await dbHelpers.getQuestion(answer.question_id.toString());
+    const moderator = await dbHelpers.getUser(ctx.from.id);
+    const statusKey = approving ? 'review.closed_answer_approved' : 'review.closed_answer_rejected';
+    const statusParams = {
+      moderator: dbHelpers.getDisplayName(moderator),
+      answer: answer.answer.substring(0, 100)
+    };
+
+    await ctx.editMessageText(ctx.t(statusKey, statusParams), { parse_mode: 'Markdown' });
+    await dbHelpers.closeReviewMessages(answer, ctx.chat.id, statusKey, statusParams);
+
+    // Tell the answerer how it went
+    await dbHelpers.createNotification(answer.user_id, approving ? 'answer_approved' : 'answer_rejected', {
+      questionId: answer.question_id.toString(),
+      question: question ? question.question : '',
+      answer: answer.answer
+    });
+
+    // Subscriber fan-out and channel refresh only happen once the answer is live
+    if (approving) {
+      await announceAnswer(answer);
+    }
+
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Answer review error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.answer_error'));
+  }
+});
+
+async function showAnswerModerationSettings(ctx) {
+  let message = ctx.t('answer_mod.title');
+  const keyboard = [];
+
+  const topics = await dbHelpers.getTopics();
+  for (const topic of topics) {
+    const enabled = topic.moderate_answers === true;
+    message += `${enabled ? '🛡️' : '⚪'} ${topic.name}\n`;
+    keyboard.push([{ text: `${ctx.t(enabled ? 'common.on' : 'common.off')} • ${topic.name}`, callback_data: `ANSWER_MOD_TOGGLE_${topic._id}` }]);
+  }
+
+  keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]);
+
+  await ctx.editMessageText(message, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+bot.action('ANSWER_MOD_SETTINGS', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await showAnswerModerationSettings(ctx);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Answer moderation settings error:', error.message);
+  }
+});
+
+bot.action(/^ANSWER_MOD_TOGGLE_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await dbHelpers.getTopic(ctx.match[1]);
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    const enabled = topic.moderate_answers !== true;
+    await dbHelpers.setAnswerModeration(ctx.match[1], enabled);
+
+    await showAnswerModerationSettings(ctx);
+    await ctx.answerCbQuery(ctx.t(enabled ? 'answer_mod.toggled_on' : 'answer_mod.toggled_off', { topic: topic.name }));
+  } catch (error) {
+    console.log('Answer moderation toggle error:', error.message);
+  }
+});
+
+// ==================== TOPIC CATALOGUE ====================
+async function buildTopicCatalogue(lang) {
+  const topics = await dbHelpers.getTopics(true);
+  const suggestionCount = await dbHelpers.getTopicSuggestionCount();
+
+  let text = t(lang, 'topics.catalogue_title');
+  const keyboard = [];
+
+  for (const topic of topics) {
+    const marker = topic.archived ? ' 🗄️' : (topic.is_other ? ' ✍️' : '');
+    text += `${topic.name}${marker}\n`;
+    keyboard.push([{ text: `${topic.name}${marker}`, callback_data: `TOPICS_EDIT_${topic._id}` }]);
+  }
+
+  text += t(lang, 'topics.catalogue_legend');
+
+  keyboard.push([{ text: t(lang, 'btn.add_topic'), callback_data: 'TOPICS_ADD' }]);
+  keyboard.push([{ text: t(lang, 'btn.topic_suggestions', { count: suggestionCount }), callback_data: 'TOPICS_SUGGESTIONS' }]);
+  keyboard.push([{ text: t(lang, 'btn.back'), callback_data: 'BACK_TO_MAIN' }]);
+
+  return { text, keyboard };
+}
+
+function buildTopicEditor(topic, lang) {
+  const topicId = topic._id.toString();
+  let text = t(lang, 'topics.editor', {
+    topic: topic.name,
+    status: t(lang, topic.archived ? 'topics.status_archived' : 'topics.status_active'),
+    moderation: t(lang, topic.moderate_answers ? 'common.on' : 'common.off')
+  });
+  text += t(lang, 'topics.editor_channel', {
+    channel: topic.channel
+      ? describePublishTarget(topic.channel)
+      : t(lang, 'topics.channel_default', { channel: describePublishTarget(defaultPublishTarget()) })
+  });
+  if (topic.is_other) {
+    text += t(lang, 'topics.editor_other_note');
+  }
+
+  const keyboard = [
+    [
+      { text: t(lang, 'btn.move_up'), callback_data: `TOPICS_UP_${topicId}` },
+      { text: t(lang, 'btn.move_down'), callback_data: `TOPICS_DOWN_${topicId}` }
+    ],
+    [
+      { text: t(lang, 'btn.rename'), callback_data: `TOPICS_RENAME_${topicId}` },
+      { text: t(lang, 'btn.set_emoji'), callback_data: `TOPICS_EMOJI_${topicId}` }
+    ],
+    [{ text: t(lang, 'btn.set_channel'), callback_data: `TOPICS_CHANNEL_${topicId}` }]
+  ];
+  if (topic.channel) {
+    keyboard[2].push({ text: t(lang, 'btn.default_channel'), callback_data: `TOPICS_UNROUTE_${topicId}` });
+  }
+  if (!topic.is_other) {
+    keyboard.push([topic.archived
+      ? { text: t(lang, 'btn.restore'), callback_data: `TOPICS_RESTORE_${topicId}` }
+      : { text: t(lang, 'btn.archive'), callback_data: `TOPICS_ARCHIVE_${topicId}` }]);
+  }
+  keyboard.push([{ text: t(lang, 'btn.all_topics'), callback_data: 'TOPICS_ADMIN' }]);
+
+  return { text, keyboard };
+}
+
+bot.action('TOPICS_ADMIN', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    // Leaving the catalogue cancels any rename or add in progress
+    const session = await dbHelpers.getSession(ctx.from.id);
+    if (session && ['awaiting_topic_title', 'awaiting_topic_emoji', 'awaiting_topic_channel'].includes(session.step)) {
+      await dbHelpers.deleteSession(ctx.from.id);
+    }
+
+    const catalogue = await buildTopicCatalogue(ctx.lang);
+    await ctx.editMessageText(catalogue.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: catalogue.keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic catalogue error:', error.message);
+  }
+});
+
+bot.action(/^TOPICS_EDIT_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await dbHelpers.getTopic(ctx.match[1]);
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    const editor = buildTopicEditor(topic, ctx.lang);
+    await ctx.editMessageText(editor.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: editor.keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic editor error:', error.message);
+  }
+});
+
+bot.action(/^TOPICS_(UP|DOWN|ARCHIVE|RESTORE)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const action = ctx.match[1];
+    const topicId = ctx.match[2];
+
+    let changed;
+    if (action === 'UP' || action === 'DOWN') {
+      changed = await dbHelpers.moveTopic(topicId, action === 'UP' ? -1 : 1);
+    } else {
+      changed = await dbHelpers.setTopicArchived(topicId, action === 'ARCHIVE');
+    }
+
+    const topic = await dbHelpers.getTopic(topicId);
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    if (changed) {
+      const editor = buildTopicEditor(topic, ctx.lang);
+      await ctx.editMessageText(editor.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: editor.keyboard }
+      });
+    }
+
+    const messages = {
+      UP: 'topics.moved_up',
+      DOWN: 'topics.moved_down',
+      ARCHIVE: 'topics.archived',
+      RESTORE: 'topics.restored'
+    };
+    await ctx.answerCbQuery(ctx.t(changed ? messages[action] : 'topics.nothing_to_change'));
+  } catch (error) {
+    console.log('Topic update error:', error.message);
+  }
+});
+
+bot.action(/^TOPICS_(RENAME|EMOJI)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await dbHelpers.getTopic(ctx.match[2]);
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    const renaming = ctx.match[1] === 'RENAME';
+    await dbHelpers.saveSession(ctx.from.id, {
+      step: renaming ? 'awaiting_topic_title' : 'awaiting_topic_emoji',
+      topicId: ctx.match[2]
+    });
+
+    await ctx.editMessageText(renaming
+      ? ctx.t('topics.rename_prompt', { topic: topic.name, max: MAX_TOPIC_TITLE_LENGTH })
+      : ctx.t('topics.emoji_prompt', { topic: topic.name }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'TOPICS_ADMIN' }]]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic edit prompt error:', error.message);
+  }
+});
+
+// Title in plain text, then the @username or ID (and forum thread) in code so underscores survive Markdown
+function describePublishTarget(target) {
+  const reference = `${target.username ? `@${target.username}` : target.chat_id}${target.thread_id ? `/${target.thread_id}` : ''}`;
+  return target.title ? `${target.title} \`${reference}\`` : `\`${reference}\``;
+}
+
+// Looks up "@name", "-100123" or either with "/thread" and checks the bot can post there.
+// Returns { target } or { error } with a catalogue key.
+async function resolvePublishTarget(input) {
+  const match = input.trim().match(/^(@[A-Za-z0-9_]{4,32}|-\d+)(?:\/(\d+))?$/);
+  if (!match) return { error: 'topics.channel_invalid' };
+
+  let chat;
+  try {
+    chat = await bot.telegram.getChat(match[1]);
+  } catch (lookupError) {
+    return { error: 'topics.channel_not_found' };
+  }
+  if (!PUBLISH_CHAT_TYPES.includes(chat.type)) return { error: 'topics.channel_invalid' };
+  if (match[2] && !chat.is_forum) return { error: 'topics.channel_not_forum' };
+
+  const member = await bot.telegram.getChatMember(chat.id, bot.botInfo.id).catch(() => null);
+  const canPost = chat.type === 'channel'
+    ? member && member.status === 'administrator' && member.can_post_messages !== false
+    : member && ['administrator', 'member'].includes(member.status);
+  if (!canPost) return { error: 'topics.channel_no_rights' };
+
+  return {
+    target: {
+      chat_id: chat.id,
+      username: chat.username || null,
+      title: chat.title.replace(/[*_`\[\]]/g, '').trim(),
+      type: chat.type,
+      thread_id: match[2] ? parseInt(match[2]) : null,
+      invite_link: chat.invite_link || null
+    }
+  };
+}
+
+bot.action(/^TOPICS_CHANNEL_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await dbHelpers.getTopic(ctx.match[1]);
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_topic_channel', topicId: ctx.match[1] });
+
+    await ctx.editMessageText(ctx.t('topics.channel_prompt', { topic: topic.name }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'TOPICS_ADMIN' }]]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic channel prompt error:', error.message);
+  }
+});
+
+// Questions already posted stay where they are; only new ones go to the default channel
+bot.action(/^TOPICS_UNROUTE_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    if (!await dbHelpers.setTopicChannel(ctx.match[1], null)) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    const editor = buildTopicEditor(await dbHelpers.getTopic(ctx.match[1]), ctx.lang);
+    await ctx.editMessageText(editor.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: editor.keyboard }
+    });
+    await ctx.answerCbQuery(ctx.t('topics.channel_reset'));
+  } catch (error) {
+    console.log('Topic channel reset error:', error.message);
+  }
+});
+
+bot.action('TOPICS_ADD', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_topic_title', topicId: null });
+
+    await ctx.editMessageText(ctx.t('topics.add_prompt', { max: MAX_TOPIC_TITLE_LENGTH }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'TOPICS_ADMIN' }]]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Add topic prompt error:', error.message);
+  }
+});
+
+async function showTopicSuggestions(ctx) {
+  const suggestions = await dbHelpers.getTopicSuggestions();
+
+  let text = ctx.t('topics.suggestions_title');
+  const keyboard = [];
+
+  if (suggestions.length === 0) {
+    text += ctx.t('topics.no_suggestions');
+  } else {
+    suggestions.forEach((suggestion, index) => {
+      text += ctx.t('topics.suggestion_line', { index: index + 1, label: suggestion.label, count: suggestion.count });
+      keyboard.push([
+        { text: ctx.t('btn.promote_suggestion', { index: index + 1 }), callback_data: `TOPICS_PROMOTE_${suggestion._id}` },
+        { text: ctx.t('btn.dismiss'), callback_data: `TOPICS_DISMISS_${suggestion._id}` }
+      ]);
+    });
+  }
+
+  keyboard.push([{ text: ctx.t('btn.all_topics'), callback_data: 'TOPICS_ADMIN' }]);
+
+  await ctx.editMessageText(text, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+bot.action('TOPICS_SUGGESTIONS', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await showTopicSuggestions(ctx);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Topic suggestions error:', error.message);
+  }
+});
+
+bot.action(/^TOPICS_(PROMOTE|DISMISS)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    let message;
+    if (ctx.match[1] === 'PROMOTE') {
+      const topicId = await dbHelpers.promoteTopicSuggestion(ctx.match[2]);
+      message = topicId ? 'topics.promoted' : 'topics.promote_failed';
+    } else {
+      const dismissed = await dbHelpers.dismissTopicSuggestion(ctx.match[2]);
+      message = dismissed ? 'topics.dismissed' : 'topics.already_handled';
+    }
+
+    await showTopicSuggestions(ctx);
+    await ctx.answerCbQuery(ctx.t(message));
+  } catch (error) {
+    console.log('Topic suggestion review error:', error.message);
+  }
+});
+
+// ==================== CONTENT FILTER ADMIN ====================
+// Scope 'g' is the global rule set; anything else is a topic id.
+// Resolves to null for the global scope and undefined for a topic that no longer exists.
+async function getFilterScopeTopic(scope) {
+  if (scope === 'g') return null;
+  return (await dbHelpers.getTopic(scope)) || undefined;
+}
+
+async function buildFilterScope(topic, lang) {
+  const scope = topic ? topic._id.toString() : 'g';
+  const rules = await dbHelpers.getFilterRules(topic ? scope : null);
+
+  let text = topic
+    ? t(lang, 'filter.topic_title', { topic: topic.name })
+    : t(lang, 'filter.global_title');
+  const keyboard = [];
+
+  for (const type of FILTER_RULE_TYPES) {
+    const ofType = rules.filter(rule => rule.type === type);
+    let summary;
+    if (type === 'maxlen' || type === 'minlen') {
+      summary = ofType.length > 0
+        ? String(ofType[0].value)
+        : t(lang, topic ? 'filter.inherited' : 'filter.no_limit');
+    } else {
+      summary = String(ofType.length);
+    }
+    text += `${t(lang, FILTER_RULE_LABELS[type])}: ${summary}\n`;
+    keyboard.push([{ text: t(lang, FILTER_RULE_LABELS[type]), callback_data: `FILTER_LIST_${type}_${scope}` }]);
+  }
+
+  if (topic) {
+    keyboard.push([{ text: t(lang, 'btn.back'), callback_data: 'FILTER_TOPICS' }]);
+  } else {
+    const stats = await dbHelpers.getFilterBlockStats(FILTER_STATS_DAYS);
+    text += t(lang, 'filter.stats_title', { days: FILTER_STATS_DAYS });
+    text += stats.length > 0
+      ? stats.map(entry => `• ${describeFilterRule(entry._id, lang)}: ${entry.count}`).join('\n')
+      : t(lang, 'filter.stats_empty');
+
+    keyboard.push([{ text: t(lang, 'btn.filter_topics'), callback_data: 'FILTER_TOPICS' }]);
+    keyboard.push([{ text: t(lang, 'btn.back'), callback_data: 'BACK_TO_MAIN' }]);
+  }
+
+  return { text, keyboard };
+}
+
+async function buildFilterRuleList(type, topic, lang) {
+  const scope = topic ? topic._id.toString() : 'g';
+  const rules = (await dbHelpers.getFilterRules(topic ? scope : null)).filter(rule => rule.type === type);
+
+  let text = t(lang, 'filter.list_title', {
+    type: t(lang, FILTER_RULE_LABELS[type]),
+    scope: topic ? topic.name : t(lang, 'filter.scope_global')
+  });
+  text += t(lang, `filter.help_${type}`);
+  text += rules.length > 0
+    ? rules.map(rule => `• ${formatFilterValue(rule.value)}`).join('\n')
+    : t(lang, 'filter.list_empty');
+
+  const keyboard = rules.map(rule => [{
+    text: `🗑 ${String(rule.value).substring(0, 40)}`,
+    callback_data: `FILTER_DEL_${rule._id}`
+  }]);
+  const single = type === 'maxlen' || type === 'minlen';
+  keyboard.push([{ text: t(lang, single ? 'btn.filter_set' : 'btn.filter_add'), callback_data: `FILTER_ADD_${type}_${scope}` }]);
+  keyboard.push([{ text: t(lang, 'btn.back'), callback_data: `FILTER_SCOPE_${scope}` }]);
+
+  return { text, keyboard };
+}
+
+// Leaving an add prompt by any of the filter screens cancels it
+async function clearFilterRuleSession(userId) {
+  const session = await dbHelpers.getSession(userId);
+  if (session && session.step === 'awaiting_filter_rule') {
+    await dbHelpers.deleteSession(userId);
+  }
+}
+
+bot.action(/^FILTER_SCOPE_(g|[0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await getFilterScopeTopic(ctx.match[1]);
+    if (topic === undefined) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    await clearFilterRuleSession(ctx.from.id);
+    const screen = await buildFilterScope(topic, ctx.lang);
+    await ctx.editMessageText(screen.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: screen.keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Filter scope error:', error.message);
+  }
+});
+
+bot.action('FILTER_TOPICS', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topics = await dbHelpers.getTopics(true);
+    const keyboard = topics.map(topic => [{
+      text: `${topic.name}${filterRules.topics.has(topic.name) ? ' ⚙️' : ''}`,
+      callback_data: `FILTER_SCOPE_${topic._id}`
+    }]);
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'FILTER_SCOPE_g' }]);
+
+    await ctx.editMessageText(ctx.t('filter.topics_title'), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Filter topics error:', error.message);
+  }
+});
+
+bot.action(/^FILTER_LIST_(term|regex|domain|maxlen|minlen)_(g|[0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const topic = await getFilterScopeTopic(ctx.match[2]);
+    if (topic === undefined) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    await clearFilterRuleSession(ctx.from.id);
+    const list = await buildFilterRuleList(ctx.match[1], topic, ctx.lang);
+    await ctx.editMessageText(list.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: list.keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Filter rule list error:', error.message);
+  }
+});
+
+bot.action(/^FILTER_ADD_(term|regex|domain|maxlen|minlen)_(g|[0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const type = ctx.match[1];
+    const scope = ctx.match[2];
+    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_filter_rule', ruleType: type, scope: scope });
+
+    await ctx.editMessageText(ctx.t('filter.add_prompt', { type: ctx.t(FILTER_RULE_LABELS[type]) }) + ctx.t(`filter.help_${type}`), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: `FILTER_LIST_${type}_${scope}` }]]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Filter add prompt error:', error.message);
+  }
+});
+
+bot.action(/^FILTER_DEL_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const rule = await dbHelpers.deleteFilterRule(ctx.match[1]);
+    if (!rule) {
+      await ctx.answerCbQuery(ctx.t('filter.rule_not_found'));
+      return;
+    }
+
+    const topic = rule.topic_id ? await dbHelpers.getTopic(rule.topic_id.toString()) : null;
+    const list = await buildFilterRuleList(rule.type, topic, ctx.lang);
+    await ctx.editMessageText(list.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: list.keyboard }
+    });
+    await ctx.answerCbQuery(ctx.t('filter.deleted'));
+  } catch (error) {
+    console.log('Filter delete error:', error.message);
+  }
+});
+
+function buildFilterTestResult(text, topic, lang) {
+  const result = dbHelpers.contentFilter(text, lang, { topic: topic, kind: 'question' });
+  const scope = topic || t(lang, 'filter.scope_global');
+  return result.allowed
+    ? t(lang, 'filter.test_allowed', { scope: scope })
+    : t(lang, 'filter.test_blocked', { scope: scope, rule: describeFilterRule(result.rule, lang), reason: result.reason });
+}
+
+async function buildFilterTestKeyboard(lang) {
+  const topics = await dbHelpers.getTopics();
+  const keyboard = topics.map(topic => [{ text: topic.name, callback_data: `FILTERTEST_${topic._id}` }]);
+  keyboard.push([{ text: t(lang, 'btn.filter_test_global'), callback_data: 'FILTERTEST_g' }]);
+  return keyboard;
+}
+
+bot.command('filtertest', async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.reply(ctx.t('common.access_denied'));
+      return;
+    }
+
+    // Keep the text as typed: line breaks and spacing matter to some rules
+    const text = ctx.message.text.replace(/^\/\S+\s*/, '');
+    if (!text.trim()) {
+      await ctx.reply(ctx.t('filter.test_usage'), { parse_mode: 'Markdown' });
+      return;
+    }
+
+    // The topic buttons re-run the test against the same text
+    await dbHelpers.saveSession(ctx.from.id, { step: 'filter_test', text: text });
+
+    await ctx.reply(buildFilterTestResult(text, null, ctx.lang), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: await buildFilterTestKeyboard(ctx.lang) }
+    });
+  } catch (error) {
+    console.log('Filter test error:', error.message);
+  }
+});
+
+bot.action(/^FILTERTEST_(g|[0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'manage_settings')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const session = await dbHelpers.getSession(ctx.from.id);
+    if (!session || session.step !== 'filter_test') {
+      await ctx.answerCbQuery(ctx.t('common.session_expired'));
+      return;
+    }
+
+    const topic = await getFilterScopeTopic(ctx.match[1]);
+    if (topic === undefined) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
+      return;
+    }
+
+    await ctx.editMessageText(buildFilterTestResult(session.text, topic ? topic.name : null, ctx.lang), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: await buildFilterTestKeyboard(ctx.lang) }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Filter test topic error:', error.message);
+  }
+});
+
+// ==================== CHANNEL BUTTON HANDLERS ====================
+bot.action(/CHANNEL_ANSWER_(.+)/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+    
+    if (!question || !question.approved || question.hidden) {
+      await ctx.answerCbQuery(ctx.t('common.question_not_found'));
+      return;
+    }
+
+    const userId = ctx.from.id;
+    
+    // Start answer session
+    await dbHelpers.saveSession(userId, {
+      step: 'awaiting_answer',
+      questionId: questionId,
+      questionText: question.question,
+      channelMessageId: question.channel_message_id
+    });
+
+    // Send answer prompt to user privately - the button may live in a channel or an inline message
+    try {
+      await bot.telegram.sendMessage(userId, ctx.t('answer.prompt', { question: question.question }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('btn.answer_under_alias'), callback_data: 'SET_ANSWER_ALIAS' }],
+            [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+          ]
+        }
+      });
+    } catch (sendError) {
+      // User has never started the bot - open it on the answer prompt instead
+      await ctx.answerCbQuery('', { url: `https://t.me/${ctx.botInfo.username}?start=answer_${questionId}` });
+      return;
+    }
+
+    await ctx.answerCbQuery(ctx.t('channel.check_messages'));
+  } catch (error) {
+    console.log('Channel answer button error:', error.message);
+    await ctx.answerCbQuery(ctx.t('common.error_try_again'));
+  }
+});
+
+// Builds one page of the answer browser. Sort codes: t = top, n = newest.
+async function buildAnswerBrowser(question, userId, sortCode, page, lang) {
+  const questionId = question._id.toString();
+  const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+  const isSubscribed = await dbHelpers.isSubscribed(userId, questionId);
+
+  const subscribeButton = {
+    text: t(lang, isSubscribed ? 'btn.unsubscribe_question' : 'btn.subscribe_question'),
+    callback_data: isSubscribed ? `UNSUBSCRIBE_${questionId}` : `SUBSCRIBE_${questionId}`
+  };
+
+  if (answerCount === 0) {
+    return {
+      text: t(lang, 'browser.no_answers', { question: withMediaNote(question.question, question.media, lang) }),
+      keyboard: [
+        ...(question.media ? [[{ text: t(lang, 'btn.view_question_attachment'), callback_data: `MEDIA_q_${questionId}` }]] : []),
+        [{ text: t(lang, 'btn.add_your_answer'), callback_data: `CHANNEL_ANSWER_${questionId}` }],
+        [subscribeButton],
+        [{ text: t(lang, 'btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+      ]
+    };
+  }
+
+  const currentPage = Math.max(0, Math.min(page, answerCount - 1));
+  const answer = await dbHelpers.getAnswerAtPage(questionId, sortCode === 'n' ? 'new' : 'top', currentPage);
+  const state = `${sortCode}_${currentPage}`;
+
+  let text = t(lang, 'browser.header', {
+    question: withMediaNote(question.question, question.media, lang),
+    count: answerCount,
+    subscription: t(lang, isSubscribed ? 'browser.subscribed' : 'browser.not_subscribed')
+  });
+  text += t(lang, 'browser.answer_heading', {
+    page: currentPage + 1,
+    count: answerCount,
+    author: await dbHelpers.getAnswerAuthorName(answer, lang)
+  });
+  if (answer.accepted) text += t(lang, 'browser.accepted');
+  text += `\n`;
+  text += `${withMediaNote(answer.answer, answer.media, lang)}\n\n`;
+  text += `⭐ ${answer.votes} • 📅 ${new Date(answer.created_at).toLocaleDateString()}`;
+
+  // Replies stay collapsed behind a count until opened
+  const commentCount = await dbHelpers.getCommentCount(answer._id.toString());
+  if (commentCount > 0) text += t(lang, 'browser.replies', { count: commentCount });
+
+  // Vote buttons carry the browser state so the page can be redrawn in place
+  const userVote = await dbHelpers.getUserVote(userId, answer._id);
+  const answerRow = [
+    userVote === 'up'
+      ? { text: t(lang, 'btn.upvoted', { votes: answer.votes }), callback_data: `VOTE_NONE_${answer._id}_${state}` }
+      : { text: `👍 ${answer.votes}`, callback_data: `VOTE_UP_${answer._id}_${state}` },
+    userVote === 'down'
+      ? { text: t(lang, 'btn.downvoted'), callback_data: `VOTE_NONE_${answer._id}_${state}` }
+      : { text: `👎`, callback_data: `VOTE_DOWN_${answer._id}_${state}` },
+    { text: t(lang, 'btn.report_short'), callback_data: `REPORT_a_${answer._id}` }
+  ];
+
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({ text: t(lang, 'btn.prev'), callback_data: `ANSWERS_${questionId}_${sortCode}_${currentPage - 1}` });
+  }
+  if (currentPage < answerCount - 1) {
+    navigation.push({ text: t(lang, 'btn.next'), callback_data: `ANSWERS_${questionId}_${sortCode}_${currentPage + 1}` });
+  }
+
+  const commentRow = [{ text: t(lang, 'btn.reply'), callback_data: `COMMENT_${answer._id}` }];
+  if (commentCount > 0) {
+    commentRow.push({ text: t(lang, 'btn.show_replies', { count: commentCount }), callback_data: `REPLIES_${answer._id}_0_${state}` });
+  }
+  const keyboard = [answerRow, commentRow];
+
+  const attachmentRow = [];
+  if (answer.media) {
+    attachmentRow.push({ text: t(lang, 'btn.view_answer_attachment'), callback_data: `MEDIA_a_${answer._id}` });
+  }
+  if (question.media) {
+    attachmentRow.push({ text: t(lang, 'btn.view_question_attachment'), callback_data: `MEDIA_q_${questionId}` });
+  }
+  if (attachmentRow.length > 0) keyboard.push(attachmentRow);
+
+  // Only the asker sees the accept action
+  if (userId === question.user_id && !answer.accepted && answer.user_id !== userId) {
+    keyboard.push([{ text: t(lang, 'btn.accept_answer'), callback_data: `ACCEPT_${answer._id}_${state}` }]);
+  }
+
+  if (navigation.length > 0) keyboard.push(navigation);
+  keyboard.push(
+    [
+      { text: sortCode === 't' ? `• ${t(lang, 'btn.sort_top')} •` : t(lang, 'btn.sort_top'), callback_data: `ANSWERS_${questionId}_t_0` },
+      { text: sortCode === 'n' ? `• ${t(lang, 'btn.sort_newest')} •` : t(lang, 'btn.sort_newest'), callback_data: `ANSWERS_${questionId}_n_0` }
+    ],
+    [{ text: t(lang, 'btn.add_your_answer'), callback_data: `CHANNEL_ANSWER_${questionId}` }],
+    [subscribeButton],
+    [{ text: t(lang, 'btn.report_question'), callback_data: `REPORT_q_${questionId}` }],
+    [{ text: t(lang, 'btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+  );
+
+  return { text, keyboard };
+}
+
+// Sends a question's or answer's attachment to the user's chat. Staff who review content can open anything.
+bot.action(/^MEDIA_(q|a)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const isQuestion = ctx.match[1] === 'q';
+    const item = isQuestion
+      ? await dbHelpers.getQuestion(ctx.match[2])
+      : await dbHelpers.getAnswerWithVotes(ctx.match[2]);
+    const question = item && !isQuestion ? await dbHelpers.getQuestion(item.question_id.toString()) : item;
+
+    const visible = question && question.approved && !question.hidden &&
+      (isQuestion || (!item.hidden && item.status !== 'pending' && item.status !== 'rejected'));
+    if (!item || !item.media || (!visible && !await dbHelpers.hasPermission(ctx.from.id, 'approve'))) {
+      await ctx.answerCbQuery(ctx.t('media.not_found'));
+      return;
+    }
+
+    await sendMedia(ctx.from.id, item.media);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Send attachment error:', error.message);
+    await ctx.answerCbQuery(ctx.t('media.send_failed'));
+  }
+});
+
+// Redraws the browser message after a vote or navigation
+async function refreshAnswerBrowser(ctx, questionId, sortCode, page) {
+  const question = await dbHelpers.getQuestion(questionId);
+  if (!question || !question.approved || question.hidden) return;
+
+  const browser = await buildAnswerBrowser(question, ctx.from.id, sortCode, page, ctx.lang);
+  try {
+    await ctx.editMessageText(browser.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: browser.keyboard }
+    });
+  } catch (editError) {
+    // "message is not modified" when nothing changed
+  }
+}
+
+bot.action(/CHANNEL_BROWSE_(.+)/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const question = await dbHelpers.getQuestion(questionId);
+    
+    if (!question || !question.approved || question.hidden) {
+      await ctx.answerCbQuery(ctx.t('common.question_not_found'));
+      return;
+    }
+
+    const answerCount = await dbHelpers.getAnswerCountForQuestion(questionId);
+
+    // Update the browse button count in channel if possible
+    try {
+      await bot.telegram.editMessageReplyMarkup(
+        questionChat(question).chat_id,
+        question.channel_message_id,
+        undefined,
+        buildChannelKeyboard(questionId, answerCount)
+      );
+    } catch (editError) {
+      // Ignore edit errors - button might be old
+    }
+
+    const browser = await buildAnswerBrowser(question, ctx.from.id, 't', 0, ctx.lang);
+
+    // Send to user privately
+    try {
+      await bot.telegram.sendMessage(ctx.from.id, browser.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: browser.keyboard }
+      });
+    } catch (sendError) {
+      // User has never started the bot - open it on this question instead
+      await ctx.answerCbQuery('', { url: `https://t.me/${ctx.botInfo.username}?start=channel_${questionId}` });
+      return;
+    }
+
+    await ctx.answerCbQuery(ctx.t('channel.answers_sent'));
+  } catch (error) {
+    console.log('Channel browse error:', error.message);
+    await ctx.answerCbQuery(ctx.t('browser.load_error'));
+  }
+});
+
+bot.action(/^ACCEPT_([0-9a-f]{24})_(t|n)_(\d+)$/, async (ctx) => {
+  try {
+    const answer = await dbHelpers.getAnswerWithVotes(ctx.match[1]);
+    const question = answer ? await dbHelpers.getQuestion(answer.question_id.toString()) : null;
+
+    if (!answer || !question || question.user_id !== ctx.from.id) {
+      await ctx.answerCbQuery(ctx.t('accept.only_asker'));
+      return;
+    }
+
+    if (answer.user_id === ctx.from.id) {
+      await ctx.answerCbQuery(ctx.t('accept.own_answer'));
+      return;
+    }
+
+    const accepted = await dbHelpers.acceptAnswer(question, answer);
+    if (!accepted) {
+      await ctx.answerCbQuery(ctx.t('accept.already'));
+      return;
+    }
+
+    await dbHelpers.createNotification(answer.user_id, 'answer_accepted', {
+      questionId: question._id.toString(),
+      question: question.question,
+      answer: answer.answer
+    });
+
+    // Add the "Answered" marker to the channel post
+    try {
+      await refreshChannelPost(await dbHelpers.getQuestion(question._id.toString()));
+    } catch (editError) {
+      console.log('Channel post update failed:', editError.message);
+    }
+
+    // The accepted answer is pinned first, so jump back to the start
+    await refreshAnswerBrowser(ctx, question._id.toString(), ctx.match[2], 0);
+    await ctx.answerCbQuery(ctx.t('accept.done'));
+  } catch (error) {
+    console.log('Accept answer error:', error.message);
+    await ctx.answerCbQuery(ctx.t('accept.error'));
+  }
+});
+
+bot.action(/^ANSWERS_([0-9a-f]{24})_(t|n)_(\d+)$/, async (ctx) => {
+  try {
+    await refreshAnswerBrowser(ctx, ctx.match[1], ctx.match[2], parseInt(ctx.match[3]));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Answer browser error:', error.message);
+    await ctx.answerCbQuery(ctx.t('browser.load_error'));
+  }
+});
+
+// ==================== ANSWER COMMENTS ====================
+// An answer and its question, or null when either is no longer visible to readers
+async function getCommentableAnswer(answerId) {
+  const answer = await dbHelpers.getAnswerWithVotes(answerId);
+  if (!answer || answer.hidden || answer.status === 'pending' || answer.status === 'rejected') return null;
+
+  const question = await dbHelpers.getQuestion(answer.question_id.toString());
+  if (!question || !question.approved || question.hidden) return null;
+
+  return { answer, question };
+}
+
+// One page of replies under an answer. state is the browser's sort and page, for the way back.
+async function buildCommentThread(answer, question, page, state, lang) {
+  const answerId = answer._id.toString();
+  const commentCount = await dbHelpers.getCommentCount(answerId);
+  const pageCount = Math.max(1, Math.ceil(commentCount / COMMENTS_PER_PAGE));
+  const currentPage = Math.max(0, Math.min(page, pageCount - 1));
+
+  let text = t(lang, 'comments.header', {
+    question: markdownSnippet(question.question, 100),
+    author: await dbHelpers.getAnswerAuthorName(answer, lang),
+    answer: markdownSnippet(answer.answer, 300)
+  });
+
+  let comments = [];
+  if (commentCount === 0) {
+    text += t(lang, 'comments.empty');
+  } else {
+    comments = await dbHelpers.getComments(answerId, currentPage);
+    for (const [index, comment] of comments.entries()) {
+      text += t(lang, 'comments.item', {
+        number: index + 1,
+        author: await dbHelpers.getAnswerAuthorName(comment, lang),
+        date: new Date(comment.created_at).toLocaleDateString(),
+        comment: escapeMarkdown(comment.comment)
+      });
+    }
+    text += t(lang, 'comments.page', { page: currentPage + 1, pages: pageCount, count: commentCount });
+  }
+
+  const keyboard = [[{ text: t(lang, 'btn.reply'), callback_data: `COMMENT_${answerId}` }]];
+  if (comments.length > 0) {
+    keyboard.push(comments.map((comment, index) => ({
+      text: t(lang, 'btn.report_reply', { number: index + 1 }),
+      callback_data: `REPORT_c_${comment._id}`
+    })));
+  }
+
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({ text: t(lang, 'btn.prev'), callback_data: `REPLIES_${answerId}_${currentPage - 1}_${state}` });
+  }
+  if (currentPage < pageCount - 1) {
+    navigation.push({ text: t(lang, 'btn.next'), callback_data: `REPLIES_${answerId}_${currentPage + 1}_${state}` });
+  }
+  if (navigation.length > 0) keyboard.push(navigation);
+
+  keyboard.push([{ text: t(lang, 'btn.back_to_answers'), callback_data: `ANSWERS_${question._id}_${state}` }]);
+
+  return { text, keyboard };
+}
+
+bot.action(/^REPLIES_([0-9a-f]{24})_(\d+)_((?:t|n)_\d+)$/, async (ctx) => {
+  try {
+    const target = await getCommentableAnswer(ctx.match[1]);
+    if (!target) {
+      await ctx.answerCbQuery(ctx.t('comments.answer_gone'));
+      return;
+    }
+
+    const thread = await buildCommentThread(target.answer, target.question, parseInt(ctx.match[2]), ctx.match[3], ctx.lang);
+    try {
+      await ctx.editMessageText(thread.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: thread.keyboard }
+      });
+    } catch (editError) {
+      // Notifications may be too old to edit, so open the thread as a new message
+      await ctx.reply(thread.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: thread.keyboard }
+      });
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Comment thread error:', error.message);
+    await ctx.answerCbQuery(ctx.t('browser.load_error'));
+  }
+});
+
+bot.action(/^COMMENT_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const answerId = ctx.match[1];
+    const target = await getCommentableAnswer(answerId);
+    if (!target) {
+      await ctx.answerCbQuery(ctx.t('comments.answer_gone'));
+      return;
+    }
+
+    await dbHelpers.saveSession(ctx.from.id, {
+      step: 'awaiting_comment',
+      answerId: answerId,
+      questionId: target.question._id.toString()
+    });
+
+    const answer = target.answer.answer;
+    await ctx.reply(ctx.t('comments.prompt', {
+      author: await dbHelpers.getAnswerAuthorName(target.answer, ctx.lang),
+      answer: markdownSnippet(answer, 200)
+    }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Comment prompt error:', error.message);
+    await ctx.answerCbQuery(ctx.t('common.error_try_again'));
+  }
+});
+
+// Tells the answer's author and the question's subscribers about a new reply
+async function announceComment(comment, answer, question) {
+  const commentCount = await dbHelpers.getCommentCount(answer._id.toString());
+  const notification = {
+    questionId: question._id.toString(),
+    answerId: answer._id.toString(),
+    question: question.question,
+    comment: comment.comment,
+    commenterName: await dbHelpers.getAnswerAuthorName(comment),
+    // The button opens the page the new reply landed on
+    page: Math.floor((commentCount - 1) / COMMENTS_PER_PAGE)
+  };
+
+  if (answer.user_id !== comment.user_id) {
+    await dbHelpers.createNotification(answer.user_id, 'new_comment', { ...notification, onOwnAnswer: true });
+  }
+
+  const subscribers = await dbHelpers.getSubscribers(question._id.toString());
+  for (const subscriberId of subscribers) {
+    if (subscriberId !== comment.user_id && subscriberId !== answer.user_id) {
+      await dbHelpers.createNotification(subscriberId, 'new_comment', notification);
+    }
+  }
+}
+
+async function sendCommentForReview(comment, answer, question) {
+  const commentId = comment._id.toString();
+
+  const moderators = await dbHelpers.getOnDutyStaff('approve');
+  await dbHelpers.setReviewMessages(commentId, [], 'comments');
+  for (const moderatorId of moderators) {
+    try {
+      const lang = await dbHelpers.getUserLanguage(moderatorId);
+      const text = t(lang, 'review.comment', {
+        topic: question.topic,
+        answer: markdownSnippet(answer.answer, 200),
+        author: await dbHelpers.getAnswerAuthorName(comment, lang),
+        comment: escapeMarkdown(comment.comment)
+      });
+      await dbHelpers.enqueueMessage(moderatorId, text, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: t(lang, 'btn.approve'), callback_data: `COMMENT_APPROVE_${commentId}` },
+              { text: t(lang, 'btn.reject'), callback_data: `COMMENT_REJECT_${commentId}` }
+            ]
+          ]
+        }
+      }, { track: { collection: 'comments', id: comment._id } });
+    } catch (sendError) {
+      console.log('Moderator notification failed:', sendError.message);
+    }
+  }
+}
+
+bot.action(/^COMMENT_(APPROVE|REJECT)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const approving = ctx.match[1] === 'APPROVE';
+    const commentId = ctx.match[2];
+
+    if (!await dbHelpers.hasPermission(ctx.from.id, approving ? 'approve' : 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const comment = await dbHelpers.reviewComment(commentId, ctx.from.id, approving ? 'approved' : 'rejected');
+    if (!comment) {
+      await ctx.answerCbQuery(ctx.t('review.already_reviewed'));
+      return;
+    }
+
+    const moderator = await dbHelpers.getUser(ctx.from.id);
+    const statusKey = approving ? 'review.closed_comment_approved' : 'review.closed_comment_rejected';
+    const statusParams = {
+      moderator: dbHelpers.getDisplayName(moderator),
+      comment: markdownSnippet(comment.comment, 100)
+    };
+
+    await ctx.editMessageText(ctx.t(statusKey, statusParams), { parse_mode: 'Markdown' });
+    await dbHelpers.closeReviewMessages(comment, ctx.chat.id, statusKey, statusParams);
+
+    const answer = await dbHelpers.getAnswerWithVotes(comment.answer_id.toString());
+    const question = await dbHelpers.getQuestion(comment.question_id.toString());
+    const commentCount = await dbHelpers.getCommentCount(comment.answer_id.toString());
+    await dbHelpers.createNotification(comment.user_id, approving ? 'comment_approved' : 'comment_rejected', {
+      answerId: comment.answer_id.toString(),
+      question: question ? question.question : '',
+      comment: comment.comment,
+      page: Math.max(0, Math.floor((commentCount - 1) / COMMENTS_PER_PAGE))
+    });
+
+    // The thread's readers only hear about it once it is live
+    if (approving && answer && question) {
+      await announceComment(comment, answer, question);
+    }
+
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Comment review error:', error.message);
+    await ctx.answerCbQuery(ctx.t('review.comment_error'));
+  }
+});
+
+bot.action('SET_ANSWER_ALIAS', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const session = await dbHelpers.getSession(userId);
+
+    if (!session || session.step !== 'awaiting_answer') {
+      await ctx.answerCbQuery(ctx.t('common.session_expired_short'));
+      return;
+    }
+
+    session.waitingForAlias = true;
+    await dbHelpers.saveSession(userId, session);
+
+    await ctx.reply(ctx.t('answer.alias_prompt', { max: MAX_ALIAS_LENGTH }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Set answer alias error:', error.message);
+  }
+});
 
-    return { allowed: true, reason: '' };
+// ==================== VOTING HANDLERS ====================
+// Optional _<sort>_<page> suffix comes from the answer browser
+bot.action(/^VOTE_UP_([0-9a-f]{24})(?:_(t|n)_(\d+))?$/, async (ctx) => {
+  try {
+    const answerId = ctx.match[1];
+    const userId = ctx.from.id;
+    
+    if (!await enforceRateLimit(ctx, 'vote')) return;
+
+    const result = await dbHelpers.voteAnswer(userId, answerId, 'up');
+    
+    if (result) {
+      const answer = await dbHelpers.getAnswerWithVotes(answerId);
+      
+      // Notify answer author about the vote, but not when nothing changed
+      if (answer && answer.user_id !== userId && result.previous !== 'up') {
+        await dbHelpers.createNotification(answer.user_id, 'vote_received', {
+          answerId: answerId,
+          answer: answer.answer,
+          voteType: 'up'
+        });
+      }
+
+      if (answer && ctx.match[2]) {
+        await refreshAnswerBrowser(ctx, answer.question_id.toString(), ctx.match[2], parseInt(ctx.match[3]));
+      }
+      
+      await ctx.answerCbQuery(ctx.t('vote.upvoted'));
+    } else {
+      await ctx.answerCbQuery(ctx.t('vote.own_answer'));
+    }
+  } catch (error) {
+    console.log('Vote up error:', error.message);
+    await ctx.answerCbQuery(ctx.t('vote.error'));
   }
-};
+});
 
-// ==================== START COMMAND ====================
-bot.command('start', async (ctx) => {
+bot.action(/^VOTE_DOWN_([0-9a-f]{24})(?:_(t|n)_(\d+))?$/, async (ctx) => {
   try {
+    const answerId = ctx.match[1];
     const userId = ctx.from.id;
-    const userName = ctx.from.first_name || "User";
-    const startPayload = ctx.startPayload;
     
-    // Create/update user in database
-    let user = await dbHelpers.getUser(userId);
-    if (!user) {
-      user = await dbHelpers.createUser(userId, ctx.from.username || userName);
-    }
+    if (!await enforceRateLimit(ctx, 'vote')) return;
 
-    // Handle deep links
-    if (startPayload) {
-      if (startPayload.startsWith('channel_')) {
-        const questionId = startPayload.replace('channel_', '');
-        const question = await dbHelpers.getQuestion(questionId);
-        
-        if (question && question.approved) {
-          await ctx.reply(`## 📋 Question from Channel\n\n**Topic:** ${question.topic}\n**Question:** ${question.question}\n\nWhat would you like to do?`, {
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '💬 Answer Question', callback_data: `CHANNEL_ANSWER_${questionId}` }],
-                [{ text: '🔍 View Answers', callback_data: `CHANNEL_BROWSE_${questionId}` }],
-                [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
-              ]
-            }
-          });
-          return;
-        }
+    const result = await dbHelpers.voteAnswer(userId, answerId, 'down');
+    
+    if (result) {
+      const answer = await dbHelpers.getAnswerWithVotes(answerId);
+      
+      // Notify answer author about the vote, but not when nothing changed
+      if (answer && answer.user_id !== userId && result.previous !== 'down') {
+        await dbHelpers.createNotification(answer.user_id, 'vote_received', {
+          answerId: answerId,
+          answer: answer.answer,
+          voteType: 'down'
+        });
+      }
+
+      if (answer && ctx.match[2]) {
+        await refreshAnswerBrowser(ctx, answer.question_id.toString(), ctx.match[2], parseInt(ctx.match[3]));
       }
       
-      if (startPayload.startsWith('answer_')) {
-        const questionId = startPayload.replace('answer_', '');
-        const question = await dbHelpers.getQuestion(questionId);
-        
-        if (question && question.approved) {
-          await dbHelpers.saveSession(userId, {
-            step: 'awaiting_answer',
-            questionId: questionId,
-            questionText: question.question,
-            channelMessageId: question.channel_message_id
-          });
+      await ctx.answerCbQuery(ctx.t('vote.downvoted'));
+    } else {
+      await ctx.answerCbQuery(ctx.t('vote.own_answer'));
+    }
+  } catch (error) {
+    console.log('Vote down error:', error.message);
+    await ctx.answerCbQuery(ctx.t('vote.error'));
+  }
+});
 
-          await ctx.reply(`## 💬 Answer Question\n\n**Question:** ${question.question}\n\nPlease type your answer below:`, {
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
-              ]
+bot.action(/^VOTE_NONE_([0-9a-f]{24})(?:_(t|n)_(\d+))?$/, async (ctx) => {
+  try {
+    const answerId = ctx.match[1];
+    const userId = ctx.from.id;
+    
+    if (!await enforceRateLimit(ctx, 'vote')) return;
+
+    // Remove vote and reverse its effect on the answer score
+    await dbHelpers.voteAnswer(userId, answerId, null);
+
+    // Re-fetch answer to get current votes
+    const answer = await dbHelpers.getAnswerWithVotes(answerId);
+    const currentVotes = answer ? answer.votes : 0;
+
+    if (answer && ctx.match[2]) {
+      await refreshAnswerBrowser(ctx, answer.question_id.toString(), ctx.match[2], parseInt(ctx.match[3]));
+    }
+    
+    await ctx.answerCbQuery(ctx.t('vote.removed', { votes: currentVotes }));
+  } catch (error) {
+    console.log('Vote remove error:', error.message);
+    await ctx.answerCbQuery(ctx.t('vote.remove_error'));
+  }
+});
+
+// ==================== SUBSCRIPTION HANDLERS ====================
+bot.action(/SUBSCRIBE_(.+)/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const userId = ctx.from.id;
+    
+    const success = await dbHelpers.subscribeToQuestion(userId, questionId);
+    
+    if (success) {
+      await ctx.answerCbQuery(ctx.t('subscribe.done'));
+    } else {
+      await ctx.answerCbQuery(ctx.t('subscribe.failed'));
+    }
+  } catch (error) {
+    console.log('Subscribe error:', error.message);
+    await ctx.answerCbQuery(ctx.t('subscribe.error'));
+  }
+});
+
+bot.action(/UNSUBSCRIBE_(.+)/, async (ctx) => {
+  try {
+    const questionId = ctx.match[1];
+    const userId = ctx.from.id;
+    
+    const success = await dbHelpers.unsubscribeFromQuestion(userId, questionId);
+    
+    if (success) {
+      await ctx.answerCbQuery(ctx.t('unsubscribe.done'));
+    } else {
+      await ctx.answerCbQuery(ctx.t('unsubscribe.failed'));
+    }
+  } catch (error) {
+    console.log('Unsubscribe error:', error.message);
+    await ctx.answerCbQuery(ctx.t('unsubscribe.error'));
+  }
+});
+
+// ==================== REPORTING ====================
+async function sendReportPicker(chatId, typeCode, targetId, lang) {
+  const label = t(lang, `common.${REPORT_TARGET_TYPES[typeCode]}`);
+  const keyboard = Object.entries(REPORT_REASONS).map(([reason, key]) => [
+    { text: t(lang, key), callback_data: `REPORT_REASON_${typeCode}_${targetId}_${reason}` }
+  ]);
+  keyboard.push([{ text: t(lang, 'btn.cancel'), callback_data: 'BACK_TO_MAIN' }]);
+
+  await bot.telegram.sendMessage(chatId, t(lang, 'report.picker', { label: label }), {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+bot.action(/^REPORT_(q|a|c)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    const typeCode = ctx.match[1];
+    const targetId = ctx.match[2];
+
+    try {
+      // Always pick the reason in private, even when tapped in the channel
+      await sendReportPicker(ctx.from.id, typeCode, targetId, ctx.lang);
+      await ctx.answerCbQuery(ctx.t('channel.check_messages'));
+    } catch (sendError) {
+      // User has never started the bot - open it with a report deep link
+      await ctx.answerCbQuery('', { url: `https://t.me/${ctx.botInfo.username}?start=report_${typeCode}_${targetId}` });
+    }
+  } catch (error) {
+    console.log('Report button error:', error.message);
+    await ctx.answerCbQuery(ctx.t('common.error_try_again'));
+  }
+});
+
+bot.action(/^REPORT_REASON_(q|a|c)_([0-9a-f]{24})_(\w+)$/, async (ctx) => {
+  try {
+    const targetType = REPORT_TARGET_TYPES[ctx.match[1]];
+    const targetId = ctx.match[2];
+    const reason = ctx.match[3];
+    const userId = ctx.from.id;
+
+    if (!REPORT_REASONS[reason]) {
+      await ctx.answerCbQuery(ctx.t('common.unknown_reason'));
+      return;
+    }
+
+    const target = await dbHelpers.getReportTarget(targetType, targetId);
+    if (!target) {
+      await ctx.answerCbQuery(ctx.t('report.not_found'));
+      return;
+    }
+
+    if (target.user_id === userId) {
+      await ctx.answerCbQuery(ctx.t(`report.own_${targetType}`));
+      return;
+    }
+
+    const result = await dbHelpers.createReport(userId, targetType, targetId, reason);
+    if (!result) {
+      await ctx.answerCbQuery(ctx.t('report.error'));
+      return;
+    }
+
+    await ctx.editMessageText(result.created
+      ? ctx.t('report.received', { reason: ctx.t(REPORT_REASONS[reason]) })
+      : ctx.t('report.already', { label: ctx.t(`common.${targetType}`) }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+
+    if (result.hidden) {
+      const moderators = await dbHelpers.getOnDutyStaff('reject');
+      for (const moderatorId of moderators) {
+        try {
+          const lang = await dbHelpers.getUserLanguage(moderatorId);
+          await dbHelpers.enqueueMessage(
+            moderatorId,
+            t(lang, 'report.auto_hidden', { label: t(lang, `common.${targetType}`), count: REPORT_HIDE_THRESHOLD }),
+            {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: t(lang, 'btn.open_reports_queue'), callback_data: 'REPORTS_PAGE_0' }]
+                ]
+              }
             }
-          });
-          return;
+          );
+        } catch (sendError) {
+          console.log('Moderator alert failed:', sendError.message);
         }
       }
     }
-    
-    // Normal start flow
-    const welcomeMessage = `# 🤖 Ask Oromia Bot\n\n---\n\n## Hi ${userName}, Welcome to Ask Oromia!\n\n**Available Commands:**\n\n- /ask - Send your question to the channel  \n- /myprofile - See your questions and answers  \n- /settings - Configure your settings  \n- /help - Get help and support\n\nIf you have any questions or feedback, just send them here!\n\n---`;
 
-    await ctx.reply(welcomeMessage, {
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Report reason error:', error.message);
+    await ctx.answerCbQuery(ctx.t('report.error'));
+  }
+});
+
+async function showReportsPage(ctx, page) {
+  const groups = await dbHelpers.getOpenReportGroups();
+
+  if (groups.length === 0) {
+    await ctx.editMessageText(ctx.t('reports.empty'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.refresh'), callback_data: 'REPORTS_PAGE_0' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    return;
+  }
+
+  const index = Math.min(page, groups.length - 1);
+  const group = groups[index];
+  const targetType = group._id.target_type;
+  const targetId = group._id.target_id.toString();
+  const typeCode = Object.keys(REPORT_TARGET_TYPES).find(code => REPORT_TARGET_TYPES[code] === targetType);
+  const target = await dbHelpers.getReportTarget(targetType, targetId);
+
+  const reasonCounts = {};
+  group.reasons.forEach(reason => { reasonCounts[reason] = (reasonCounts[reason] || 0) + 1; });
+  const reasonText = Object.entries(reasonCounts)
+    .map(([reason, count]) => `${REPORT_REASONS[reason] ? ctx.t(REPORT_REASONS[reason]) : reason} × ${count}`)
+    .join('\n');
+
+  let message = ctx.t('reports.header', {
+    page: index + 1,
+    total: groups.length,
+    type: ctx.t(`common.${targetType}`),
+    hidden: target && target.hidden ? ctx.t('reports.hidden_marker') : '',
+    count: group.count,
+    reasons: reasonText
+  });
+
+  if (!target) {
+    message += ctx.t('reports.content_gone');
+  } else if (targetType === 'question') {
+    message += ctx.t('reports.question_body', { topic: target.topic, question: target.question });
+  } else if (targetType === 'comment') {
+    const answer = await dbHelpers.getAnswerWithVotes(target.answer_id.toString());
+    message += ctx.t('reports.comment_body', {
+      answer: answer ? markdownSnippet(answer.answer, 100) : ctx.t('common.unknown'),
+      comment: escapeMarkdown(target.comment)
+    });
+  } else {
+    const question = await dbHelpers.getQuestion(target.question_id.toString());
+    message += ctx.t('reports.answer_body', {
+      question: question ? question.question.substring(0, 100) : ctx.t('common.unknown'),
+      answer: target.answer
+    });
+  }
+
+  const navigation = [];
+  if (index > 0) navigation.push({ text: ctx.t('btn.prev_page'), callback_data: `REPORTS_PAGE_${index - 1}` });
+  if (index < groups.length - 1) navigation.push({ text: ctx.t('btn.next_page'), callback_data: `REPORTS_PAGE_${index + 1}` });
+
+  const keyboard = [
+    [
+      { text: ctx.t('btn.keep_dismiss'), callback_data: `REPORT_DISMISS_${typeCode}_${targetId}` },
+      { text: ctx.t('btn.remove'), callback_data: `REPORT_REMOVE_${typeCode}_${targetId}` }
+    ]
+  ];
+  if (navigation.length > 0) keyboard.push(navigation);
+  keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]);
+
+  await ctx.editMessageText(message, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+bot.action(/^REPORTS_PAGE_(\d+)$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    await showReportsPage(ctx, parseInt(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Reports queue error:', error.message);
+  }
+});
+
+bot.action(/^REPORT_(DISMISS|REMOVE)_(q|a|c)_([0-9a-f]{24})$/, async (ctx) => {
+  try {
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'reject')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
+    }
+
+    const action = ctx.match[1];
+    const targetType = REPORT_TARGET_TYPES[ctx.match[2]];
+    const targetId = ctx.match[3];
+
+    if (action === 'DISMISS') {
+      await dbHelpers.resolveReports(targetType, targetId, 'dismissed', ctx.from.id);
+      await dbHelpers.setContentHidden(targetType, targetId, false);
+    } else {
+      await dbHelpers.resolveReports(targetType, targetId, 'actioned', ctx.from.id);
+      await dbHelpers.setContentHidden(targetType, targetId, true, 'channel.removed_notice');
+    }
+
+    await showReportsPage(ctx, 0);
+    await ctx.answerCbQuery(ctx.t(action === 'DISMISS' ? 'reports.dismissed' : `reports.removed_${targetType}`));
+  } catch (error) {
+    console.log('Resolve reports error:', error.message);
+    await ctx.answerCbQuery(ctx.t('reports.resolve_error'));
+  }
+});
+
+// ==================== USER PROFILE ====================
+bot.action('USER_PROFILE', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const user = await dbHelpers.ensurePseudonym(await dbHelpers.getUser(userId));
+    
+    if (!user) {
+      await ctx.answerCbQuery(ctx.t('common.user_not_found'));
+      return;
+    }
+
+    const allUsers = await dbHelpers.getAllUsers();
+    const userRank = allUsers.sort((a, b) => b.points - a.points).findIndex(u => u.user_id === userId) + 1;
+    const totalUsers = allUsers.length;
+
+    const profileText = ctx.t('profile.text', {
+      name: dbHelpers.getDisplayName(user, null, ctx.lang),
+      pseudonym: user.pseudonym || ctx.t('common.not_set'),
+      realHandle: ctx.t(user.show_real_name ? 'common.yes' : 'common.no'),
+      points: user.points,
+      questions: user.questions_asked,
+      answers: user.answers_given,
+      rank: userRank,
+      totalUsers: totalUsers,
+      joined: new Date(user.join_date).toLocaleDateString()
+    });
+
+    await ctx.editMessageText(profileText, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.leaderboard'), callback_data: 'LEADERBOARD' }],
+          [{ text: ctx.t('btn.reputation_history'), callback_data: 'REP_HISTORY_0' }],
+          [{ text: ctx.t('btn.new_pseudonym'), callback_data: 'REGENERATE_PSEUDONYM' }],
+          [{ text: ctx.t(user.show_real_name ? 'btn.hide_real_handle' : 'btn.show_real_handle'), callback_data: 'TOGGLE_REAL_NAME' }],
+          [{ text: ctx.t('btn.notifications'), callback_data: 'NOTIFICATIONS_MENU' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Profile error:', error.message);
+  }
+});
+
+bot.action('REGENERATE_PSEUDONYM', async (ctx) => {
+  try {
+    const pseudonym = await dbHelpers.regeneratePseudonym(ctx.from.id);
+
+    if (!pseudonym) {
+      await ctx.answerCbQuery(ctx.t('profile.pseudonym_failed'));
+      return;
+    }
+
+    await ctx.editMessageText(ctx.t('profile.new_pseudonym', { pseudonym: pseudonym }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.try_another'), callback_data: 'REGENERATE_PSEUDONYM' }],
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Regenerate pseudonym error:', error.message);
+  }
+});
+
+bot.action('TOGGLE_REAL_NAME', async (ctx) => {
+  try {
+    const user = await dbHelpers.getUser(ctx.from.id);
+
+    if (!user) {
+      await ctx.answerCbQuery(ctx.t('common.user_not_found'));
+      return;
+    }
+
+    const showRealName = !user.show_real_name;
+    await dbHelpers.setShowRealName(ctx.from.id, showRealName);
+
+    const message = showRealName
+      ? ctx.t('profile.real_handle_visible', { username: escapeMarkdown(user.username) })
+      : ctx.t('profile.real_handle_hidden', { pseudonym: user.pseudonym });
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Toggle real name error:', error.message);
+  }
+});
+
+bot.action(/^REP_HISTORY_(\d+)$/, async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const page = parseInt(ctx.match[1]);
+    const user = await dbHelpers.getUser(userId);
+    const entries = await dbHelpers.getPointsHistory(userId, page);
+    const totalEntries = await dbHelpers.getPointsHistoryCount(userId);
+    const totalPages = Math.max(1, Math.ceil(totalEntries / REPUTATION_PAGE_SIZE));
+
+    let message = ctx.t('history.title', { points: user ? user.points : 0 });
+
+    if (entries.length === 0) {
+      message += ctx.t('history.empty');
+    } else {
+      message += ctx.t('common.page_of', { page: page + 1, total: totalPages });
+      entries.forEach(entry => {
+        const sign = entry.delta > 0 ? '+' : '';
+        const label = POINT_REASON_LABELS[entry.reason] ? ctx.t(POINT_REASON_LABELS[entry.reason]) : entry.reason;
+        message += `${sign}${entry.delta} • ${label}${entry.reversed ? ctx.t('history.reversed') : ''}\n`;
+        message += `   📅 ${new Date(entry.created_at).toLocaleDateString()}\n`;
+      });
+    }
+
+    const navigation = [];
+    if (page > 0) navigation.push({ text: ctx.t('btn.newer'), callback_data: `REP_HISTORY_${page - 1}` });
+    if (page < totalPages - 1) navigation.push({ text: ctx.t('btn.older'), callback_data: `REP_HISTORY_${page + 1}` });
+
+    const keyboard = [];
+    if (navigation.length > 0) keyboard.push(navigation);
+    keyboard.push([{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Reputation history error:', error.message);
+  }
+});
+
+// ==================== LEADERBOARD ====================
+bot.action('LEADERBOARD', async (ctx) => {
+  try {
+    const topUsers = await dbHelpers.getTopUsers(10);
+
+    let leaderboardText = ctx.t('leaderboard.title');
+
+    topUsers.forEach((user, index) => {
+      const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+      leaderboardText += `${medal} **${dbHelpers.getDisplayName(user, null, ctx.lang)}**\n`;
+      leaderboardText += ctx.t('leaderboard.line', { points: user.points, questions: user.questions_asked, answers: user.answers_given });
+    });
+
+    await ctx.editMessageText(leaderboardText, {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '📝 Ask Question', callback_data: 'ASK_QUESTION' }],
-          [{ text: '👤 My Profile', callback_data: 'USER_PROFILE' }],
-          [{ text: '⚙️ Settings', callback_data: 'MORE_OPTIONS' }],
-          [{ text: '❓ Help', callback_data: 'HELP_MENU' }]
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Start command error:', error.message);
+    console.log('Leaderboard error:', error.message);
   }
 });
 
-// ==================== ASK COMMAND ====================
-bot.command('ask', async (ctx) => {
+// ==================== SETTINGS ====================
+bot.action('MORE_OPTIONS', async (ctx) => {
   try {
-    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_question' });
-
-    await ctx.reply(`## 📝 Start a Question\n\nPlease type your question below:\n\n*Your identity will be completely anonymous*`, {
+    await ctx.editMessageText(ctx.t('settings.title'), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.language', { language: LANGUAGE_NAMES[ctx.lang] }), callback_data: 'LANGUAGE_MENU' }],
+          [{ text: ctx.t('btn.notifications'), callback_data: 'NOTIFICATIONS_MENU' }],
+          [{ text: ctx.t('btn.statistics'), callback_data: 'BOT_STATS' }],
+          [{ text: ctx.t('btn.subscriptions'), callback_data: 'SUBSCRIPTION_SETTINGS' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Ask command error:', error.message);
+    console.log('Settings error:', error.message);
   }
 });
 
-// ==================== MYPROFILE COMMAND ====================
-bot.command('myprofile', async (ctx) => {
+bot.action('LANGUAGE_MENU', async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const user = await dbHelpers.getUser(userId);
-    
-    if (!user) {
-      await ctx.reply('Please use /start first to set up your profile.');
+    const keyboard = Object.entries(LANGUAGE_NAMES).map(([code, name]) => [
+      { text: code === ctx.lang ? `✅ ${name}` : name, callback_data: `SET_LANG_${code}` }
+    ]);
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'MORE_OPTIONS' }]);
+
+    await ctx.editMessageText(ctx.t('settings.language_title'), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Language menu error:', error.message);
+  }
+});
+
+bot.action(/^SET_LANG_(\w+)$/, async (ctx) => {
+  try {
+    const language = ctx.match[1];
+    if (!LOCALES[language]) {
+      await ctx.answerCbQuery();
       return;
     }
 
-    const allUsers = await dbHelpers.getAllUsers();
-    const userRank = allUsers.sort((a, b) => b.points - a.points).findIndex(u => u.user_id === userId) + 1;
-    const totalUsers = allUsers.length;
-
-    const profileText = `# 👤 My Profile\n\n**${user.username}**\n\n📊 **Stats:**\n⭐ Points: ${user.points}\n❓ Questions Asked: ${user.questions_asked}\n💬 Answers Given: ${user.answers_given}\n\n🏆 **Ranking:**\n📈 Rank: ${userRank}/${totalUsers}\n📅 Member Since: ${new Date(user.join_date).toLocaleDateString()}`;
+    await dbHelpers.setUserLanguage(ctx.from.id, language);
+    ctx.lang = language;
 
-    await ctx.reply(profileText, {
+    await ctx.editMessageText(ctx.t('settings.language_saved', { language: LANGUAGE_NAMES[language] }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🏆 Leaderboard', callback_data: 'LEADERBOARD' }],
-          [{ text: '🔔 Notifications', callback_data: 'NOTIFICATIONS_MENU' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.settings'), callback_data: 'MORE_OPTIONS' }],
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Myprofile command error:', error.message);
+    console.log('Set language error:', error.message);
   }
 });
 
-// ==================== SETTINGS COMMAND ====================
-bot.command('settings', async (ctx) => {
+// ==================== NOTIFICATIONS MENU ====================
+async function showNotificationsMenu(ctx) {
+  const userId = ctx.from.id;
+  const notifications = await dbHelpers.getUserNotifications(userId, 10);
+  const prefs = await dbHelpers.getNotificationPrefs(userId);
+
+  let message = ctx.t('notifications.title');
+
+  if (notifications.length === 0) {
+    message += ctx.t('notifications.empty');
+  } else {
+    const unreadCount = notifications.filter(n => !n.read).length;
+    message += ctx.t('notifications.unread_summary', { unread: unreadCount, total: notifications.length });
+
+    notifications.forEach((notif, index) => {
+      const params = {
+        status: notif.read ? '✅' : '🔔',
+        date: new Date(notif.created_at).toLocaleDateString(),
+        topic: notif.data && notif.data.topic
+      };
+
+      switch (notif.type) {
+        case 'new_answer':
+        case 'new_comment':
+        case 'new_question_in_topic':
+        case 'question_approved':
+        case 'vote_received':
+        case 'answer_accepted':
+        case 'answer_approved':
+        case 'answer_rejected':
+        case 'comment_approved':
+        case 'comment_rejected':
+          message += ctx.t(`notifications.item_${notif.type}`, params);
+          break;
+      }
+    });
+  }
+  message += ctx.t('notif_prefs.hint');
+
+  const categoryButton = (category) => ({
+    text: `${prefs[category] ? '🔔' : '🔕'} ${ctx.t(`notif_prefs.category_${category}`)}`,
+    callback_data: `NOTIF_TOGGLE_${category}`
+  });
+  const quietHours = prefs.quiet_start == null || prefs.quiet_end == null
+    ? ctx.t('notif_prefs.off')
+    : `${formatHour(prefs.quiet_start)}–${formatHour(prefs.quiet_end)}`;
+
+  const keyboard = [];
+  if (notifications.length > 0) {
+    keyboard.push([{ text: ctx.t('btn.mark_all_read'), callback_data: 'MARK_ALL_READ' }]);
+  }
+  keyboard.push(
+    [categoryButton('answers'), categoryButton('approvals')],
+    [categoryButton('votes'), categoryButton('topics')],
+    [{ text: ctx.t('btn.quiet_hours', { value: quietHours }), callback_data: 'NOTIF_QUIET' }],
+    [{ text: ctx.t('btn.daily_digest', { value: prefs.digest ? formatHour(prefs.digest_hour) : ctx.t('notif_prefs.off') }), callback_data: 'NOTIF_DIGEST' }],
+    [{ text: ctx.t('btn.time_zone', { value: formatUtcOffset(prefs.utc_offset) }), callback_data: 'NOTIF_TZ' }],
+    [{ text: ctx.t('btn.ask_question'), callback_data: 'ASK_QUESTION' }],
+    [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }],
+    [{ text: ctx.t('btn.back'), callback_data: 'MORE_OPTIONS' }]
+  );
+
+  await ctx.editMessageText(message, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// 24 hour buttons, six per row; the selected hour is ticked
+function buildHourPicker(callbackPrefix, selectedHour = null) {
+  const rows = [];
+  for (let hour = 0; hour < 24; hour++) {
+    if (hour % 6 === 0) rows.push([]);
+    rows[rows.length - 1].push({
+      text: hour === selectedHour ? `✅ ${String(hour).padStart(2, '0')}` : String(hour).padStart(2, '0'),
+      callback_data: `${callbackPrefix}${hour}`
+    });
+  }
+  return rows;
+}
+
+bot.action('NOTIFICATIONS_MENU', async (ctx) => {
+  try {
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Notifications menu error:', error.message);
+  }
+});
+
+bot.action(/^NOTIF_TOGGLE_(answers|approvals|votes|topics)$/, async (ctx) => {
+  try {
+    const category = ctx.match[1];
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    const enabled = !prefs[category];
+
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { [category]: enabled });
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery(ctx.t(enabled ? 'notif_prefs.category_on' : 'notif_prefs.category_off', {
+      category: ctx.t(`notif_prefs.category_${category}`)
+    }));
+  } catch (error) {
+    console.log('Notification toggle error:', error.message);
+  }
+});
+
+bot.action('NOTIF_QUIET', async (ctx) => {
+  try {
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    const keyboard = buildHourPicker('NOTIF_QUIET_START_', prefs.quiet_start);
+    if (prefs.quiet_start != null) {
+      keyboard.push([{ text: ctx.t('btn.turn_off'), callback_data: 'NOTIF_QUIET_OFF' }]);
+    }
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'NOTIFICATIONS_MENU' }]);
+
+    await ctx.editMessageText(ctx.t('notif_prefs.quiet_start_title', { timezone: formatUtcOffset(prefs.utc_offset) }), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Quiet hours menu error:', error.message);
+  }
+});
+
+bot.action(/^NOTIF_QUIET_START_(\d{1,2})$/, async (ctx) => {
+  try {
+    const start = parseInt(ctx.match[1]);
+    if (start > 23) {
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    const keyboard = buildHourPicker(`NOTIF_QUIET_END_${start}_`, prefs.quiet_start === start ? prefs.quiet_end : null);
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'NOTIF_QUIET' }]);
+
+    await ctx.editMessageText(ctx.t('notif_prefs.quiet_end_title', { start: formatHour(start) }), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Quiet hours start error:', error.message);
+  }
+});
+
+bot.action(/^NOTIF_QUIET_END_(\d{1,2})_(\d{1,2})$/, async (ctx) => {
+  try {
+    const start = parseInt(ctx.match[1]);
+    const end = parseInt(ctx.match[2]);
+    if (start > 23 || end > 23) {
+      await ctx.answerCbQuery();
+      return;
+    }
+    if (start === end) {
+      await ctx.answerCbQuery(ctx.t('notif_prefs.quiet_same_hour'));
+      return;
+    }
+
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { quiet_start: start, quiet_end: end });
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery(ctx.t('notif_prefs.quiet_saved', { start: formatHour(start), end: formatHour(end) }));
+  } catch (error) {
+    console.log('Quiet hours save error:', error.message);
+  }
+});
+
+bot.action('NOTIF_QUIET_OFF', async (ctx) => {
+  try {
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { quiet_start: null, quiet_end: null });
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery(ctx.t('notif_prefs.quiet_off'));
+  } catch (error) {
+    console.log('Quiet hours off error:', error.message);
+  }
+});
+
+bot.action('NOTIF_DIGEST', async (ctx) => {
+  try {
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    const keyboard = buildHourPicker('NOTIF_DIGEST_', prefs.digest ? prefs.digest_hour : null);
+    if (prefs.digest) {
+      keyboard.push([{ text: ctx.t('btn.turn_off'), callback_data: 'NOTIF_DIGEST_OFF' }]);
+    }
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'NOTIFICATIONS_MENU' }]);
+
+    await ctx.editMessageText(ctx.t('notif_prefs.digest_title', { timezone: formatUtcOffset(prefs.utc_offset) }), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Digest menu error:', error.message);
+  }
+});
+
+bot.action(/^NOTIF_DIGEST_(\d{1,2})$/, async (ctx) => {
+  try {
+    const hour = parseInt(ctx.match[1]);
+    if (hour > 23) {
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { digest: true, digest_hour: hour });
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery(ctx.t('notif_prefs.digest_saved', { hour: formatHour(hour) }));
+  } catch (error) {
+    console.log('Digest save error:', error.message);
+  }
+});
+
+bot.action('NOTIF_DIGEST_OFF', async (ctx) => {
+  try {
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { digest: false });
+    await showNotificationsMenu(ctx);
+    await ctx.answerCbQuery(ctx.t('notif_prefs.digest_off'));
+  } catch (error) {
+    console.log('Digest off error:', error.message);
+  }
+});
+
+async function showTimeZonePicker(ctx, utcOffset) {
+  const now = new Date();
+  const localTime = `${String(localHour(utcOffset, now)).padStart(2, '0')}:${String(now.getUTCMinutes()).padStart(2, '0')}`;
+
+  const stepRow = [];
+  if (utcOffset > MIN_UTC_OFFSET) stepRow.push({ text: '➖ 1h', callback_data: `NOTIF_TZ_${utcOffset - 1}` });
+  if (utcOffset < MAX_UTC_OFFSET) stepRow.push({ text: '➕ 1h', callback_data: `NOTIF_TZ_${utcOffset + 1}` });
+
+  await ctx.editMessageText(ctx.t('notif_prefs.timezone_title', { timezone: formatUtcOffset(utcOffset), time: localTime }), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        stepRow,
+        [{ text: ctx.t('btn.done'), callback_data: 'NOTIFICATIONS_MENU' }]
+      ]
+    }
+  });
+}
+
+bot.action('NOTIF_TZ', async (ctx) => {
+  try {
+    const prefs = await dbHelpers.getNotificationPrefs(ctx.from.id);
+    await showTimeZonePicker(ctx, prefs.utc_offset);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Time zone menu error:', error.message);
+  }
+});
+
+bot.action(/^NOTIF_TZ_(-?\d{1,2})$/, async (ctx) => {
+  try {
+    const utcOffset = parseInt(ctx.match[1]);
+    if (utcOffset < MIN_UTC_OFFSET || utcOffset > MAX_UTC_OFFSET) {
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    await dbHelpers.updateNotificationPrefs(ctx.from.id, { utc_offset: utcOffset });
+    await showTimeZonePicker(ctx, utcOffset);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Time zone save error:', error.message);
+  }
+});
+
+bot.action('MARK_ALL_READ', async (ctx) => {
   try {
-    await ctx.reply(`# ⚙️ Settings\n\nConfigure your preferences.`, {
+    const userId = ctx.from.id;
+    await dbHelpers.markAllNotificationsAsRead(userId);
+    await ctx.answerCbQuery(ctx.t('notifications.marked_read_short'));
+    
+    // Refresh notifications menu
+    await bot.telegram.deleteMessage(ctx.chat.id, ctx.update.callback_query.message.message_id);
+    await ctx.reply(ctx.t('notifications.marked_read'), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🔔 Notifications', callback_data: 'NOTIFICATIONS_MENU' }],
-          [{ text: '📊 Statistics', callback_data: 'BOT_STATS' }],
-          [{ text: '👥 Subscriptions', callback_data: 'SUBSCRIPTION_SETTINGS' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.ask_question'), callback_data: 'ASK_QUESTION' }],
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'MORE_OPTIONS' }]
         ]
       }
     });
   } catch (error) {
-    console.log('Settings command error:', error.message);
+    console.log('Mark all read error:', error.message);
+    await ctx.answerCbQuery(ctx.t('notifications.mark_error'));
+  }
+});
+
+// ==================== SUBSCRIPTION SETTINGS ====================
+bot.action('SUBSCRIPTION_SETTINGS', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const subscriptions = await dbHelpers.getUserSubscriptions(userId);
+    const followedTopicIds = await dbHelpers.getFollowedTopicIds(userId);
+    const followedTopics = (await dbHelpers.getTopics()).filter(topic => followedTopicIds.includes(topic._id.toString()));
+
+    let message = ctx.t('subscriptions.title');
+
+    if (followedTopics.length === 0) {
+      message += ctx.t('subscriptions.no_topics');
+    } else {
+      message += ctx.t('subscriptions.topics', {
+        count: followedTopics.length,
+        topics: followedTopics.map(topic => topic.name).join('\n')
+      });
+    }
+    
+    if (subscriptions.length === 0) {
+      message += ctx.t('subscriptions.none');
+    } else {
+      message += ctx.t('subscriptions.list_heading', { count: subscriptions.length });
+      subscriptions.forEach((sub, index) => {
+        if (sub.question && sub.question[0]) {
+          const question = sub.question[0];
+          message += `${index + 1}. ${question.question.substring(0, 50)}...\n`;
+          message += ctx.t('subscriptions.since', { date: new Date(sub.created_at).toLocaleDateString() });
+        }
+      });
+    }
+
+    const keyboard = [[{ text: ctx.t('btn.follow_topics'), callback_data: 'TOPIC_FOLLOWS' }]];
+    if (subscriptions.length > 0) {
+      keyboard.push([{ text: ctx.t('btn.manage_subscriptions'), callback_data: 'MANAGE_SUBSCRIPTIONS' }]);
+    }
+    keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'MORE_OPTIONS' }]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Subscription settings error:', error.message);
+  }
+});
+
+bot.action('MANAGE_SUBSCRIPTIONS', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const subscriptions = await dbHelpers.getUserSubscriptions(userId);
+
+    let message = ctx.t('subscriptions.manage_title');
+    
+    subscriptions.forEach((sub, index) => {
+      if (sub.question && sub.question[0]) {
+        const question = sub.question[0];
+        message += `${index + 1}. ${question.question.substring(0, 40)}...\n`;
+      }
+    });
+
+    const keyboard = subscriptions.map((sub, index) => {
+      if (sub.question && sub.question[0]) {
+        return [{ 
+          text: ctx.t('btn.unsubscribe_numbered', { index: index + 1 }), 
+          callback_data: `UNSUBSCRIBE_${sub.question[0]._id}` 
+        }];
+      }
+      return [];
+    }).filter(btn => btn.length > 0);
+
+    keyboard.push([{ text: ctx.t('btn.back_to_subscriptions'), callback_data: 'SUBSCRIPTION_SETTINGS' }]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Manage subscriptions error:', error.message);
   }
 });
 
-// ==================== HELP COMMAND ====================
-bot.command('help', async (ctx) => {
+async function showTopicFollows(ctx) {
+  const topics = await dbHelpers.getTopics();
+  const followedTopicIds = await dbHelpers.getFollowedTopicIds(ctx.from.id);
+
+  const keyboard = topics.map(topic => {
+    const following = followedTopicIds.includes(topic._id.toString());
+    return [{ text: `${following ? '✅' : '➕'} ${topic.name}`, callback_data: `TOPIC_FOLLOW_${topic._id}` }];
+  });
+  keyboard.push([{ text: ctx.t('btn.back_to_subscriptions'), callback_data: 'SUBSCRIPTION_SETTINGS' }]);
+
+  await ctx.editMessageText(ctx.t('follows.title'), {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+bot.action('TOPIC_FOLLOWS', async (ctx) => {
   try {
-    await ctx.reply(`# ❓ Help & Support\n\nNeed assistance?\n\n- How to ask questions anonymously\n- How to answer questions\n- Privacy and safety guidelines\n- Report inappropriate content\n- Contact support`, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📖 How to Ask', callback_data: 'HOW_TO_ASK' }],
-          [{ text: '💬 How to Answer', callback_data: 'HOW_TO_COMMENT' }],
-          [{ text: '🛡️ Safety Guide', callback_data: 'SAFETY_GUIDE' }],
-          [{ text: '📞 Contact Support', callback_data: 'CONTACT_SUPPORT' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
-    });
+    await showTopicFollows(ctx);
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Help command error:', error.message);
+    console.log('Topic follows error:', error.message);
   }
 });
 
-// ==================== ADMIN COMMANDS ====================
-bot.command('admin', async (ctx) => {
+bot.action(/^TOPIC_FOLLOW_([0-9a-f]{24})$/, async (ctx) => {
   try {
-    if (ctx.from.id !== ADMIN_ID) {
-      await ctx.reply('❌ Access denied.');
+    const userId = ctx.from.id;
+    const topicId = ctx.match[1];
+    const topic = await dbHelpers.getTopic(topicId);
+
+    if (!topic) {
+      await ctx.answerCbQuery(ctx.t('topics.not_found'));
       return;
     }
 
-    const pendingCount = await db.collection('questions').countDocuments({ approved: false });
-    const totalQuestions = await db.collection('questions').countDocuments({ approved: true });
-    const totalAnswers = await db.collection('answers').countDocuments();
-    const totalUsers = await db.collection('users').countDocuments();
+    const following = (await dbHelpers.getFollowedTopicIds(userId)).includes(topicId);
+    if (following) {
+      await dbHelpers.unfollowTopic(userId, topicId);
+    } else {
+      await dbHelpers.followTopic(userId, topicId);
+    }
 
-    await ctx.reply(`# 👑 Admin Panel\n\n**Statistics:**\n⏳ Pending Questions: ${pendingCount}\n✅ Approved Questions: ${totalQuestions}\n💬 Total Answers: ${totalAnswers}\n👥 Total Users: ${totalUsers}`, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📋 View Pending Questions', callback_data: 'ADMIN_PENDING' }],
-          [{ text: '📊 Full Statistics', callback_data: 'ADMIN_STATS' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
-    });
+    await showTopicFollows(ctx);
+    await ctx.answerCbQuery(ctx.t(following ? 'follows.unfollowed' : 'follows.following', { topic: topic.name }));
   } catch (error) {
-    console.log('Admin command error:', error.message);
+    console.log('Topic follow toggle error:', error.message);
   }
 });
 
-// ==================== ASK QUESTION FLOW ====================
-bot.action('ASK_QUESTION', async (ctx) => {
+bot.action(/^UNFOLLOW_TOPIC_([0-9a-f]{24})$/, async (ctx) => {
   try {
-    await ctx.editMessageText(`## 📝 Ask Oromia\n\n*Write a message...*\n\n---`, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📝 Start a Question', callback_data: 'START_QUESTION' }],
-          [{ text: '🔍 Browse Questions', callback_data: 'BROWSE_QUESTIONS' }],
-          [{ text: '📤 Send Feedback', callback_data: 'SEND_FEEDBACK' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
-    });
-    await ctx.answerCbQuery();
+    await dbHelpers.unfollowTopic(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery(ctx.t('follows.topic_unfollowed'));
   } catch (error) {
-    console.log('Ask question error:', error.message);
+    console.log('Unfollow topic error:', error.message);
   }
 });
 
-bot.action('START_QUESTION', async (ctx) => {
+// ==================== BOT STATISTICS ====================
+bot.action('BOT_STATS', async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    await dbHelpers.saveSession(userId, { step: 'awaiting_question' });
+    const totalQuestions = await db.collection('questions').countDocuments({ approved: true });
+    const totalAnswers = await db.collection('answers').countDocuments();
+    const totalUsers = await db.collection('users').countDocuments();
+    const totalVotes = await db.collection('votes').countDocuments();
 
-    await ctx.editMessageText(`## 📝 Start a Question\n\nPlease type your question below:\n\n*Your identity will be completely anonymous*`, {
+    const statsText = ctx.t('stats.bot', {
+      questions: totalQuestions,
+      answers: totalAnswers,
+      users: totalUsers,
+      votes: totalVotes,
+      questionsPerUser: (totalQuestions / totalUsers).toFixed(1),
+      answersPerQuestion: (totalAnswers / totalQuestions).toFixed(1)
+    });
+
+    await ctx.editMessageText(statsText, {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.back'), callback_data: 'MORE_OPTIONS' }]
         ]
       }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Start question error:', error.message);
+    console.log('Stats error:', error.message);
   }
 });
 
-// ==================== TOPIC SELECTION ====================
-bot.action(/TOPIC_(\d+)/, async (ctx) => {
+// ==================== ADMIN PANEL ACTIONS ====================
+bot.action('ADMIN_PENDING', async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const session = await dbHelpers.getSession(userId);
-    const topicIndex = parseInt(ctx.match[1]);
-    
-    if (session && session.step === 'awaiting_topic') {
-      const selectedTopic = TOPICS[topicIndex];
-      
-      if (topicIndex === 5) {
-        session.waitingForCustomTopic = true;
-        await dbHelpers.saveSession(userId, session);
-        
-        await ctx.editMessageText(`## 🎯 Custom Topic\n\nPlease type your topic:`, {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '⬅️ Back to Topics', callback_data: 'SHOW_TOPICS' }]
-            ]
-          }
-        });
-      } else {
-        session.topic = selectedTopic;
-        session.step = 'confirm_question';
-        await dbHelpers.saveSession(userId, session);
-
-        await ctx.editMessageText(`## 📋 Question Preview\n\n**Topic:** ${selectedTopic}\n**Your Question:** ${session.question}\n\n**Ready to submit?**`, {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '✏️ Edit Question', callback_data: 'EDIT_QUESTION' }],
-              [{ text: '📤 Submit Question', callback_data: 'SUBMIT_QUESTION' }],
-              [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
-            ]
-          }
-        });
-      }
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'approve')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+      return;
     }
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Topic selection error:', error.message);
-  }
-});
 
-bot.action('SHOW_TOPICS', async (ctx) => {
-  try {
-    const userId = ctx.from.id;
-    const session = await dbHelpers.getSession(userId);
-    
-    if (session && session.step === 'awaiting_topic') {
-      delete session.waitingForCustomTopic;
-      await dbHelpers.saveSession(userId, session);
-      
-      await ctx.editMessageText(`## 📂 Choose Category\n\nSelect a category:`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '💑 Relationships', callback_data: 'TOPIC_0' }],
-            [{ text: '💻 Technology', callback_data: 'TOPIC_1' }],
-            [{ text: '📚 Education', callback_data: 'TOPIC_2' }],
-            [{ text: '💼 Business', callback_data: 'TOPIC_3' }],
-            [{ text: '👨‍👩‍👧‍👦 Family', callback_data: 'TOPIC_4' }],
-            [{ text: '🎯 Others', callback_data: 'TOPIC_5' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
-      });
-    }
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Show topics error:', error.message);
-  }
-});
+    const pendingQuestions = await dbHelpers.getPendingQuestions();
 
-// ==================== EDIT QUESTION ====================
-bot.action('EDIT_QUESTION', async (ctx) => {
-  try {
-    const userId = ctx.from.id;
-    const session = await dbHelpers.getSession(userId);
-    
-    if (session && session.question) {
-      session.step = 'editing_question';
-      await dbHelpers.saveSession(userId, session);
-      
-      await ctx.editMessageText(`## ✏️ Edit Your Question\n\n**Current Question:**\n"${session.question}"\n\n**Please send your updated question:**`, {
+    if (pendingQuestions.length === 0) {
+      await ctx.editMessageText(ctx.t('admin.no_pending'), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '🚫 Cancel Edit', callback_data: 'CANCEL_EDIT' }]
+            [{ text: ctx.t('btn.back_to_admin'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
+      return;
     }
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Edit question error:', error.message);
-  }
-});
 
-bot.action('CANCEL_EDIT', async (ctx) => {
-  try {
-    const userId = ctx.from.id;
-    const session = await dbHelpers.getSession(userId);
-    
-    if (session) {
-      session.step = 'confirm_question';
-      await dbHelpers.saveSession(userId, session);
-      
-      await ctx.editMessageText(`## 📋 Question Preview\n\n**Topic:** ${session.topic}\n**Your Question:** ${session.question}\n\n**Ready to submit for approval?**`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '✏️ Edit Question', callback_data: 'EDIT_QUESTION' }],
-            [{ text: '📤 Submit Question', callback_data: 'SUBMIT_QUESTION' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
+    let message = ctx.t('admin.pending_title', { count: pendingQuestions.length });
+
+    for (const [index, question] of pendingQuestions.entries()) {
+      const asker = await dbHelpers.getUser(question.user_id);
+      message += ctx.t('admin.pending_item', {
+        index: index + 1,
+        topic: question.topic,
+        question: question.question.substring(0, 80),
+        user: dbHelpers.getDisplayName(asker, null, ctx.lang),
+        id: question._id
       });
     }
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.refresh'), callback_data: 'ADMIN_PENDING' }],
+          [{ text: ctx.t('btn.back_to_admin'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Cancel edit error:', error.message);
+    console.log('Admin pending error:', error.message);
   }
 });
 
-// ==================== QUESTION SUBMISSION ====================
-bot.action('SUBMIT_QUESTION', async (ctx) => {
+bot.action('ADMIN_STATS', async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const session = await dbHelpers.getSession(userId);
-    
-    if (!session || !session.question || !session.topic) {
-      await ctx.editMessageText('❌ Session expired. Please start again.');
+    if (!await dbHelpers.hasPermission(ctx.from.id, 'view_stats')) {
+      await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
       return;
     }
 
-    // Content filtering
-    const filterResult = dbHelpers.contentFilter(session.question);
-    if (!filterResult.allowed) {
-      await ctx.editMessageText(`## ❌ Question Blocked\n\n${filterResult.reason}\n\nPlease modify your question and try again.`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '✏️ Edit Question', callback_data: 'EDIT_QUESTION' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
-      });
-      return;
-    }
+    const totalQuestions = await db.collection('questions').countDocuments();
+    const approvedQuestions = await db.collection('questions').countDocuments({ approved: true });
+    const pendingQuestions = await db.collection('questions').countDocuments({ approved: false, status: { $nin: ['rejected', 'queued', 'publishing'] } });
+    const rejectedQuestions = await db.collection('questions').countDocuments({ status: 'rejected' });
+    const totalAnswers = await db.collection('answers').countDocuments();
+    const totalUsers = await db.collection('users').countDocuments();
+    const totalVotes = await db.collection('votes').countDocuments();
 
-    // Save to database
-    const questionId = await dbHelpers.createQuestion({
-      userId: userId,
-      username: ctx.from.username || ctx.from.first_name,
-      question: session.question,
-      topic: session.topic
-    });
+    // Get today's stats
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todayQuestions = await db.collection('questions').countDocuments({ created_at: { $gte: today } });
+    const todayAnswers = await db.collection('answers').countDocuments({ created_at: { $gte: today } });
+    const todayUsers = await db.collection('users').countDocuments({ join_date: { $gte: today } });
 
-    if (!questionId) {
-      await ctx.editMessageText('❌ Failed to submit question. Please try again.');
-      return;
-    }
+    const statsText = ctx.t('stats.admin', {
+      questions: totalQuestions,
+      approved: approvedQuestions,
+      pending: pendingQuestions,
+      rejected: rejectedQuestions,
+      answers: totalAnswers,
+      users: totalUsers,
+      votes: totalVotes,
+      todayQuestions: todayQuestions,
+      todayAnswers: todayAnswers,
+      todayUsers: todayUsers
+    });
 
-    await ctx.editMessageText(`## ✅ Question Submitted!\n\n**Topic:** ${session.topic}\n**Question:** ${session.question}\n\n⏳ *Waiting for admin approval...*`, {
+    await ctx.editMessageText(statsText, {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.refresh'), callback_data: 'ADMIN_STATS' }],
+          [{ text: ctx.t('btn.back_to_admin'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Admin stats error:', error.message);
+  }
+});
 
-    // Notify admin
-    const user = await dbHelpers.getUser(userId);
-    await bot.telegram.sendMessage(
-      ADMIN_ID,
-      `🆕 **New Question for Approval**\n\n**User:** ${user.username}\n**Topic:** ${session.topic}\n**Question:** ${session.question}\n\n**Question ID:** ${questionId}\n\n**Approve or Reject?**`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '✅ Approve', callback_data: `APPROVE_${questionId}` },
-              { text: '❌ Reject', callback_data: `REJECT_${questionId}` }
-            ]
-          ]
-        }
-      }
-    );
+// ==================== HELP SYSTEM ====================
+bot.action('HELP_MENU', async (ctx) => {
+  try {
+    const helpMessage = ctx.t('help.title');
 
-    await dbHelpers.deleteSession(userId);
+    await ctx.editMessageText(helpMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.how_to_ask'), callback_data: 'HOW_TO_ASK' }],
+          [{ text: ctx.t('btn.how_to_answer'), callback_data: 'HOW_TO_COMMENT' }],
+          [{ text: ctx.t('btn.safety_guide'), callback_data: 'SAFETY_GUIDE' }],
+          [{ text: ctx.t('btn.contact_support'), callback_data: 'CONTACT_SUPPORT' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Submit question error:', error.message);
+    console.log('Help menu error:', error.message);
   }
 });
 
-// ==================== ADMIN APPROVAL SYSTEM ====================
-bot.action(/APPROVE_(.+)/, async (ctx) => {
+bot.action('HOW_TO_ASK', async (ctx) => {
   try {
-    if (ctx.from.id !== ADMIN_ID) {
-      await ctx.answerCbQuery('❌ Access denied');
-      return;
-    }
-    
-    const questionId = ctx.match[1];
-    const question = await dbHelpers.getQuestion(questionId);
-    
-    if (!question) {
-      await ctx.answerCbQuery('Question not found');
-      return;
-    }
-    
-    // Post to channel
-    const channelMessage = await bot.telegram.sendMessage(
-      PUBLIC_CHANNEL,
-      `📌 **${question.topic}**\n\n${question.question}\n\n*By: Anonymous*`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '💬 Answer', callback_data: `CHANNEL_ANSWER_${questionId}` },
-              { text: '🔍 Browse (0)', callback_data: `CHANNEL_BROWSE_${questionId}` }
-            ],
-            [
-              { text: '📱 Open in Bot', url: `https://t.me/${ctx.botInfo.username}?start=channel_${questionId}` }
-            ]
-          ]
-        }
+    await ctx.editMessageText(ctx.t('help.how_to_ask'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.back_to_help'), callback_data: 'HELP_MENU' }]
+        ]
       }
-    );
-    
-    // Update question in database
-    const updatedQuestion = await dbHelpers.approveQuestion(questionId, channelMessage.message_id);
-    
-    await ctx.editMessageText(`✅ **Question Approved!**\n\nPosted to channel.`, {
-      parse_mode: 'Markdown'
     });
-    
-    // Notify user
-    await dbHelpers.createNotification(question.user_id, 'question_approved', {
-      question: question.question,
-      channelMessageId: channelMessage.message_id
-    });
-    
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Admin approval error:', error.message);
-    await ctx.answerCbQuery('Error approving question');
+    console.log('How to ask error:', error.message);
   }
 });
 
-bot.action(/REJECT_(.+)/, async (ctx) => {
+bot.action('HOW_TO_COMMENT', async (ctx) => {
   try {
-    if (ctx.from.id !== ADMIN_ID) {
-      await ctx.answerCbQuery('❌ Access denied');
-      return;
-    }
-    
-    const questionId = ctx.match[1];
-    const question = await dbHelpers.getQuestion(questionId);
-    
-    if (!question) {
-      await ctx.answerCbQuery('Question not found');
-      return;
-    }
-    
-    // Delete question from database
-    await db.collection('questions').deleteOne({ _id: new ObjectId(questionId) });
-    
-    await ctx.editMessageText(`❌ **Question Rejected!**`, {
-      parse_mode: 'Markdown'
-    });
-    
-    // Notify user
-    await bot.telegram.sendMessage(
-      question.user_id,
-      `❌ **Question Not Approved**\n\n**Topic:** ${question.topic}\n**Question:** ${question.question}\n\n*Your question did not meet our guidelines. You can submit a new question!*`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📝 New Question', callback_data: 'ASK_QUESTION' }],
-            [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
+    await ctx.editMessageText(ctx.t('help.how_to_answer', {
+      username: ctx.botInfo.username,
+      answerPoints: POINT_RULES.answer_posted,
+      upvotePoints: POINT_RULES.upvote_received,
+      acceptPoints: POINT_RULES.answer_accepted
+    }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.back_to_help'), callback_data: 'HELP_MENU' }]
+        ]
       }
-    );
-    
+    });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Admin rejection error:', error.message);
-    await ctx.answerCbQuery('Error rejecting question');
+    console.log('How to comment error:', error.message);
   }
 });
 
-// ==================== CHANNEL BUTTON HANDLERS ====================
-bot.action(/CHANNEL_ANSWER_(.+)/, async (ctx) => {
+bot.action('SAFETY_GUIDE', async (ctx) => {
   try {
-    const questionId = ctx.match[1];
-    const question = await dbHelpers.getQuestion(questionId);
-    
-    if (!question || !question.approved) {
-      await ctx.answerCbQuery('Question not found');
-      return;
-    }
-
-    const userId = ctx.from.id;
-    
-    // Start answer session
-    await dbHelpers.saveSession(userId, {
-      step: 'awaiting_answer',
-      questionId: questionId,
-      questionText: question.question,
-      channelMessageId: question.channel_message_id
+    await ctx.editMessageText(ctx.t('help.safety'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.back_to_help'), callback_data: 'HELP_MENU' }]
+        ]
+      }
     });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Safety guide error:', error.message);
+  }
+});
 
-    // Send answer prompt to user
-    await ctx.reply(`## 💬 Answer Question\n\n**Question:** ${question.question}\n\nPlease type your answer below:\n\n*Your answer will be visible to others*`, {
+bot.action('CONTACT_SUPPORT', async (ctx) => {
+  try {
+    await ctx.editMessageText(ctx.t('help.contact'), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.send_feedback'), callback_data: 'SEND_FEEDBACK' }],
+          [{ text: ctx.t('btn.back_to_help'), callback_data: 'HELP_MENU' }]
         ]
       }
     });
-
-    await ctx.answerCbQuery('Please check your messages!');
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Channel answer button error:', error.message);
-    await ctx.answerCbQuery('Error - please try again');
+    console.log('Contact support error:', error.message);
   }
 });
 
-bot.action(/CHANNEL_BROWSE_(.+)/, async (ctx) => {
+// ==================== FEEDBACK SYSTEM ====================
+bot.action('SEND_FEEDBACK', async (ctx) => {
   try {
-    const questionId = ctx.match[1];
-    const question = await dbHelpers.getQuestion(questionId);
-    
-    if (!question || !question.approved) {
-      await ctx.answerCbQuery('Question not found');
-      return;
-    }
-
-    const answers = await dbHelpers.getAnswersForQuestion(questionId);
-    const answerCount = answers.length;
     const userId = ctx.from.id;
+    await dbHelpers.saveSession(userId, { step: 'awaiting_feedback' });
 
-    // Check if user is subscribed
-    const isSubscribed = await dbHelpers.isSubscribed(userId, questionId);
+    await ctx.editMessageText(ctx.t('feedback.prompt'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
+    });
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Feedback error:', error.message);
+  }
+});
 
-    // Update the browse button count in channel if possible
-    try {
-      await bot.telegram.editMessageReplyMarkup(
-        PUBLIC_CHANNEL,
-        question.channel_message_id,
-        undefined,
-        {
-          inline_keyboard: [
-            [
-              { text: '💬 Answer', callback_data: `CHANNEL_ANSWER_${questionId}` },
-              { text: `🔍 Browse (${answerCount})`, callback_data: `CHANNEL_BROWSE_${questionId}` }
-            ],
-            [
-              { text: '📱 Open in Bot', url: `https://t.me/${ctx.botInfo.username}?start=channel_${questionId}` }
-            ]
-          ]
-        }
-      );
-    } catch (editError) {
-      // Ignore edit errors - button might be old
-    }
+// ==================== BROWSE QUESTIONS ====================
+bot.action('BROWSE_QUESTIONS', async (ctx) => {
+  try {
+    const approvedQuestions = await dbHelpers.getApprovedQuestions(10);
+    const targets = await dbHelpers.getPublishTargets();
 
-    if (answers.length === 0) {
-      await ctx.reply(`## 🔍 No Answers Yet\n\n**Question:** ${question.question}\n\nBe the first to answer this question!`, {
+    if (approvedQuestions.length === 0) {
+      await ctx.editMessageText(ctx.t('browse.empty'), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '💬 Add Your Answer', callback_data: `CHANNEL_ANSWER_${questionId}` }],
-            [{ text: '🔔 Subscribe to Question', callback_data: `SUBSCRIBE_${questionId}` }],
-            [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
+            [{ text: ctx.t('btn.ask_question'), callback_data: 'ASK_QUESTION' }],
+            ...buildChannelLinkRows(targets, ctx.lang, 'btn.view_channel'),
+            [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
       return;
     }
 
-    let browseText = `# 🔍 Answers for This Question\n\n**Question:** ${question.question}\n\n`;
-    browseText += `**${answerCount} Answer${answerCount !== 1 ? 's' : ''}** • `;
-    browseText += `${isSubscribed ? '🔔 Subscribed' : '🔕 Not subscribed'}\n\n---\n\n`;
-    
-    const answersToShow = answers.slice(0, 10);
-    
-    for (const answer of answersToShow) {
-      const userVote = await dbHelpers.getUserVote(userId, answer._id);
-      const voteButtons = [];
-      
-      if (userVote === 'up') {
-        voteButtons.push({ text: `👍 ${answer.votes} (You)`, callback_data: `VOTE_NONE_${answer._id}` });
-      } else {
-        voteButtons.push({ text: `👍 ${answer.votes}`, callback_data: `VOTE_UP_${answer._id}` });
-      }
-      
-      if (userVote === 'down') {
-        voteButtons.push({ text: `👎 (You)`, callback_data: `VOTE_NONE_${answer._id}` });
-      } else {
-        voteButtons.push({ text: `👎`, callback_data: `VOTE_DOWN_${answer._id}` });
-      }
+    let response = ctx.t('browse.title', { count: approvedQuestions.length });
 
-      browseText += `**Answer by ${answer.username}:**\n`;
-      browseText += `${answer.answer}\n`;
-      browseText += `📅 ${new Date(answer.created_at).toLocaleDateString()}\n\n`;
+    for (const question of approvedQuestions) {
+      const answerCount = question.answer_count || 0;
+      response += `**${question.topic}**\n`;
+      response += `${question.question.substring(0, 80)}${question.question.length > 80 ? '...' : ''}\n`;
+      response += ctx.t('browse.meta', { count: answerCount, date: new Date(question.created_at).toLocaleDateString() });
     }
 
-    const keyboard = [
-      [{ text: '💬 Add Your Answer', callback_data: `CHANNEL_ANSWER_${questionId}` }]
-    ];
-
-    // Subscription toggle button
-    keyboard.push([{ 
-      text: isSubscribed ? '🔕 Unsubscribe from Question' : '🔔 Subscribe to Question', 
-      callback_data: isSubscribed ? `UNSUBSCRIBE_${questionId}` : `SUBSCRIBE_${questionId}`
-    }]);
-
-    keyboard.push([{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]);
-
-    // Send to user privately
-    await ctx.reply(browseText, {
+    await ctx.editMessageText(response, {
       parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: keyboard }
+      reply_markup: {
+        inline_keyboard: [
+          ...buildChannelLinkRows(targets, ctx.lang, 'btn.view_in_channel'),
+          [{ text: ctx.t('btn.refresh'), callback_data: 'BROWSE_QUESTIONS' }],
+          [{ text: ctx.t('btn.back'), callback_data: 'BACK_TO_MAIN' }]
+        ]
+      }
     });
-
-    await ctx.answerCbQuery('Answers sent to you!');
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Channel browse error:', error.message);
-    await ctx.answerCbQuery('Error loading answers');
+    console.log('Browse questions error:', error.message);
   }
 });
 
-// ==================== VOTING HANDLERS ====================
-bot.action(/VOTE_UP_(.+)/, async (ctx) => {
-  try {
-    const answerId = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    const success = await dbHelpers.voteAnswer(userId, answerId, 'up');
-    
-    if (success) {
-      const answer = await dbHelpers.getAnswerWithVotes(answerId);
-      
-      // Notify answer author about the vote
-      if (answer && answer.user_id !== userId) {
-        await dbHelpers.createNotification(answer.user_id, 'vote_received', {
-          answerId: answerId,
-          answer: answer.answer,
-          voteType: 'up'
-        });
-      }
-      
-      await ctx.answerCbQuery('👍 Upvoted!');
-    } else {
-      await ctx.answerCbQuery('❌ Cannot vote on your own answer');
-    }
-  } catch (error) {
-    console.log('Vote up error:', error.message);
-    await ctx.answerCbQuery('Error voting');
+// ==================== SEARCH ====================
+async function buildSearchResults(search, page, botUsername, lang) {
+  const searchId = search._id.toString();
+  const results = await dbHelpers.searchQuestions(search.terms, search.topic);
+  const totalPages = Math.max(1, Math.ceil(results.length / SEARCH_PAGE_SIZE));
+  const currentPage = Math.min(page, totalPages - 1);
+  const pageResults = results.slice(currentPage * SEARCH_PAGE_SIZE, (currentPage + 1) * SEARCH_PAGE_SIZE);
+
+  let text = t(lang, 'search.header', { terms: escapeMarkdown(search.terms), topic: search.topic || t(lang, 'search.all_topics') });
+
+  const keyboard = [];
+
+  if (results.length === 0) {
+    text += t(lang, 'search.no_results');
+  } else {
+    text += t(lang, 'search.summary', { count: results.length, page: currentPage + 1, total: totalPages });
+
+    pageResults.forEach((result, index) => {
+      const number = currentPage * SEARCH_PAGE_SIZE + index + 1;
+      const question = result.question;
+      text += `**${number}. ${question.topic}**\n`;
+      text += `${markdownSnippet(question.question, 100)}\n`;
+      text += t(lang, 'search.answer_count', { count: question.answer_count || 0 });
+      if (result.answerHits > 0) text += t(lang, 'search.answer_hits', { count: result.answerHits });
+      text += `\n\n`;
+    });
+
+    // Each result opens the existing channel_ deep-link view
+    const openButtons = pageResults.map((result, index) => ({
+      text: `📋 ${currentPage * SEARCH_PAGE_SIZE + index + 1}`,
+      url: `https://t.me/${botUsername}?start=channel_${result.question._id}`
+    }));
+    keyboard.push(openButtons);
+
+    const navigation = [];
+    if (currentPage > 0) navigation.push({ text: t(lang, 'btn.prev'), callback_data: `SRCH_P_${searchId}_${currentPage - 1}` });
+    if (currentPage < totalPages - 1) navigation.push({ text: t(lang, 'btn.next'), callback_data: `SRCH_P_${searchId}_${currentPage + 1}` });
+    if (navigation.length > 0) keyboard.push(navigation);
   }
-});
 
-bot.action(/VOTE_DOWN_(.+)/, async (ctx) => {
-  try {
-    const answerId = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    const success = await dbHelpers.voteAnswer(userId, answerId, 'down');
-    
-    if (success) {
-      const answer = await dbHelpers.getAnswerWithVotes(answerId);
-      
-      // Notify answer author about the vote
-      if (answer && answer.user_id !== userId) {
-        await dbHelpers.createNotification(answer.user_id, 'vote_received', {
-          answerId: answerId,
-          answer: answer.answer,
-          voteType: 'down'
-        });
-      }
-      
-      await ctx.answerCbQuery('👎 Downvoted!');
-    } else {
-      await ctx.answerCbQuery('❌ Cannot vote on your own answer');
-    }
-  } catch (error) {
-    console.log('Vote down error:', error.message);
-    await ctx.answerCbQuery('Error voting');
+  // Topic filters, two per row
+  const topicButtons = [{ text: search.topic ? t(lang, 'btn.search_all') : `• ${t(lang, 'btn.search_all')} •`, callback_data: `SRCH_T_${searchId}_a` }];
+  const topics = await dbHelpers.getTopics();
+  topics.forEach(topic => {
+    topicButtons.push({ text: search.topic === topic.name ? `• ${topic.name} •` : topic.name, callback_data: `SRCH_T_${searchId}_${topic._id}` });
+  });
+  for (let i = 0; i < topicButtons.length; i += 2) {
+    keyboard.push(topicButtons.slice(i, i + 2));
   }
-});
 
-bot.action(/VOTE_NONE_(.+)/, async (ctx) => {
-  try {
-    const answerId = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    // Remove vote
-    await db.collection('votes').deleteOne({
-      user_id: userId,
-      answer_id: new ObjectId(answerId)
-    });
+  keyboard.push([{ text: t(lang, 'btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]);
 
-    // Re-fetch answer to get current votes
-    const answer = await dbHelpers.getAnswerWithVotes(answerId);
-    const currentVotes = answer ? answer.votes : 0;
-    
-    await ctx.answerCbQuery(`Vote removed! Current votes: ${currentVotes}`);
-  } catch (error) {
-    console.log('Vote remove error:', error.message);
-    await ctx.answerCbQuery('Error removing vote');
-  }
-});
+  return { text, keyboard };
+}
 
-// ==================== SUBSCRIPTION HANDLERS ====================
-bot.action(/SUBSCRIBE_(.+)/, async (ctx) => {
+bot.command('search', async (ctx) => {
   try {
-    const questionId = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    const success = await dbHelpers.subscribeToQuestion(userId, questionId);
-    
-    if (success) {
-      await ctx.answerCbQuery('🔔 Subscribed to question!');
-    } else {
-      await ctx.answerCbQuery('❌ Subscription failed');
+    const terms = ctx.message.text.split(/\s+/).slice(1).join(' ').trim();
+
+    if (!terms) {
+      await ctx.reply(ctx.t('search.usage'), {
+        parse_mode: 'Markdown'
+      });
+      return;
     }
-  } catch (error) {
-    console.log('Subscribe error:', error.message);
-    await ctx.answerCbQuery('Error subscribing');
-  }
-});
 
-bot.action(/UNSUBSCRIBE_(.+)/, async (ctx) => {
-  try {
-    const questionId = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    const success = await dbHelpers.unsubscribeFromQuestion(userId, questionId);
-    
-    if (success) {
-      await ctx.answerCbQuery('🔕 Unsubscribed from question');
-    } else {
-      await ctx.answerCbQuery('❌ Unsubscribe failed');
+    const searchId = await dbHelpers.saveSearch(ctx.from.id, terms.substring(0, 100));
+    const search = searchId ? await dbHelpers.getSearch(searchId) : null;
+
+    if (!search) {
+      await ctx.reply(ctx.t('search.failed'));
+      return;
     }
+
+    const results = await buildSearchResults(search, 0, ctx.botInfo.username, ctx.lang);
+    await ctx.reply(results.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: results.keyboard }
+    });
   } catch (error) {
-    console.log('Unsubscribe error:', error.message);
-    await ctx.answerCbQuery('Error unsubscribing');
+    console.log('Search command error:', error.message);
   }
 });
 
-// ==================== USER PROFILE ====================
-bot.action('USER_PROFILE', async (ctx) => {
+bot.action(/^SRCH_P_([0-9a-f]{24})_(\d+)$/, async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const user = await dbHelpers.getUser(userId);
-    
-    if (!user) {
-      await ctx.answerCbQuery('User not found');
+    const search = await dbHelpers.getSearch(ctx.match[1]);
+    if (!search || search.user_id !== ctx.from.id) {
+      await ctx.answerCbQuery(ctx.t('search.expired'));
       return;
     }
 
-    const allUsers = await dbHelpers.getAllUsers();
-    const userRank = allUsers.sort((a, b) => b.points - a.points).findIndex(u => u.user_id === userId) + 1;
-    const totalUsers = allUsers.length;
-
-    const profileText = `# 👤 My Profile\n\n**${user.username}**\n\n📊 **Stats:**\n⭐ Points: ${user.points}\n❓ Questions Asked: ${user.questions_asked}\n💬 Answers Given: ${user.answers_given}\n\n🏆 **Ranking:**\n📈 Rank: ${userRank}/${totalUsers}\n📅 Member Since: ${new Date(user.join_date).toLocaleDateString()}`;
-
-    await ctx.editMessageText(profileText, {
+    const results = await buildSearchResults(search, parseInt(ctx.match[2]), ctx.botInfo.username, ctx.lang);
+    await ctx.editMessageText(results.text, {
       parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🏆 Leaderboard', callback_data: 'LEADERBOARD' }],
-          [{ text: '🔔 Notifications', callback_data: 'NOTIFICATIONS_MENU' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
+      reply_markup: { inline_keyboard: results.keyboard }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Profile error:', error.message);
+    console.log('Search page error:', error.message);
+  }
+});
+
+bot.action(/^SRCH_T_([0-9a-f]{24})_([0-9a-f]{24}|a)$/, async (ctx) => {
+  try {
+    const searchId = ctx.match[1];
+    const search = await dbHelpers.getSearch(searchId);
+    if (!search || search.user_id !== ctx.from.id) {
+      await ctx.answerCbQuery(ctx.t('search.expired'));
+      return;
+    }
+
+    const topicDoc = ctx.match[2] === 'a' ? null : await dbHelpers.getTopic(ctx.match[2]);
+    const topic = topicDoc ? topicDoc.name : null;
+    await dbHelpers.setSearchTopic(searchId, topic);
+    search.topic = topic;
+
+    const results = await buildSearchResults(search, 0, ctx.botInfo.username, ctx.lang);
+    try {
+      await ctx.editMessageText(results.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: results.keyboard }
+      });
+    } catch (editError) {
+      // Same topic tapped twice - nothing changed
+    }
+    await ctx.answerCbQuery();
+  } catch (error) {
+    console.log('Search topic error:', error.message);
   }
 });
 
-// ==================== LEADERBOARD ====================
-bot.action('LEADERBOARD', async (ctx) => {
+// ==================== INLINE MODE ====================
+// "@bot <terms>" shares approved questions into any chat with the channel post buttons.
+// Inline mode must be switched on for the bot in @BotFather (/setinline).
+bot.on('inline_query', async (ctx) => {
   try {
-    const topUsers = await dbHelpers.getTopUsers(10);
+    const terms = ctx.inlineQuery.query.trim().substring(0, 100);
+    const offset = parseInt(ctx.inlineQuery.offset) || 0;
 
-    let leaderboardText = `# 🏆 Community Leaderboard\n\n**Top Contributors**\n\n`;
+    let questions;
+    if (terms) {
+      const results = await dbHelpers.searchQuestions(terms);
+      questions = results.map(result => result.question);
+    } else {
+      // No terms yet - suggest the most recent questions
+      questions = await dbHelpers.getApprovedQuestions(INLINE_RESULTS_LIMIT * 5);
+    }
 
-    topUsers.forEach((user, index) => {
-      const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-      leaderboardText += `${medal} **${user.username}**\n`;
-      leaderboardText += `   ⭐ ${user.points} pts • ❓ ${user.questions_asked} • 💬 ${user.answers_given}\n\n`;
+    const pageQuestions = questions.slice(offset, offset + INLINE_RESULTS_LIMIT);
+    const nextOffset = offset + INLINE_RESULTS_LIMIT < questions.length ? String(offset + INLINE_RESULTS_LIMIT) : '';
+
+    const results = pageQuestions.map(question => {
+      const questionId = question._id.toString();
+      return {
+        type: 'article',
+        id: questionId,
+        title: `📌 ${question.topic}`,
+        description: `${question.question.substring(0, 120)}${question.question.length > 120 ? '...' : ''}`,
+        input_message_content: {
+          message_text: formatChannelPost(question, ctx.lang),
+          parse_mode: 'Markdown'
+        },
+        reply_markup: buildChannelKeyboard(questionId, question.answer_count || 0, ctx.lang)
+      };
     });
 
-    await ctx.editMessageText(leaderboardText, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '👤 My Profile', callback_data: 'USER_PROFILE' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
+    await ctx.answerInlineQuery(results, {
+      cache_time: 30,
+      next_offset: nextOffset
     });
-    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Leaderboard error:', error.message);
+    console.log('Inline query error:', error.message);
   }
 });
 
-// ==================== SETTINGS ====================
-bot.action('MORE_OPTIONS', async (ctx) => {
+// ==================== BACK TO MAIN ====================
+bot.action('BACK_TO_MAIN', async (ctx) => {
   try {
-    await ctx.editMessageText(`# ⚙️ Settings\n\nConfigure your preferences.`, {
+    const userName = ctx.from.first_name || ctx.t('common.user');
+    const welcomeMessage = ctx.t('start.welcome_back', { name: userName });
+
+    await ctx.editMessageText(welcomeMessage, {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🔔 Notifications', callback_data: 'NOTIFICATIONS_MENU' }],
-          [{ text: '📊 Statistics', callback_data: 'BOT_STATS' }],
-          [{ text: '👥 Subscriptions', callback_data: 'SUBSCRIPTION_SETTINGS' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.ask_question'), callback_data: 'ASK_QUESTION' }],
+          [{ text: ctx.t('btn.my_profile'), callback_data: 'USER_PROFILE' }],
+          [{ text: ctx.t('btn.settings'), callback_data: 'MORE_OPTIONS' }],
+          [{ text: ctx.t('btn.help'), callback_data: 'HELP_MENU' }]
         ]
       }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Settings error:', error.message);
+    console.log('Back to main error:', error.message);
   }
 });
 
-// ==================== NOTIFICATIONS MENU ====================
-bot.action('NOTIFICATIONS_MENU', async (ctx) => {
-  try {
-    const userId = ctx.from.id;
-    const notifications = await dbHelpers.getUserNotifications(userId, 10);
-
-    let message = `# 🔔 Notifications\n\n`;
-    
-    if (notifications.length === 0) {
-      message += `No notifications yet.\n\nYou'll get notified when:\n• Someone answers your questions\n• Your questions get approved\n• Your answers get votes`;
-    } else {
-      const unreadCount = notifications.filter(n => !n.read).length;
-      message += `**${unreadCount} unread** of ${notifications.length} total\n\n`;
-      
-      notifications.forEach((notif, index) => {
-        const date = new Date(notif.created_at).toLocaleDateString();
-        const readStatus = notif.read ? '✅' : '🔔';
-        
-        switch (notif.type) {
-          case 'new_answer':
-            message += `${readStatus} **New Answer** - ${date}\n`;
-            message += `On your question\n\n`;
-            break;
-          case 'question_approved':
-            message += `${readStatus} **Question Approved** - ${date}\n`;
-            message += `Your question is now live!\n\n`;
-            break;
-          case 'vote_received':
-            message += `${readStatus} **New Vote** - ${date}\n`;
-            message += `On your answer\n\n`;
-            break;
-        }
-      });
+// ==================== BROADCAST ====================
+async function describeBroadcastSegment(segment, lang) {
+  switch (segment.type) {
+    case 'active':
+      return t(lang, 'broadcast.segment_active', { days: segment.days });
+    case 'topic': {
+      const topic = await dbHelpers.getTopic(segment.topic_id);
+      return t(lang, 'broadcast.segment_topic', { topic: topic ? topic.name : t(lang, 'common.unknown') });
     }
+    case 'points':
+      return t(lang, 'broadcast.segment_points', { points: segment.min_points });
+    default:
+      return t(lang, 'broadcast.segment_all');
+  }
+}
 
-    const keyboard = [];
-    if (notifications.length > 0) {
-      keyboard.push([{ text: '📁 Mark All as Read', callback_data: 'MARK_ALL_READ' }]);
+function buildBroadcastSegmentPicker(lang) {
+  return {
+    text: t(lang, 'broadcast.choose_segment'),
+    keyboard: [
+      [{ text: t(lang, 'btn.segment_all'), callback_data: 'BROADCAST_SEG_all' }],
+      [{ text: t(lang, 'btn.segment_active'), callback_data: 'BROADCAST_SEG_active' }],
+      [{ text: t(lang, 'btn.segment_topic'), callback_data: 'BROADCAST_SEG_topic' }],
+      [{ text: t(lang, 'btn.segment_points'), callback_data: 'BROADCAST_SEG_points' }],
+      [{ text: t(lang, 'btn.edit_message'), callback_data: 'BROADCAST_EDIT' }],
+      [{ text: t(lang, 'btn.cancel'), callback_data: 'BROADCAST_CANCEL' }]
+    ]
+  };
+}
+
+// Counts the audience and keeps the chosen segment in the draft until the admin confirms
+async function buildBroadcastConfirm(userId, draftText, segment, lang) {
+  const recipients = await dbHelpers.getBroadcastRecipients(segment);
+  await dbHelpers.saveSession(userId, { step: 'broadcast_confirm', text: draftText, segment: segment });
+
+  const keyboard = [];
+  if (recipients.length > 0) {
+    keyboard.push([{ text: t(lang, 'btn.send_broadcast', { count: recipients.length }), callback_data: 'BROADCAST_SEND' }]);
+  }
+  keyboard.push(
+    [{ text: t(lang, 'btn.change_audience'), callback_data: 'BROADCAST_SEGMENTS' }],
+    [{ text: t(lang, 'btn.edit_message'), callback_data: 'BROADCAST_EDIT' }],
+    [{ text: t(lang, 'btn.cancel'), callback_data: 'BROADCAST_CANCEL' }]
+  );
+
+  return {
+    text: t(lang, recipients.length > 0 ? 'broadcast.confirm' : 'broadcast.no_recipients', {
+      segment: await describeBroadcastSegment(segment, lang),
+      count: recipients.length
+    }),
+    keyboard: keyboard
+  };
+}
+
+// The draft and audience live in the admin's session until BROADCAST_SEND
+async function getBroadcastDraft(ctx) {
+  if (!await dbHelpers.hasPermission(ctx.from.id, 'broadcast')) {
+    await ctx.answerCbQuery(ctx.t('common.access_denied_short'));
+    return null;
+  }
+  const session = await dbHelpers.getSession(ctx.from.id);
+  if (!session || !session.text || !['broadcast_draft', 'broadcast_confirm'].includes(session.step)) {
+    await ctx.answerCbQuery(ctx.t('common.session_expired_short'));
+    return null;
+  }
+  return session;
+}
+
+async function startBroadcastDraft(ctx) {
+  if (!await dbHelpers.hasPermission(ctx.from.id, 'broadcast')) {
+    await ctx.reply(ctx.t('common.access_denied'));
+    return;
+  }
+
+  await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_broadcast_text' });
+  await ctx.reply(ctx.t('broadcast.prompt'), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'BROADCAST_CANCEL' }]]
     }
-    keyboard.push(
-      [{ text: '📝 Ask Question', callback_data: 'ASK_QUESTION' }],
-      [{ text: '👤 My Profile', callback_data: 'USER_PROFILE' }],
-      [{ text: '⬅️ Back', callback_data: 'MORE_OPTIONS' }]
-    );
+  });
+}
 
-    await ctx.editMessageText(message, {
-      parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: keyboard }
-    });
+bot.command('broadcast', async (ctx) => {
+  try {
+    await startBroadcastDraft(ctx);
+  } catch (error) {
+    console.log('Broadcast command error:', error.message);
+  }
+});
+
+bot.action('BROADCAST_START', async (ctx) => {
+  try {
+    await startBroadcastDraft(ctx);
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Notifications menu error:', error.message);
+    console.log('Broadcast start error:', error.message);
   }
 });
 
-bot.action('MARK_ALL_READ', async (ctx) => {
+bot.action('BROADCAST_SEGMENTS', async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    await dbHelpers.markAllNotificationsAsRead(userId);
-    await ctx.answerCbQuery('All notifications marked as read!');
-    
-    // Refresh notifications menu
-    await bot.telegram.deleteMessage(ctx.chat.id, ctx.update.callback_query.message.message_id);
-    await ctx.reply(`# 🔔 Notifications\n\nAll notifications marked as read!`, {
+    const session = await getBroadcastDraft(ctx);
+    if (!session) return;
+
+    await dbHelpers.saveSession(ctx.from.id, { step: 'broadcast_draft', text: session.text });
+    const picker = buildBroadcastSegmentPicker(ctx.lang);
+    await ctx.editMessageText(picker.text, {
       parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📝 Ask Question', callback_data: 'ASK_QUESTION' }],
-          [{ text: '👤 My Profile', callback_data: 'USER_PROFILE' }],
-          [{ text: '⬅️ Back', callback_data: 'MORE_OPTIONS' }]
-        ]
-      }
+      reply_markup: { inline_keyboard: picker.keyboard }
     });
+    await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Mark all read error:', error.message);
-    await ctx.answerCbQuery('Error marking notifications as read');
+    console.log('Broadcast segments error:', error.message);
   }
 });
 
-// ==================== SUBSCRIPTION SETTINGS ====================
-bot.action('SUBSCRIPTION_SETTINGS', async (ctx) => {
+bot.action(/^BROADCAST_SEG_(all|active|topic|points)$/, async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const subscriptions = await dbHelpers.getUserSubscriptions(userId);
+    const session = await getBroadcastDraft(ctx);
+    if (!session) return;
 
-    let message = `# 👥 Subscription Settings\n\n`;
-    
-    if (subscriptions.length === 0) {
-      message += `You're not subscribed to any questions yet.\n\nYou'll auto-subscribe to questions you answer.`;
+    const segmentType = ctx.match[1];
+    if (segmentType === 'all') {
+      const confirm = await buildBroadcastConfirm(ctx.from.id, session.text, { type: 'all' }, ctx.lang);
+      await ctx.editMessageText(confirm.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: confirm.keyboard }
+      });
+    } else if (segmentType === 'topic') {
+      const topics = await dbHelpers.getTopics();
+      const keyboard = topics.map(topic => [{ text: topic.name, callback_data: `BROADCAST_TOPIC_${topic._id}` }]);
+      keyboard.push([{ text: ctx.t('btn.back'), callback_data: 'BROADCAST_SEGMENTS' }]);
+      await ctx.editMessageText(ctx.t('broadcast.choose_topic'), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
     } else {
-      message += `**Your Subscriptions (${subscriptions.length}):**\n\n`;
-      subscriptions.forEach((sub, index) => {
-        if (sub.question && sub.question[0]) {
-          const question = sub.question[0];
-          message += `${index + 1}. ${question.question.substring(0, 50)}...\n`;
-          message += `   └── 📅 Since: ${new Date(sub.created_at).toLocaleDateString()}\n\n`;
+      // Days and points are typed in; the text handler picks them up
+      await dbHelpers.saveSession(ctx.from.id, {
+        step: segmentType === 'active' ? 'awaiting_broadcast_days' : 'awaiting_broadcast_points',
+        text: session.text
+      });
+      await ctx.editMessageText(ctx.t(segmentType === 'active' ? 'broadcast.ask_days' : 'broadcast.ask_points', { max: BROADCAST_MAX_DAYS }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'BROADCAST_CANCEL' }]]
         }
       });
     }
-
-    const keyboard = [];
-    if (subscriptions.length > 0) {
-      keyboard.push([{ text: '🗑️ Manage Subscriptions', callback_data: 'MANAGE_SUBSCRIPTIONS' }]);
-    }
-    keyboard.push([{ text: '⬅️ Back', callback_data: 'MORE_OPTIONS' }]);
-
-    await ctx.editMessageText(message, {
-      parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: keyboard }
-    });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Subscription settings error:', error.message);
+    console.log('Broadcast segment error:', error.message);
   }
 });
 
-bot.action('MANAGE_SUBSCRIPTIONS', async (ctx) => {
+bot.action(/^BROADCAST_TOPIC_([0-9a-f]{24})$/, async (ctx) => {
   try {
-    const userId = ctx.from.id;
-    const subscriptions = await dbHelpers.getUserSubscriptions(userId);
-
-    let message = `# 🗑️ Manage Subscriptions\n\n**Your active subscriptions:**\n\n`;
-    
-    subscriptions.forEach((sub, index) => {
-      if (sub.question && sub.question[0]) {
-        const question = sub.question[0];
-        message += `${index + 1}. ${question.question.substring(0, 40)}...\n`;
-      }
-    });
-
-    const keyboard = subscriptions.map((sub, index) => {
-      if (sub.question && sub.question[0]) {
-        return [{ 
-          text: `❌ Unsubscribe from Question ${index + 1}`, 
-          callback_data: `UNSUBSCRIBE_${sub.question[0]._id}` 
-        }];
-      }
-      return [];
-    }).filter(btn => btn.length > 0);
-
-    keyboard.push([{ text: '⬅️ Back to Subscriptions', callback_data: 'SUBSCRIPTION_SETTINGS' }]);
+    const session = await getBroadcastDraft(ctx);
+    if (!session) return;
 
-    await ctx.editMessageText(message, {
+    const confirm = await buildBroadcastConfirm(ctx.from.id, session.text, { type: 'topic', topic_id: ctx.match[1] }, ctx.lang);
+    await ctx.editMessageText(confirm.text, {
       parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: keyboard }
+      reply_markup: { inline_keyboard: confirm.keyboard }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Manage subscriptions error:', error.message);
+    console.log('Broadcast topic error:', error.message);
   }
 });
 
-// ==================== BOT STATISTICS ====================
-bot.action('BOT_STATS', async (ctx) => {
+bot.action('BROADCAST_EDIT', async (ctx) => {
   try {
-    const totalQuestions = await db.collection('questions').countDocuments({ approved: true });
-    const totalAnswers = await db.collection('answers').countDocuments();
-    const totalUsers = await db.collection('users').countDocuments();
-    const totalVotes = await db.collection('votes').countDocuments();
-
-    const statsText = `# 📊 Bot Statistics\n\n**Platform Overview:**\n\n✅ Approved Questions: ${totalQuestions}\n💬 Total Answers: ${totalAnswers}\n👥 Total Users: ${totalUsers}\n👍 Total Votes: ${totalVotes}\n\n**Activity:**\n\n📈 Questions per user: ${(totalQuestions / totalUsers).toFixed(1)}\n📊 Answers per question: ${(totalAnswers / totalQuestions).toFixed(1)}`;
+    const session = await getBroadcastDraft(ctx);
+    if (!session) return;
 
-    await ctx.editMessageText(statsText, {
+    await dbHelpers.saveSession(ctx.from.id, { step: 'awaiting_broadcast_text' });
+    await ctx.editMessageText(ctx.t('broadcast.prompt'), {
       parse_mode: 'Markdown',
       reply_markup: {
-        inline_keyboard: [
-          [{ text: '⬅️ Back', callback_data: 'MORE_OPTIONS' }]
-        ]
+        inline_keyboard: [[{ text: ctx.t('btn.cancel'), callback_data: 'BROADCAST_CANCEL' }]]
       }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Stats error:', error.message);
+    console.log('Broadcast edit error:', error.message);
   }
 });
 
-// ==================== ADMIN PANEL ACTIONS ====================
-bot.action('ADMIN_PENDING', async (ctx) => {
+bot.action('BROADCAST_SEND', async (ctx) => {
   try {
-    if (ctx.from.id !== ADMIN_ID) {
-      await ctx.answerCbQuery('Access denied');
+    const session = await getBroadcastDraft(ctx);
+    if (!session) return;
+    if (session.step !== 'broadcast_confirm') {
+      await ctx.answerCbQuery(ctx.t('common.session_expired_short'));
       return;
     }
 
-    const pendingQuestions = await dbHelpers.getPendingQuestions();
+    // Clearing the draft first makes a double tap harmless
+    await dbHelpers.deleteSession(ctx.from.id);
 
-    if (pendingQuestions.length === 0) {
-      await ctx.editMessageText('## 📋 No Pending Questions\n\nAll questions have been reviewed.', {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '⬅️ Back to Admin', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
-      });
+    const recipients = await dbHelpers.getBroadcastRecipients(session.segment);
+    const broadcastId = await dbHelpers.createBroadcast(ctx.from.id, session.text, session.segment, recipients.length);
+    if (!broadcastId || !await dbHelpers.enqueueBroadcast(broadcastId, recipients, session.text)) {
+      await ctx.answerCbQuery(ctx.t('common.error_try_again'));
       return;
     }
 
-    let message = `# ⏳ Pending Questions\n\n**${pendingQuestions.length} questions awaiting approval:**\n\n`;
-
-    pendingQuestions.forEach((question, index) => {
-      message += `**${index + 1}. ${question.topic}**\n`;
-      message += `Question: ${question.question.substring(0, 80)}...\n`;
-      message += `User: ${question.username}\n`;
-      message += `ID: ${question._id}\n\n`;
-    });
+    await ctx.editMessageText(ctx.t('broadcast.progress', {
+      segment: await describeBroadcastSegment(session.segment, ctx.lang),
+      total: recipients.length,
+      sent: 0,
+      blocked: 0,
+      failed: 0,
+      pending: recipients.length
+    }), { parse_mode: 'Markdown' });
+
+    const progressMessage = ctx.update.callback_query.message;
+    await dbHelpers.startBroadcast(broadcastId, progressMessage.chat.id, progressMessage.message_id);
+    console.log(`📣 Broadcast ${broadcastId} queued for ${recipients.length} user(s) by ${ctx.from.id}`);
+    await ctx.answerCbQuery(ctx.t('broadcast.started'));
+  } catch (error) {
+    console.log('Broadcast send error:', error.message);
+  }
+});
 
-    await ctx.editMessageText(message, {
-      parse_mode: 'Markdown',
+bot.action('BROADCAST_CANCEL', async (ctx) => {
+  try {
+    await dbHelpers.deleteSession(ctx.from.id);
+    await ctx.editMessageText(ctx.t('broadcast.cancelled'), {
       reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Refresh', callback_data: 'ADMIN_PENDING' }],
-          [{ text: '⬅️ Back to Admin', callback_data: 'BACK_TO_MAIN' }]
-        ]
+        inline_keyboard: [[{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]]
       }
     });
     await ctx.answerCbQuery();
   } catch (error) {
-    console.log('Admin pending error:', error.message);
+    console.log('Broadcast cancel error:', error.message);
   }
 });
 
-bot.action('ADMIN_STATS', async (ctx) => {
-  try {
-    if (ctx.from.id !== ADMIN_ID) {
-      await ctx.answerCbQuery('Access denied');
-      return;
-    }
+// broadcast id -> last progress text shown, so unchanged progress isn't re-sent to Telegram
+const broadcastProgressText = new Map();
 
-    const totalQuestions = await db.collection('questions').countDocuments();
-    const approvedQuestions = await db.collection('questions').countDocuments({ approved: true });
-    const pendingQuestions = await db.collection('questions').countDocuments({ approved: false });
-    const totalAnswers = await db.collection('answers').countDocuments();
-    const totalUsers = await db.collection('users').countDocuments();
-    const totalVotes = await db.collection('votes').countDocuments();
+// Runs every few seconds: edits each sender's progress message and logs the final delivery counts
+async function updateBroadcastProgress() {
+  const broadcasts = await dbHelpers.getSendingBroadcasts();
 
-    // Get today's stats
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayQuestions = await db.collection('questions').countDocuments({ created_at: { $gte: today } });
-    const todayAnswers = await db.collection('answers').countDocuments({ created_at: { $gte: today } });
-    const todayUsers = await db.collection('users').countDocuments({ join_date: { $gte: today } });
+  for (const broadcast of broadcasts) {
+    const counts = await dbHelpers.getBroadcastCounts(broadcast._id);
+    if (!counts) continue;
 
-    const statsText = `# 📈 Admin Statistics\n\n**Totals:**\n📊 Total Questions: ${totalQuestions}\n✅ Approved: ${approvedQuestions}\n⏳ Pending: ${pendingQuestions}\n💬 Total Answers: ${totalAnswers}\n👥 Total Users: ${totalUsers}\n👍 Total Votes: ${totalVotes}\n\n**Today's Activity:**\n📝 New Questions: ${todayQuestions}\n💬 New Answers: ${todayAnswers}\n👤 New Users: ${todayUsers}`;
+    const done = counts.pending === 0;
+    if (done) {
+      await dbHelpers.completeBroadcast(broadcast._id, counts);
+      console.log(`📣 Broadcast ${broadcast._id} finished: ${counts.sent} sent, ${counts.blocked} blocked the bot, ${counts.failed} failed`);
+    }
 
-    await ctx.editMessageText(statsText, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Refresh', callback_data: 'ADMIN_STATS' }],
-          [{ text: '⬅️ Back to Admin', callback_data: 'BACK_TO_MAIN' }]
-        ]
-      }
+    const lang = await dbHelpers.getUserLanguage(broadcast.admin_id);
+    const text = t(lang, done ? 'broadcast.completed' : 'broadcast.progress', {
+      segment: await describeBroadcastSegment(broadcast.segment, lang),
+      total: broadcast.total,
+      ...counts
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Admin stats error:', error.message);
+    const key = broadcast._id.toString();
+    if (broadcastProgressText.get(key) !== text) {
+      try {
+        await bot.telegram.editMessageText(broadcast.progress_chat_id, broadcast.progress_message_id, undefined, text, {
+          parse_mode: 'Markdown'
+        });
+      } catch (editError) {
+        // The admin may have deleted the progress message
+      }
+    }
+    if (done) broadcastProgressText.delete(key);
+    else broadcastProgressText.set(key, text);
   }
-});
+}
 
-// ==================== HELP SYSTEM ====================
-bot.action('HELP_MENU', async (ctx) => {
-  try {
-    const helpMessage = `# ❓ Help & Support\n\nNeed assistance?\n\n- How to ask questions anonymously\n- How to answer questions\n- Privacy and safety guidelines\n- Report inappropriate content\n- Contact support`;
+// ==================== QUESTION & ANSWER INPUT ====================
+// Shared by the text and media handlers; media is null for plain text messages
+async function receiveQuestion(ctx, session, text, media) {
+  const userId = ctx.from.id;
 
-    await ctx.editMessageText(helpMessage, {
+  // Content filtering (topic overrides apply again on submission, once a topic is picked)
+  const filterResult = dbHelpers.contentFilter(text, ctx.lang, { kind: 'question', userId: userId });
+  if (!filterResult.allowed) {
+    await ctx.reply(ctx.t('ask.blocked', { reason: filterResult.reason }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '📖 How to Ask', callback_data: 'HOW_TO_ASK' }],
-          [{ text: '💬 How to Answer', callback_data: 'HOW_TO_COMMENT' }],
-          [{ text: '🛡️ Safety Guide', callback_data: 'SAFETY_GUIDE' }],
-          [{ text: '📞 Contact Support', callback_data: 'CONTACT_SUPPORT' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.try_again'), callback_data: 'START_QUESTION' }],
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Help menu error:', error.message);
+    return;
   }
-});
 
-bot.action('HOW_TO_ASK', async (ctx) => {
-  try {
-    await ctx.editMessageText(`# 📖 How to Ask Questions\n\n1. Click "Ask Question" or use /ask\n2. Select "Start a Question"\n3. Type your question\n4. Choose a category\n5. Submit for approval\n6. Wait for admin approval (usually within 24 hours)\n\n*Your identity is completely anonymous!*`, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '⬅️ Back to Help', callback_data: 'HELP_MENU' }]
-        ]
-      }
-    });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('How to ask error:', error.message);
-  }
-});
+  session.question = text;
+  session.media = media;
+  session.step = 'awaiting_topic';
+  await dbHelpers.saveSession(userId, session);
 
-bot.action('HOW_TO_COMMENT', async (ctx) => {
-  try {
-    await ctx.editMessageText(`# 💬 How to Answer Questions\n\n1. Browse questions in the channel\n2. Click "Answer" button under any question\n3. Type your answer in the bot\n4. Submit your response\n\n*Answers are visible to everyone in the bot!*\n*You earn 5 points for each answer!*`, {
+  await ctx.reply(ctx.t('ask.choose_category'), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: await buildTopicKeyboard(ctx.lang)
+    }
+  });
+}
+
+async function receiveQuestionEdit(ctx, session, text, media) {
+  const userId = ctx.from.id;
+
+  // Content filtering
+  const filterResult = dbHelpers.contentFilter(text, ctx.lang, {
+    topic: session.topic, kind: 'question', userId: userId
+  });
+  if (!filterResult.allowed) {
+    await ctx.reply(ctx.t('ask.blocked', { reason: filterResult.reason }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '⬅️ Back to Help', callback_data: 'HELP_MENU' }]
+          [{ text: ctx.t('btn.try_again'), callback_data: 'EDIT_QUESTION' }],
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('How to comment error:', error.message);
+    return;
   }
-});
 
-bot.action('SAFETY_GUIDE', async (ctx) => {
-  try {
-    await ctx.editMessageText(`# 🛡️ Safety Guide\n\n✅ **Do:**\n• Be respectful and kind\n• Ask meaningful questions\n• Provide helpful answers\n• Maintain anonymity\n• Report inappropriate content\n\n❌ **Don't:**\n• Share personal information\n• Harass or bully other users\n• Post spam or advertisements\n• Share inappropriate content\n• Impersonate others\n\n**Reporting:**\nUse the contact support to report any issues.`, {
+  session.question = text;
+  // A text-only edit keeps the attachment already on the draft
+  if (media) session.media = media;
+  session.step = 'confirm_question';
+  await dbHelpers.saveSession(userId, session);
+
+  await ctx.reply(ctx.t('ask.updated', { topic: session.topic, question: withMediaNote(session.question, session.media, ctx.lang) }), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+        [{ text: ctx.t('btn.submit_question'), callback_data: 'SUBMIT_QUESTION' }],
+        [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+      ]
+    }
+  });
+}
+
+async function receiveAnswer(ctx, session, text, media) {
+  const userId = ctx.from.id;
+  const question = await dbHelpers.getQuestion(session.questionId);
+
+  // Content filtering
+  const filterResult = dbHelpers.contentFilter(text, ctx.lang, {
+    topic: question ? question.topic : null, kind: 'answer', userId: userId
+  });
+  if (!filterResult.allowed) {
+    await ctx.reply(ctx.t('answer.blocked', { reason: filterResult.reason }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '⬅️ Back to Help', callback_data: 'HELP_MENU' }]
+          [{ text: ctx.t('btn.try_again'), callback_data: `CHANNEL_ANSWER_${session.questionId}` }],
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Safety guide error:', error.message);
+    return;
   }
-});
 
-bot.action('CONTACT_SUPPORT', async (ctx) => {
-  try {
-    await ctx.editMessageText(`# 📞 Contact Support\n\n**Need Help?**\n\nUse the feedback system in the bot or report any issues directly to the admin.\n\nWe typically respond within 24 hours.\n\n**For urgent issues:**\nSend a direct message to the bot admin.`, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📤 Send Feedback', callback_data: 'SEND_FEEDBACK' }],
-          [{ text: '⬅️ Back to Help', callback_data: 'HELP_MENU' }]
-        ]
-      }
-    });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Contact support error:', error.message);
+  // The session stays open, so the user can resend the answer once the wait is over
+  const rateLimit = await enforceRateLimit(ctx, 'answer');
+  if (!rateLimit) return;
+
+  // Keep the same alias across all of a user's answers to one question
+  const alias = session.alias || await dbHelpers.getAnswerAlias(userId, session.questionId);
+
+  // Sensitive topics hold answers until a moderator approves them
+  const needsReview = question ? await dbHelpers.isAnswerModerationEnabled(question.topic) : false;
+
+  // Create answer in database
+  const answerId = await dbHelpers.createAnswer({
+    questionId: session.questionId,
+    userId: userId,
+    alias: alias,
+    answer: text,
+    media: media,
+    channelMessageId: session.channelMessageId,
+    status: needsReview ? 'pending' : 'approved'
+  });
+
+  if (!answerId) {
+    await dbHelpers.releaseRateLimit(rateLimit.eventId);
+    await ctx.reply(ctx.t('answer.save_failed'));
+    return;
   }
-});
 
-// ==================== FEEDBACK SYSTEM ====================
-bot.action('SEND_FEEDBACK', async (ctx) => {
-  try {
-    const userId = ctx.from.id;
-    await dbHelpers.saveSession(userId, { step: 'awaiting_feedback' });
+  // Auto-subscribe answerer to the question
+  await dbHelpers.subscribeToQuestion(userId, session.questionId);
+
+  const answer = await dbHelpers.getAnswerWithVotes(answerId);
+
+  if (needsReview) {
+    await sendAnswerForReview(answer, question);
 
-    await ctx.editMessageText(`## 📤 Send Feedback\n\nPlease type your feedback, suggestions, or report issues below:`, {
+    await ctx.reply(ctx.t('answer.pending_review', { topic: question.topic }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Feedback error:', error.message);
+
+    await dbHelpers.deleteSession(userId);
+    return;
   }
-});
 
-// ==================== BROWSE QUESTIONS ====================
-bot.action('BROWSE_QUESTIONS', async (ctx) => {
-  try {
-    const approvedQuestions = await dbHelpers.getApprovedQuestions(10);
+  await announceAnswer(answer);
 
-    if (approvedQuestions.length === 0) {
-      await ctx.editMessageText(`## 🔍 No Questions Yet\n\nNo approved questions in channel yet. Be the first to ask!`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📝 Ask Question', callback_data: 'ASK_QUESTION' }],
-            [{ text: '📢 View Channel', url: `https://t.me/${PUBLIC_CHANNEL.replace('@', '')}` }],
-            [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
-          ]
-        }
-      });
-      return;
+  await ctx.reply(ctx.t('answer.posted', { points: POINT_RULES.answer_posted }), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: ctx.t('btn.browse_answers'), callback_data: `CHANNEL_BROWSE_${session.questionId}` }],
+        [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+      ]
     }
+  });
 
-    let response = `## 🔍 Recent Questions\n\n`;
-    response += `*Top ${approvedQuestions.length} recent questions*\n\n`;
+  await dbHelpers.deleteSession(userId);
+}
 
-    for (const question of approvedQuestions) {
-      const answerCount = question.answer_count || 0;
-      response += `**${question.topic}**\n`;
-      response += `${question.question.substring(0, 80)}${question.question.length > 80 ? '...' : ''}\n`;
-      response += `💬 ${answerCount} answers • 📅 ${new Date(question.created_at).toLocaleDateString()}\n\n`;
-    }
+async function receiveComment(ctx, session, text) {
+  const userId = ctx.from.id;
 
-    await ctx.editMessageText(response, {
+  const target = await getCommentableAnswer(session.answerId);
+  if (!target) {
+    await dbHelpers.deleteSession(userId);
+    await ctx.reply(ctx.t('comments.answer_gone'));
+    return;
+  }
+
+  const filterResult = dbHelpers.contentFilter(text, ctx.lang, {
+    topic: target.question.topic, kind: 'comment', userId: userId
+  });
+  if (!filterResult.allowed) {
+    await ctx.reply(ctx.t('comments.blocked', { reason: filterResult.reason }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '📢 View in Channel', url: `https://t.me/${PUBLIC_CHANNEL.replace('@', '')}` }],
-          [{ text: '🔄 Refresh', callback_data: 'BROWSE_QUESTIONS' }],
-          [{ text: '⬅️ Back', callback_data: 'BACK_TO_MAIN' }]
+          [{ text: ctx.t('btn.try_again'), callback_data: `COMMENT_${session.answerId}` }],
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Browse questions error:', error.message);
+    return;
   }
-});
 
-// ==================== BACK TO MAIN ====================
-bot.action('BACK_TO_MAIN', async (ctx) => {
-  try {
-    const userName = ctx.from.first_name || "User";
-    const welcomeMessage = `# 🤖 Ask Oromia Bot\n\n---\n\n## Hi ${userName}, Welcome back!\n\n**Quick Actions:**\n\n- /ask - Send your question to the channel  \n- /myprofile - See your questions and answers  \n- /settings - Configure your settings  \n- /help - Get help and support\n\n---`;
+  // The session stays open, so the user can resend the reply once the wait is over
+  const rateLimit = await enforceRateLimit(ctx, 'comment');
+  if (!rateLimit) return;
+
+  // Replies follow the topic's answer moderation, so a moderated topic holds them too
+  const needsReview = await dbHelpers.isAnswerModerationEnabled(target.question.topic);
+
+  // Someone who answered under an alias keeps it in the replies too
+  const comment = await dbHelpers.createComment({
+    answerId: session.answerId,
+    questionId: session.questionId,
+    userId: userId,
+    alias: await dbHelpers.getAnswerAlias(userId, session.questionId),
+    comment: text,
+    status: needsReview ? 'pending' : 'approved'
+  });
+  await dbHelpers.deleteSession(userId);
+
+  if (!comment) {
+    await dbHelpers.releaseRateLimit(rateLimit.eventId);
+    await ctx.reply(ctx.t('comments.save_failed'));
+    return;
+  }
 
-    await ctx.editMessageText(welcomeMessage, {
+  if (needsReview) {
+    await sendCommentForReview(comment, target.answer, target.question);
+    await ctx.reply(ctx.t('comments.pending_review', { topic: target.question.topic }), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '📝 Ask Question', callback_data: 'ASK_QUESTION' }],
-          [{ text: '👤 My Profile', callback_data: 'USER_PROFILE' }],
-          [{ text: '⚙️ Settings', callback_data: 'MORE_OPTIONS' }],
-          [{ text: '❓ Help', callback_data: 'HELP_MENU' }]
+          [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
         ]
       }
     });
-    await ctx.answerCbQuery();
-  } catch (error) {
-    console.log('Back to main error:', error.message);
+    return;
   }
-});
+
+  await announceComment(comment, target.answer, target.question);
+
+  const commentCount = await dbHelpers.getCommentCount(session.answerId);
+  const lastPage = Math.floor((commentCount - 1) / COMMENTS_PER_PAGE);
+  await ctx.reply(ctx.t('comments.posted'), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: ctx.t('btn.view_replies'), callback_data: `REPLIES_${session.answerId}_${lastPage}_t_0` }],
+        [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
+      ]
+    }
+  });
+}
 
 // ==================== MESSAGE HANDLER ====================
 bot.on('text', async (ctx) => {
@@ -1969,215 +8360,386 @@ bot.on('text', async (ctx) => {
       if (userMessage.startsWith('/')) return;
       
       // Send to main menu
-      await ctx.reply("Please use /start to begin or use the menu buttons.");
+      await ctx.reply(ctx.t('common.use_start'));
       return;
     }
 
     if (session.step === 'awaiting_question') {
-      // Content filtering
-      const filterResult = dbHelpers.contentFilter(userMessage);
-      if (!filterResult.allowed) {
-        await ctx.reply(`## ❌ Question Blocked\n\n${filterResult.reason}\n\nPlease modify your question and try again.`, {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '✏️ Try Again', callback_data: 'START_QUESTION' }],
-              [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
-            ]
-          }
-        });
+      await receiveQuestion(ctx, session, userMessage, null);
+    }
+    else if (session.step === 'editing_question') {
+      await receiveQuestionEdit(ctx, session, userMessage, null);
+    }
+    else if (session.step === 'awaiting_topic' && session.waitingForCustomTopic) {
+      const customTopic = sanitizeTopicTitle(userMessage);
+      if (!customTopic) {
+        await ctx.reply(ctx.t('ask.custom_topic_empty'));
         return;
       }
 
-      session.question = userMessage;
-      session.step = 'awaiting_topic';
+      session.topic = customTopic;
+      session.customTopic = true;
+      session.step = 'confirm_question';
+      delete session.waitingForCustomTopic;
       await dbHelpers.saveSession(userId, session);
 
-      await ctx.reply(`## 📂 Choose Question Category\n\nSelect a category for your question:`, {
+      await ctx.reply(ctx.t('ask.preview', { topic: customTopic, question: withMediaNote(session.question, session.media, ctx.lang) }), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '💑 Relationships', callback_data: 'TOPIC_0' }],
-            [{ text: '💻 Technology', callback_data: 'TOPIC_1' }],
-            [{ text: '📚 Education', callback_data: 'TOPIC_2' }],
-            [{ text: '💼 Business', callback_data: 'TOPIC_3' }],
-            [{ text: '👨‍👩‍👧‍👦 Family', callback_data: 'TOPIC_4' }],
-            [{ text: '🎯 Others', callback_data: 'TOPIC_5' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+            [{ text: ctx.t('btn.edit_question'), callback_data: 'EDIT_QUESTION' }],
+            [{ text: ctx.t('btn.submit_question'), callback_data: 'SUBMIT_QUESTION' }],
+            [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
     }
-    else if (session.step === 'editing_question') {
-      // Content filtering
-      const filterResult = dbHelpers.contentFilter(userMessage);
+    else if (session.step === 'awaiting_rejection_note') {
+      if (!await dbHelpers.hasPermission(userId, 'reject')) {
+        await dbHelpers.deleteSession(userId);
+        return;
+      }
+
+      const note = userMessage.trim().substring(0, 500);
+      const question = await rejectQuestionWithReason(userId, session.questionId, 'custom', note);
+      await dbHelpers.deleteSession(userId);
+
+      await ctx.reply(question
+        ? ctx.t('review.rejected_note', { note: escapeMarkdown(note) })
+        : ctx.t('review.already_reviewed_long'), {
+        parse_mode: 'Markdown'
+      });
+    }
+    else if (session.step === 'editing_rejected_question') {
+      const original = await dbHelpers.getQuestion(session.questionId);
+      const filterResult = dbHelpers.contentFilter(userMessage, ctx.lang, {
+        topic: original ? original.topic : null, kind: 'question', userId: userId
+      });
       if (!filterResult.allowed) {
-        await ctx.reply(`## ❌ Question Blocked\n\n${filterResult.reason}\n\nPlease modify your question and try again.`, {
+        await ctx.reply(ctx.t('ask.blocked', { reason: filterResult.reason }), {
           parse_mode: 'Markdown',
           reply_markup: {
             inline_keyboard: [
-              [{ text: '✏️ Try Again', callback_data: 'EDIT_QUESTION' }],
-              [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
+              [{ text: ctx.t('btn.try_again'), callback_data: `RESUBMIT_${session.questionId}` }],
+              [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
             ]
           }
         });
         return;
       }
 
-      session.question = userMessage;
-      session.step = 'confirm_question';
-      await dbHelpers.saveSession(userId, session);
+      const question = original && original.user_id === userId
+        ? await dbHelpers.requeueQuestion(
+          session.questionId,
+          { action: 'resubmitted', previous_question: original.question },
+          { question: userMessage }
+        )
+        : null;
+      await dbHelpers.deleteSession(userId);
+
+      if (!question) {
+        await ctx.reply(ctx.t('rejection.cannot_edit_long'));
+        return;
+      }
+
+      await sendQuestionForReview(question, 'review.headline_resubmitted');
 
-      await ctx.reply(`## ✅ Question Updated\n\n**Topic:** ${session.topic}\n**Your Question:** ${session.question}\n\n**Ready to submit for approval?**`, {
+      await ctx.reply(ctx.t('rejection.resubmitted', { topic: question.topic, question: question.question }), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '✏️ Edit Question', callback_data: 'EDIT_QUESTION' }],
-            [{ text: '📤 Submit Question', callback_data: 'SUBMIT_QUESTION' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+            [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
     }
-    else if (session.step === 'awaiting_topic' && session.waitingForCustomTopic) {
-      session.topic = userMessage;
-      session.step = 'confirm_question';
-      delete session.waitingForCustomTopic;
-      await dbHelpers.saveSession(userId, session);
+    else if (session.step === 'awaiting_appeal') {
+      const original = await dbHelpers.getQuestion(session.questionId);
+      const filterResult = dbHelpers.contentFilter(userMessage, ctx.lang, {
+        topic: original ? original.topic : null, kind: 'appeal', userId: userId
+      });
+      if (!filterResult.allowed) {
+        await ctx.reply(ctx.t('rejection.appeal_blocked', { reason: filterResult.reason }), {
+          parse_mode: 'Markdown'
+        });
+        return;
+      }
+
+      const question = original && original.user_id === userId && !original.appealed
+        ? await dbHelpers.requeueQuestion(
+          session.questionId,
+          { action: 'appealed', note: userMessage.substring(0, 500) },
+          { appealed: true }
+        )
+        : null;
+      await dbHelpers.deleteSession(userId);
+
+      if (!question) {
+        await ctx.reply(ctx.t('rejection.cannot_appeal_long'));
+        return;
+      }
 
-      await ctx.reply(`## 📋 Question Preview\n\n**Topic:** ${userMessage}\n**Your Question:** ${session.question}\n\n**Ready to submit for approval?**`, {
+      await sendQuestionForReview(question, 'review.headline_appeal');
+
+      await ctx.reply(ctx.t('rejection.appeal_sent'), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '✏️ Edit Question', callback_data: 'EDIT_QUESTION' }],
-            [{ text: '📤 Submit Question', callback_data: 'SUBMIT_QUESTION' }],
-            [{ text: '🚫 Cancel', callback_data: 'BACK_TO_MAIN' }]
+            [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
     }
-    else if (session.step === 'awaiting_feedback') {
-      const feedback = userMessage;
-      
-      await ctx.reply(`## ✅ Feedback Sent!\n\nThank you for your feedback. We'll review it soon.`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
-          ]
+    else if (session.step === 'awaiting_topic_title' || session.step === 'awaiting_topic_emoji') {
+      if (!await dbHelpers.hasPermission(userId, 'manage_settings')) {
+        await dbHelpers.deleteSession(userId);
+        return;
+      }
+
+      let topicId = session.topicId;
+      if (session.step === 'awaiting_topic_title') {
+        const title = sanitizeTopicTitle(userMessage);
+        if (!title) {
+          await ctx.reply(ctx.t('topics.title_empty'));
+          return;
         }
-      });
 
-      // Send to admin
-      const user = await dbHelpers.getUser(userId);
-      await bot.telegram.sendMessage(
-        ADMIN_ID,
-        `📝 **New Feedback**\n\n**From:** ${user.username}\n**User ID:** ${userId}\n**Feedback:** ${feedback}`,
-        { parse_mode: 'Markdown' }
-      );
+        if (topicId) {
+          topicId = (await dbHelpers.updateTopic(topicId, { title: title })) ? topicId : null;
+        } else {
+          topicId = await dbHelpers.createTopic(DEFAULT_TOPIC_EMOJI, title);
+        }
+      } else {
+        const emoji = userMessage.trim();
+        // The emoji is part of topic.name, so Markdown characters are refused just like in titles
+        if (!/^[^\p{L}\p{N}\s*_`\[\]]{1,16}$/u.test(emoji)) {
+          await ctx.reply(ctx.t('topics.emoji_invalid'));
+          return;
+        }
+        topicId = (await dbHelpers.updateTopic(topicId, { emoji: emoji })) ? topicId : null;
+      }
+
+      if (!topicId) {
+        await ctx.reply(ctx.t('topics.duplicate'));
+        return;
+      }
 
       await dbHelpers.deleteSession(userId);
+      const editor = buildTopicEditor(await dbHelpers.getTopic(topicId), ctx.lang);
+      await ctx.reply(ctx.t('topics.saved', { editor: editor.text }), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: editor.keyboard }
+      });
     }
-    else if (session.step === 'awaiting_answer') {
-      // Content filtering
-      const filterResult = dbHelpers.contentFilter(userMessage);
-      if (!filterResult.allowed) {
-        await ctx.reply(`## ❌ Answer Blocked\n\n${filterResult.reason}\n\nPlease modify your answer and try again.`, {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '✏️ Try Again', callback_data: `CHANNEL_ANSWER_${session.questionId}` }],
-              [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
-            ]
-          }
-        });
+    else if (session.step === 'awaiting_topic_channel') {
+      if (!await dbHelpers.hasPermission(userId, 'manage_settings')) {
+        await dbHelpers.deleteSession(userId);
         return;
       }
 
-      // Create answer in database
-      const answerId = await dbHelpers.createAnswer({
-        questionId: session.questionId,
-        userId: userId,
-        username: ctx.from.username || ctx.from.first_name,
-        answer: userMessage,
-        channelMessageId: session.channelMessageId
-      });
+      const resolved = await resolvePublishTarget(userMessage);
+      if (resolved.error) {
+        await ctx.reply(ctx.t(resolved.error), { parse_mode: 'Markdown' });
+        return;
+      }
 
-      if (!answerId) {
-        await ctx.reply('❌ Failed to save answer. Please try again.');
+      await dbHelpers.deleteSession(userId);
+      if (!await dbHelpers.setTopicChannel(session.topicId, resolved.target)) {
+        await ctx.reply(ctx.t('topics.not_found'));
         return;
       }
 
-      // Auto-subscribe answerer to the question
-      await dbHelpers.subscribeToQuestion(userId, session.questionId);
+      const editor = buildTopicEditor(await dbHelpers.getTopic(session.topicId), ctx.lang);
+      await ctx.reply(ctx.t('topics.saved', { editor: editor.text }), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: editor.keyboard }
+      });
+    }
+    else if (session.step === 'awaiting_filter_rule') {
+      if (!await dbHelpers.hasPermission(userId, 'manage_settings')) {
+        await dbHelpers.deleteSession(userId);
+        return;
+      }
 
-      // Get question and asker for notifications
-      const question = await dbHelpers.getQuestion(session.questionId);
-      
-      // Send notification to question asker (if not the same user)
-      if (question && question.user_id !== userId) {
-        await dbHelpers.createNotification(question.user_id, 'new_answer', {
-          questionId: session.questionId,
-          answer: userMessage,
-          answererId: userId
+      const type = session.ruleType;
+      const value = normalizeFilterRule(type, userMessage);
+      if (value === null) {
+        await ctx.reply(ctx.t('filter.invalid_value', { type: ctx.t(FILTER_RULE_LABELS[type]) }) + ctx.t(`filter.help_${type}`), {
+          parse_mode: 'Markdown'
         });
+        return;
       }
 
-      // Send notifications to all subscribers
-      const subscribers = await dbHelpers.getSubscribers(session.questionId);
-      for (const subscriberId of subscribers) {
-        // Don't notify the answerer or question asker (already notified)
-        if (subscriberId !== userId && subscriberId !== question.user_id) {
-          await dbHelpers.createNotification(subscriberId, 'new_answer', {
-            questionId: session.questionId,
-            answer: userMessage,
-            answererId: userId
-          });
-        }
+      const topic = await getFilterScopeTopic(session.scope);
+      await dbHelpers.deleteSession(userId);
+      if (topic === undefined) {
+        await ctx.reply(ctx.t('topics.not_found'));
+        return;
       }
 
-      // Update the browse button count in channel
-      const answers = await dbHelpers.getAnswersForQuestion(session.questionId);
-      const answerCount = answers.length;
+      const saved = await dbHelpers.addFilterRule(type, value, topic ? session.scope : null, userId);
+      const list = await buildFilterRuleList(type, topic, ctx.lang);
+      await ctx.reply(saved ? ctx.t('filter.saved', { list: list.text }) : ctx.t('common.error_occurred'), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: list.keyboard }
+      });
+    }
+    else if (session.step === 'awaiting_broadcast_text') {
+      if (!await dbHelpers.hasPermission(userId, 'broadcast')) {
+        await dbHelpers.deleteSession(userId);
+        return;
+      }
 
+      const text = userMessage.trim();
+      // The preview doubles as a formatting check: if Telegram rejects it here, every send would fail too
       try {
-        await bot.telegram.editMessageReplyMarkup(
-          PUBLIC_CHANNEL,
-          session.channelMessageId,
-          undefined,
-          {
-            inline_keyboard: [
-              [
-                { text: '💬 Answer', callback_data: `CHANNEL_ANSWER_${session.questionId}` },
-                { text: `🔍 Browse (${answerCount})`, callback_data: `CHANNEL_BROWSE_${session.questionId}` }
-              ],
-              [
-                { text: '📱 Open in Bot', url: `https://t.me/${ctx.botInfo.username}?start=channel_${session.questionId}` }
-              ]
-            ]
-          }
-        );
-      } catch (editError) {
-        // Ignore edit errors - button might be old or permissions issue
-        console.log('Channel button update failed (normal for old messages):', editError.message);
+        await ctx.reply(ctx.t('broadcast.preview_header'), { parse_mode: 'Markdown' });
+        await ctx.reply(text, { parse_mode: 'Markdown' });
+      } catch (previewError) {
+        await ctx.reply(ctx.t('broadcast.invalid_format'));
+        return;
+      }
+
+      await dbHelpers.saveSession(userId, { step: 'broadcast_draft', text: text });
+      const picker = buildBroadcastSegmentPicker(ctx.lang);
+      await ctx.reply(picker.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: picker.keyboard }
+      });
+    }
+    else if (session.step === 'awaiting_broadcast_days' || session.step === 'awaiting_broadcast_points') {
+      if (!await dbHelpers.hasPermission(userId, 'broadcast')) {
+        await dbHelpers.deleteSession(userId);
+        return;
+      }
+
+      const value = userMessage.trim();
+      const number = parseInt(value);
+      let segment;
+      if (session.step === 'awaiting_broadcast_days') {
+        if (!/^\d+$/.test(value) || number < 1 || number > BROADCAST_MAX_DAYS) {
+          await ctx.reply(ctx.t('broadcast.invalid_days', { max: BROADCAST_MAX_DAYS }));
+          return;
+        }
+        segment = { type: 'active', days: number };
+      } else {
+        if (!/^\d+$/.test(value)) {
+          await ctx.reply(ctx.t('broadcast.invalid_points'));
+          return;
+        }
+        segment = { type: 'points', min_points: number };
       }
 
-      await ctx.reply(`## ✅ Answer Posted!\n\nYour answer has been added to the question!\n\n**+5 points** added to your profile!\n\n🔔 *You've been subscribed to this question*`, {
+      const confirm = await buildBroadcastConfirm(userId, session.text, segment, ctx.lang);
+      await ctx.reply(confirm.text, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: confirm.keyboard }
+      });
+    }
+    else if (session.step === 'awaiting_feedback') {
+      const feedback = userMessage;
+      
+      await ctx.reply(ctx.t('feedback.sent'), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '🔍 Browse Answers', callback_data: `CHANNEL_BROWSE_${session.questionId}` }],
-            [{ text: '🏠 Main Menu', callback_data: 'BACK_TO_MAIN' }]
+            [{ text: ctx.t('btn.main_menu'), callback_data: 'BACK_TO_MAIN' }]
           ]
         }
       });
 
+      // Send to admin
+      const user = await dbHelpers.getUser(userId);
+      const adminLang = await dbHelpers.getUserLanguage(ADMIN_ID);
+      await dbHelpers.enqueueMessage(
+        ADMIN_ID,
+        t(adminLang, 'feedback.admin', {
+          from: dbHelpers.getDisplayName(user, null, adminLang),
+          userId: userId,
+          feedback: feedback
+        }),
+        { parse_mode: 'Markdown' }
+      );
+
       await dbHelpers.deleteSession(userId);
     }
+    else if (session.step === 'awaiting_answer' && session.waitingForAlias) {
+      // Markdown characters are dropped, as with topic titles
+      const alias = userMessage.replace(/[*_`\[\]]/g, '').replace(/\s+/g, ' ').trim();
+      const filterResult = dbHelpers.contentFilter(alias, ctx.lang, { kind: 'alias', userId: userId });
+
+      if (!filterResult.allowed || alias.length === 0 || alias.length > MAX_ALIAS_LENGTH) {
+        await ctx.reply(ctx.t('answer.alias_blocked', {
+          reason: filterResult.reason || ctx.t('answer.alias_length', { max: MAX_ALIAS_LENGTH })
+        }), {
+          parse_mode: 'Markdown'
+        });
+        return;
+      }
+
+      session.alias = alias;
+      delete session.waitingForAlias;
+      await dbHelpers.saveSession(userId, session);
+
+      await ctx.reply(ctx.t('answer.alias_set', { alias: alias }), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: ctx.t('btn.cancel'), callback_data: 'BACK_TO_MAIN' }]
+          ]
+        }
+      });
+    }
+    else if (session.step === 'awaiting_answer') {
+      await receiveAnswer(ctx, session, userMessage, null);
+    }
+    else if (session.step === 'awaiting_comment') {
+      await receiveComment(ctx, session, userMessage);
+    }
     
   } catch (error) {
     console.log('Message handler error:', error.message);
-    await ctx.reply('❌ An error occurred. Please try again.');
+    await ctx.reply(ctx.t('common.error_occurred'));
+  }
+});
+
+// Photos, voice messages and documents are taken wherever a question or an answer is expected.
+// The caption stands in for the text and goes through the same filter and length limits.
+bot.on(['photo', 'voice', 'document'], async (ctx) => {
+  try {
+    const session = await dbHelpers.getSession(ctx.from.id);
+    const step = session ? session.step : null;
+    const accepted = step === 'awaiting_question' || step === 'editing_question' ||
+      (step === 'awaiting_answer' && !session.waitingForAlias);
+
+    if (!accepted) {
+      await ctx.reply(ctx.t('media.not_expected'));
+      return;
+    }
+
+    const media = extractMedia(ctx.message);
+    if (media.file_size > MAX_MEDIA_FILE_SIZE_MB * 1024 * 1024) {
+      await ctx.reply(ctx.t('media.too_large', { max: MAX_MEDIA_FILE_SIZE_MB }));
+      return;
+    }
+
+    // The caption is what gets searched, matched for duplicates and shown in the channel
+    const caption = (ctx.message.caption || '').trim();
+    if (!caption) {
+      await ctx.reply(ctx.t('media.caption_required'));
+      return;
+    }
+
+    if (step === 'awaiting_question') {
+      await receiveQuestion(ctx, session, caption, media);
+    } else if (step === 'editing_question') {
+      await receiveQuestionEdit(ctx, session, caption, media);
+    } else {
+      await receiveAnswer(ctx, session, caption, media);
+    }
+  } catch (error) {
+    console.log('Media handler error:', error.message);
+    await ctx.reply(ctx.t('common.error_occurred'));
   }
 });
 
@@ -2187,6 +8749,119 @@ bot.catch((err, ctx) => {
   console.error('Update that caused error:', ctx.update);
 });
 
+// ==================== OUTBOUND QUEUE ====================
+// A single sender drains the outbox, pacing itself to Telegram's global and per-chat limits
+let outboxBusy = false;
+let outboxPausedUntil = 0;
+const outboxRecentSends = [];
+const outboxChatReadyAt = new Map();
+
+function scheduleOutbox(delayMs) {
+  clearTimeout(outboxTimer);
+  outboxTimer = setTimeout(runOutbox, delayMs);
+}
+
+// New messages go out straight away instead of waiting for the next poll
+function wakeOutbox() {
+  if (outboxTimer && !outboxBusy) scheduleOutbox(0);
+}
+
+async function runOutbox() {
+  outboxBusy = true;
+  let nextDelay = OUTBOX_POLL_INTERVAL_MS;
+  try {
+    nextDelay = await processOutbox();
+  } catch (error) {
+    console.log('Outbox error:', error.message);
+  }
+  outboxBusy = false;
+  // Shutdown clears the timer; don't start another round after it
+  if (outboxTimer !== null) scheduleOutbox(nextDelay);
+}
+
+// Sends at most one message and returns how long to wait before the next try
+async function processOutbox() {
+  const now = Date.now();
+  if (now < outboxPausedUntil) return outboxPausedUntil - now;
+
+  while (outboxRecentSends.length > 0 && outboxRecentSends[0] <= now - 1000) outboxRecentSends.shift();
+  if (outboxRecentSends.length >= OUTBOX_GLOBAL_PER_SECOND) return outboxRecentSends[0] + 1000 - now;
+
+  const busyChatIds = [];
+  for (const [chatId, readyAt] of outboxChatReadyAt) {
+    if (readyAt > now) busyChatIds.push(chatId);
+    else outboxChatReadyAt.delete(chatId);
+  }
+
+  const message = await dbHelpers.claimOutboxMessage(busyChatIds);
+  if (!message) return OUTBOX_POLL_INTERVAL_MS;
+
+  outboxRecentSends.push(now);
+  outboxChatReadyAt.set(message.chat_id, now + OUTBOX_PER_CHAT_INTERVAL_MS);
+
+  try {
+    // An attachment goes first and the text replies to it, so tracked text stays editable
+    let extra = message.extra;
+    if (message.media && !message.media_message_id) {
+      const sentMedia = await sendMedia(message.chat_id, message.media);
+      message.media_message_id = sentMedia.message_id;
+      await dbHelpers.setOutboxMediaSent(message, sentMedia.message_id);
+    }
+    if (message.media_message_id) {
+      extra = { ...extra, reply_parameters: { message_id: message.media_message_id, allow_sending_without_reply: true } };
+    }
+
+    const sent = await bot.telegram.sendMessage(message.chat_id, message.text, extra);
+    await dbHelpers.completeOutboxMessage(message, sent.message_id);
+  } catch (error) {
+    const retryAfter = error.response && error.response.parameters && error.response.parameters.retry_after;
+    if (retryAfter) {
+      // Flood control: hold every send, not just this chat, until Telegram allows it again
+      outboxPausedUntil = Date.now() + retryAfter * 1000;
+      await dbHelpers.retryOutboxMessage(message, retryAfter * 1000, error.message, false);
+    } else if (error.code === 400 || error.code === 403 || message.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      // Blocked bot, deleted chat or a malformed message will not succeed on retry
+      console.log(`Outbound message to ${message.chat_id} failed:`, error.message);
+      await dbHelpers.failOutboxMessage(message, error.message, error.code || null);
+    } else {
+      await dbHelpers.retryOutboxMessage(message, OUTBOX_BASE_BACKOFF_MS * 2 ** (message.attempts - 1), error.message);
+    }
+  }
+  return 0;
+}
+
+// ==================== NOTIFICATION DELIVERY ====================
+// Runs every few minutes: flushes notifications held over quiet hours and sends each digest at its hour
+async function deliverPendingNotifications() {
+  const now = new Date();
+  const userIds = await dbHelpers.getUsersWithPendingNotifications();
+
+  for (const userId of userIds) {
+    try {
+      const prefs = await dbHelpers.getNotificationPrefs(userId);
+      let titleKey = 'digest.held_title';
+
+      if (prefs.digest) {
+        const today = localDateKey(prefs.utc_offset, now);
+        if (localHour(prefs.utc_offset, now) !== prefs.digest_hour || prefs.last_digest_on === today) continue;
+        await dbHelpers.updateNotificationPrefs(userId, { last_digest_on: today });
+        titleKey = 'digest.title';
+      } else if (isQuietHour(prefs, now)) {
+        continue;
+      }
+
+      // Types muted after they were held are dropped rather than sent
+      const notifications = (await dbHelpers.takePendingNotifications(userId))
+        .filter(notif => prefs[notificationCategory(notif.type)] !== false);
+      if (notifications.length > 0) {
+        await dbHelpers.sendNotificationSummary(userId, notifications, titleKey);
+      }
+    } catch (error) {
+      console.log(`Notification delivery failed for ${userId}:`, error.message);
+    }
+  }
+}
+
 // ==================== STARTUP ====================
 async function startBot() {
   console.log('🚀 Starting Ask Oromia Bot...');
@@ -2200,27 +8875,45 @@ async function startBot() {
       process.exit(1);
     }
 
+    const released = await dbHelpers.releaseOutboxMessages();
+    if (released > 0) console.log(`📤 Re-queued ${released} unsent message(s)`);
+    scheduleOutbox(0);
+
+    const unpublished = await dbHelpers.releasePublishingQuestions();
+    if (unpublished > 0) console.log(`📅 Re-queued ${unpublished} question(s) left mid-publish`);
+    publishTimer = setInterval(() => {
+      publishDueQuestions().catch(error => console.log('Scheduled publishing error:', error.message));
+    }, PUBLISH_CHECK_INTERVAL_MS);
+
+    broadcastTimer = setInterval(() => {
+      updateBroadcastProgress().catch(error => console.log('Broadcast progress error:', error.message));
+    }, BROADCAST_PROGRESS_INTERVAL_MS);
+
+    notificationTimer = setInterval(() => {
+      deliverPendingNotifications().catch(error => console.log('Notification delivery error:', error.message));
+    }, NOTIFICATION_DELIVERY_INTERVAL_MS);
+
+    // Set bot commands for better UX, in every supported language.
+    // This has to happen before launch(), which only resolves once polling stops.
+    const commands = ['start', 'ask', 'search', 'myprofile', 'settings', 'help', 'admin'];
+    for (const language of Object.keys(LOCALES)) {
+      await bot.telegram.setMyCommands(
+        commands.map(command => ({ command: command, description: t(language, `command.${command}`) })),
+        language === DEFAULT_LANGUAGE ? {} : { language_code: language }
+      );
+    }
+
     await bot.launch({
       dropPendingUpdates: true,
-      allowedUpdates: ['message', 'callback_query', 'chat_member']
+      allowedUpdates: ['message', 'callback_query', 'chat_member', 'inline_query']
+    }, () => {
+      console.log('✅ Bot running successfully!');
+      console.log('📢 Channel:', PUBLIC_CHANNEL);
+      console.log('👤 Admin:', ADMIN_ID);
+      console.log('🗄️ Database: MongoDB Atlas');
+      console.log('🎯 All buttons should now work correctly!');
     });
     
-    console.log('✅ Bot running successfully!');
-    console.log('📢 Channel:', PUBLIC_CHANNEL);
-    console.log('👤 Admin:', ADMIN_ID);
-    console.log('🗄️ Database: MongoDB Atlas');
-    console.log('🎯 All buttons should now work correctly!');
-    
-    // Set bot commands for better UX
-    await bot.telegram.setMyCommands([
-      { command: 'start', description: 'Start the bot' },
-      { command: 'ask', description: 'Ask a new question' },
-      { command: 'myprofile', description: 'View your profile' },
-      { command: 'settings', description: 'Bot settings' },
-      { command: 'help', description: 'Get help' },
-      { command: 'admin', description: 'Admin panel' }
-    ]);
-    
   } catch (error) {
     console.log('❌ Bot startup failed:', error.message);
     process.exit(1);
@@ -2231,12 +8924,22 @@ async function startBot() {
 process.once('SIGINT', () => {
   console.log('🛑 Shutting down bot...');
   bot.stop('SIGINT');
+  clearInterval(notificationTimer);
+  clearInterval(broadcastTimer);
+  clearInterval(publishTimer);
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
   if (client) client.close();
 });
 
 process.once('SIGTERM', () => {
   console.log('🛑 Shutting down bot...');
   bot.stop('SIGTERM');
+  clearInterval(notificationTimer);
+  clearInterval(broadcastTimer);
+  clearInterval(publishTimer);
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
   if (client) client.close();
 });
 